@@ -0,0 +1,149 @@
+'use strict';
+
+const { createHash } = require('crypto');
+
+
+// The version byte prepended to every address hash. Using zero means your
+// addresses will match Bitcoin's, and always start with a '1'.
+const ADDRESS_VERSION = 0x00;
+
+// The characters used by base58, which skips '0', 'O', 'I', and 'l' because
+// they are easily mistaken for one another
+const BASE58_ALPHABET =
+  '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * This function is provided for you. It takes a Buffer of bytes and returns
+ * a base58 encoded string. Every leading zero byte is encoded as a '1'.
+ *
+ * Example:
+ *   console.log( toBase58(Buffer.from('00ff', 'hex')) );  // '15Q'
+ */
+const toBase58 = bytes => {
+  const digits = [];
+
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = (carry / 58) | 0;
+    }
+  }
+
+  let leadingZeros = 0;
+  while (leadingZeros < bytes.length && bytes[leadingZeros] === 0) {
+    leadingZeros++;
+  }
+
+  return '1'.repeat(leadingZeros) + digits
+    .reverse()
+    .map(digit => BASE58_ALPHABET[digit])
+    .join('');
+};
+
+/**
+ * This function is provided for you. It takes a base58 encoded string and
+ * returns the decoded bytes as a Buffer. Throws an Error if the string
+ * contains any characters not in the base58 alphabet.
+ *
+ * Example:
+ *   console.log( fromBase58('15Q') );  // <Buffer 00 ff>
+ */
+const fromBase58 = str => {
+  const bytes = [];
+
+  for (const char of str) {
+    let carry = BASE58_ALPHABET.indexOf(char);
+    if (carry === -1) {
+      throw new Error(`Invalid base58 character: ${char}`);
+    }
+
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  let leadingOnes = 0;
+  while (leadingOnes < str.length && str[leadingOnes] === '1') {
+    leadingOnes++;
+  }
+
+  return Buffer.from(Array(leadingOnes).fill(0).concat(bytes.reverse()));
+};
+
+/**
+ * A function which takes a 66 character hex public key and returns its
+ * address: a shorter, checksummed, human-friendly identifier. To create it:
+ *   1. SHA-256 hash the public key bytes, then RIPEMD-160 hash the result,
+ *      giving a 20 byte public key hash
+ *   2. Prepend the ADDRESS_VERSION byte
+ *   3. SHA-256 hash those 21 bytes twice, and append the first 4 bytes of
+ *      the result as a checksum
+ *   4. Encode all 25 bytes as base58
+ *
+ * Example:
+ *   const address = toAddress(
+ *     '0339a36013301597daef41fbe593a02cc513d0b55527ec2df1050e2e8ff49c85c2'
+ *   );
+ *   console.log(address);  // '15mKKb2eos1hWa6tisdPwwDC1a5J1y9nma'
+ */
+const toAddress = publicKey => {
+  // Enter your solution here
+
+};
+
+/**
+ * A function which takes an address and decodes it, returning an object
+ * with two properties:
+ *   - version: the version byte as a number
+ *   - hash: the 20 byte public key hash as a 40 character hex string
+ *
+ * It should throw an Error if the address is not valid base58, does not
+ * decode to exactly 25 bytes, or if the checksum does not match.
+ *
+ * Example:
+ *   const decoded = decodeAddress('15mKKb2eos1hWa6tisdPwwDC1a5J1y9nma');
+ *   console.log(decoded);
+ *   // { version: 0, hash: '3442193e1bb70916e914552172cd4e2dbc9df811' }
+ */
+const decodeAddress = address => {
+  // Your code here
+
+};
+
+/**
+ * A function which takes any value and returns true if it is a string that
+ * decodes to a valid address with the current ADDRESS_VERSION, or false
+ * otherwise. It should never throw.
+ *
+ * Example:
+ *   console.log( isValidAddressString('15mKKb2eos1hWa6tisdPwwDC1a5J1y9nma') );
+ *   // true
+ *   console.log( isValidAddressString('15mKKb2eos1hWa6tisdPwwDC1a5J1y9nmb') );
+ *   // false
+ */
+const isValidAddressString = address => {
+  // Your code here
+
+};
+
+module.exports = {
+  ADDRESS_VERSION,
+  BASE58_ALPHABET,
+  toBase58,
+  fromBase58,
+  toAddress,
+  decodeAddress,
+  isValidAddressString
+};
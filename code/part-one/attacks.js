@@ -0,0 +1,194 @@
+'use strict';
+
+const signing = require('./signing');
+const { Transaction } = require('./blockchain');
+const {
+  getNextTarget,
+  getBlockReward,
+  MineableTransaction,
+  MineableBlock
+} = require('./mining');
+
+
+/**
+ * breakChain made one change, and hoped for the best. This module is a whole
+ * toolkit of named attacks, each one a real way someone might try to cheat a
+ * blockchain. Every attack mutates the blockchain passed in, just like
+ * breakChain did, and returns a record of what it did:
+ *   - name: the name of the attack
+ *   - blocks: an array of the blocks the attacker forged, tampered with, or
+ *     mined
+ *   - expected: the rule which should catch the attack, an object with the
+ *     name of the validation function which should fail, and the code of the
+ *     violation its report should include
+ *
+ * Some attacks don't break any rules at all. An attacker with enough hashing
+ * power can rewrite history completely legitimately, and no validation
+ * function can tell. Those attacks have an expected of null.
+ *
+ * The attacks on mineable chains build on the forks and validation reports
+ * extra credits, so you'll need those done first.
+ *
+ * This function is provided for you. It creates one of those records.
+ *
+ * Example:
+ *   const attack = createAttack('forgeSignature', [ block ],
+ *     'isValidChain', 'BAD_SIGNATURE');
+ *   console.log(attack);
+ *   // { name: 'forgeSignature',
+ *   //   blocks: [ block ],
+ *   //   expected: { validator: 'isValidChain', code: 'BAD_SIGNATURE' } }
+ */
+const createAttack = (name, blocks, validator = null, code = null) => {
+  const expected = validator ? { validator, code } : null;
+  return { name, blocks, expected };
+};
+
+/**
+ * This function is provided for you. It works like a MineableChain's mine
+ * method, except that it can build on any branch, not just the active
+ * chain, and it doesn't receive the block when it is done. It takes the
+ * blockchain, an array of blocks from genesis to the block to build on, and
+ * the transactions to mine, which should include a reward. Returns the
+ * mined block.
+ *
+ * Attackers need this to mine in secret. The branch doesn't need to have
+ * been received by the blockchain yet, so a private fork can keep growing.
+ *
+ * Example:
+ *   const branch = blockchain.getBranch(blockchain.blocks[1].hash);
+ *   const reward = new MineableTransaction(privateKey, null, 100);
+ *   const block = mineBlock(blockchain, branch, [ reward ]);
+ *   const next = mineBlock(blockchain, branch.concat(block), [ reward2 ]);
+ */
+const mineBlock = (blockchain, branch, transactions) => {
+  const previousHash = branch[branch.length - 1].hash;
+  const block = new MineableBlock(transactions, previousHash);
+  const target = getNextTarget(branch, blockchain);
+
+  let nonce = 0;
+  do {
+    block.calculateHash(nonce);
+    nonce++;
+  } while (block.hash > target);
+
+  return block;
+};
+
+/**
+ * Takes a blockchain and a new amount. Changes the amount of the first
+ * transaction in the head block, and then recalculates the block's hash, so
+ * that the hash still matches its contents. Only a signature can catch this
+ * one.
+ *
+ * Expected: isValidChain with BAD_SIGNATURE
+ */
+const tamperAmount = (blockchain, amount) => {
+  // Your code here
+
+};
+
+/**
+ * Takes a blockchain, the attacker's private key, and the public key of a
+ * victim. The attacker signs a transaction sending the victim's whole
+ * balance to themselves, then changes its source to the victim. That
+ * transaction is added in a new block.
+ *
+ * Expected: isValidChain with BAD_SIGNATURE
+ */
+const forgeSignature = (blockchain, privateKey, victim) => {
+  // Your code here
+
+};
+
+/**
+ * Takes a blockchain, and adds a new block with a copy of the most recent
+ * signed transaction on the chain. The signature is still valid, so the
+ * only thing that can stop it being spent twice is its nonce.
+ *
+ * Expected: isValidChain with BAD_NONCE_ORDER, or null if the transaction
+ * has no nonce, in which case the replay succeeds!
+ */
+const replayTransaction = blockchain => {
+  // Your code here
+
+};
+
+/**
+ * Takes a mineable blockchain and the attacker's private key, and mines a
+ * block on the head of the chain with a reward of the blockchain's
+ * maxSupply, every coin that will ever exist. The block really is mined,
+ * so the blockchain's receiveBlock will accept it.
+ *
+ * Expected: isValidMineableChain with BAD_REWARD
+ */
+const inflateCoinbase = (blockchain, privateKey) => {
+  // Your code here
+
+};
+
+/**
+ * Takes a mineable blockchain, the attacker's private key, the public key of
+ * a merchant, and an amount. The attack plays out in four steps:
+ *   1. remember the current head block
+ *   2. pay the merchant the amount, and have an honest miner (any new
+ *      private key) mine the payment, so the merchant thinks they are paid
+ *   3. in secret, mine two blocks on the remembered head: the first moves
+ *      the attacker's whole balance to a brand new key of their own, and
+ *      both rewards go to that new key too
+ *   4. release the secret blocks, which have more work, to reorg the
+ *      payment away
+ *
+ * The payment goes back into the mempool, but the attacker can't afford it
+ * anymore.
+ *
+ * Expected: null, the fork is perfectly valid. Merchants defend themselves
+ * by waiting for more blocks to be mined on top of a payment.
+ */
+const doubleSpend = (blockchain, privateKey, merchant, amount) => {
+  // Your code here
+
+};
+
+/**
+ * Takes a mineable blockchain, the attacker's private key, and a depth. An
+ * attacker with most of the network's hashing power goes back `depth` blocks
+ * from the head, mines one more block than that on their own branch, and
+ * releases them, rewriting the last `depth` blocks of history. Each of the
+ * new blocks should have just a reward for the attacker.
+ *
+ * Expected: null, this is exactly how forks are supposed to be resolved.
+ * That's what makes a "51% attack" so dangerous.
+ */
+const majorityReorg = (blockchain, privateKey, depth) => {
+  // Your code here
+
+};
+
+/**
+ * Takes a mineable blockchain and the attacker's private key. A selfish
+ * miner doesn't share the blocks they find. Instead they:
+ *   1. mine two blocks on the head of the chain in secret
+ *   2. wait for an honest miner (any new private key) to mine a block with
+ *      the blockchain's mine method
+ *   3. release their secret blocks, orphaning the honest block, and taking
+ *      its reward for themselves
+ *
+ * Expected: null, withholding blocks breaks no rules.
+ */
+const selfishMine = (blockchain, privateKey) => {
+  // Your code here
+
+};
+
+module.exports = {
+  createAttack,
+  mineBlock,
+  tamperAmount,
+  forgeSignature,
+  replayTransaction,
+  inflateCoinbase,
+  doubleSpend,
+  majorityReorg,
+  selfishMine
+};
@@ -2,6 +2,9 @@
 
 const { createHash } = require('crypto');
 const signing = require('./signing');
+const { toAddress, isValidAddressString } = require('./address');
+const { getTransactionHash } = require('./validation');
+const { getMerkleRoot, getMerkleProof } = require('./merkle');
 
 
 /**
@@ -20,13 +23,112 @@ class Transaction {
    *   - amount: the provided amount
    *   - signature: a unique signature generated from a combination of the
    *     other properties, signed with the provided private key
+   *
+   * EXTRA CREDIT
+   * Only needed for the address extra credit. The recipient may also be an
+   * address (see address.js). To catch typos before funds go missing, throw
+   * an Error if the recipient is not a hex string and not a valid address.
+   *
+   * EXTRA CREDIT
+   * Only needed for the replay protection extra credit. The constructor may
+   * also be passed a nonce: a number counting up from 0 with each transaction
+   * the signer sends. If it is, save it as a `nonce` property, and add it to
+   * the end of the signed message after a colon, i.e.
+   * `source + recipient + amount + ':' + nonce`. If not, leave the nonce
+   * property and signed message exactly as they were.
+   *
+   * Note:
+   *   Why the colon? Without it, an amount of 12 with a nonce of 3 would sign
+   *   the very same message as an amount of 1 with a nonce of 23.
    */
-  constructor(privateKey, recipient, amount) {
+  constructor(privateKey, recipient, amount, nonce = null) {
     // Enter your solution here
 
   }
 }
 
+/**
+ * EXTRA CREDIT
+ * Only needed for the signature recovery extra credit. Remove `.skip` from
+ * line 18 of tests/08-ExtraCredit-Recovery.js to test.
+ *
+ * A compact version of Transaction, which does not bother storing its source
+ * public key. Instead, it is signed with a recoverable signature, and the
+ * source is recovered from that signature whenever it is needed.
+ */
+class CompactTransaction {
+  /**
+   * Accepts the same arguments as Transaction, but signs only the recipient
+   * and amount, using `signing.signRecoverable`.
+   *
+   * Properties:
+   *   - recipient: the provided public key for the recipient
+   *   - amount: the provided amount
+   *   - signature: a 130 character recoverable signature of the recipient
+   *     and amount, signed with the provided private key
+   */
+  constructor(privateKey, recipient, amount) {
+    // Your code here
+
+  }
+
+  /**
+   * A getter which recovers the source public key from the signature. This
+   * means a compact transaction can be used anywhere a normal transaction
+   * can, like in `getBalance`, without actually storing the source.
+   *
+   * Example:
+   *   const transaction = new CompactTransaction(privateKey, recipient, 10);
+   *   console.log(transaction.source === getPublicKey(privateKey));  // true
+   *   console.log(Object.keys(transaction));
+   *   // [ 'recipient', 'amount', 'signature' ]
+   */
+  get source() {
+    // Your code here
+
+  }
+}
+
+/**
+ * EXTRA CREDIT
+ * Only needed for the multi-recipient extra credit. Remove `.skip` from line
+ * 18 of tests/29-ExtraCredit-MultiRecipient.js to test. The suites on lines
+ * 153 and 206 also test reports and storage, so remove `.skip` from those
+ * once you've finished the validation reports and storage extra credits.
+ *
+ * Paying several people with a normal Transaction means signing several
+ * transactions. This one pays them all at once, with a single signature
+ * covering every payment.
+ */
+class MultiRecipientTransaction {
+  /**
+   * Accepts a hex private key for the sender, an array of outputs, each an
+   * object with a recipient and an amount, and optionally a nonce, just like
+   * Transaction. Also just like Transaction, throw an Error if any recipient
+   * is not a hex string and not a valid address.
+   *
+   * Properties:
+   *   - source: the public key derived from the provided private key
+   *   - outputs: the provided outputs
+   *   - amount: the sum of every output's amount
+   *   - nonce: the provided nonce, if there is one
+   *   - signature: a signature of the source, amount, and JSON stringified
+   *     outputs, followed by a colon and the nonce if there is one, i.e.
+   *     `source + amount + JSON.stringify(outputs) + ':' + nonce`
+   *
+   * Example:
+   *   const transaction = new MultiRecipientTransaction(privateKey, [
+   *     { recipient: alice, amount: 60 },
+   *     { recipient: bob, amount: 40 }
+   *   ]);
+   *   console.log(transaction.amount);  // 100
+   */
+  constructor(privateKey, outputs, nonce = null) {
+    // Your code here
+
+  }
+}
+
 /**
  * A Block class for storing an array of transactions and the hash of a
  * previous block. Includes a method to calculate and set its own hash.
@@ -42,6 +144,10 @@ class Block {
    *   - nonce: just set this to some hard-coded number for now, it will be
    *     used later when we make blocks mineable with our own PoW algorithm
    *   - hash: a unique hash string generated from the other properties
+   *
+   * EXTRA CREDIT
+   * Only needed for the Merkle tree extra credit. Blocks should also have a
+   * `merkleRoot` property, set by calculateHash.
    */
   constructor(transactions, previousHash) {
     // Your code here
@@ -56,11 +162,46 @@ class Block {
    *   The format of the hash is up to you. Remember that it needs to be
    *   unique and deterministic, and must become invalid if any of the block's
    *   properties change.
+   *
+   * EXTRA CREDIT
+   * Only needed for the Merkle tree extra credit. Rather than hashing the
+   * transactions directly, hash each one with getTransactionHash, and set
+   * the block's `merkleRoot` to the Merkle root of those hashes. Then the
+   * block hash should be a SHA-512 hash of just the previous hash, the Merkle
+   * root, and the nonce.
+   *
+   * EXTRA CREDIT
+   * Only needed for the difficulty extra credit. Mineable blocks also have a
+   * `timestamp`, which must be part of the hash, or anyone could change it.
+   * If the block has one, hash it after the Merkle root, followed by a colon
+   * so it can't run together with the nonce:
+   *   previousHash + merkleRoot + timestamp + ':' + nonce
    */
   calculateHash(nonce) {
     // Your code here
 
   }
+
+  /**
+   * EXTRA CREDIT
+   * Only needed for the Merkle tree extra credit. Remove `.skip` from
+   * line 31 of tests/14-ExtraCredit-Merkle.js to test.
+   *
+   * Accepts the index of one of the block's transactions, and returns a
+   * Merkle proof that it is included in the block (see merkle.js). Together
+   * with the block's Merkle root, the proof lets anyone check the transaction
+   * is in the block, without having to download every other transaction.
+   *
+   * Example:
+   *   const proof = block.getMerkleProof(2);
+   *   const txHash = getTransactionHash(block.transactions[2]);
+   *   console.log( verifyMerkleProof(txHash, proof, block.merkleRoot) );
+   *   // true
+   */
+  getMerkleProof(txIndex) {
+    // Your code here
+
+  }
 }
 
 /**
@@ -76,6 +217,10 @@ class Blockchain {
    *
    * Properties:
    *   - blocks: an array of blocks, starting with one genesis block
+   *
+   * EXTRA CREDIT
+   * Only needed for the indexing extra credit. You'll also need some sort of
+   * property to store your indexes. This will only be used internally.
    */
   constructor() {
     // Your code here
@@ -93,6 +238,10 @@ class Blockchain {
   /**
    * Accepts an array of transactions, creating a new block with them and
    * adding it to the chain.
+   *
+   * EXTRA CREDIT
+   * Only needed for the indexing extra credit. Don't forget to index the new
+   * block.
    */
   addBlock(transactions) {
     // Your code here
@@ -107,15 +256,146 @@ class Blockchain {
    *   There is currently no way to create new funds on the chain, so some
    *   keys will have a negative balance. That's okay, we'll address it when
    *   we make the blockchain mineable later.
+   *
+   * EXTRA CREDIT
+   * Only needed for the address extra credit. It may be passed either a
+   * public key or an address. Since an address is just another way of
+   * writing a public key, funds sent to either one count toward the balance
+   * of both.
+   *
+   * EXTRA CREDIT
+   * Only needed for the UTXO extra credit. Skip any UTXO transactions (which
+   * have inputs and outputs instead of a recipient and amount). Their funds
+   * are tracked separately, in the chain's UTXO set.
+   *
+   * EXTRA CREDIT
+   * Only needed for the fees extra credit. If a transaction has a fee, the
+   * source pays that too, on top of the amount.
+   *
+   * EXTRA CREDIT
+   * Only needed for the indexing extra credit. Rather than looping through
+   * every transaction ever, look the balance up in your index.
+   *
+   * EXTRA CREDIT
+   * Only needed for the mining pool extra credit. A reward with outputs
+   * (a CoinbaseTransaction) credits each output's recipient with its amount,
+   * rather than crediting the reward's own recipient.
+   *
+   * EXTRA CREDIT
+   * Only needed for the multi-recipient extra credit. A transaction with
+   * outputs (a MultiRecipientTransaction) also credits each output's
+   * recipient with its amount, while its source pays the total.
    */
   getBalance(publicKey) {
     // Your code here
 
   }
+
+  /**
+   * EXTRA CREDIT
+   * Only needed for the indexing extra credit. Remove `.skip` from line 21 of
+   * tests/18-ExtraCredit-Indexing.js to test.
+   *
+   * Accepts a block which has just been added to the chain, and updates the
+   * indexes with it, so that none of the lookup methods below ever need to
+   * loop through the whole chain. Any method which adds a block should call
+   * this. You'll need to index:
+   *   - the block by its hash
+   *   - each transaction by its hash (using `getTransactionHash`), keeping
+   *     the first if the same transaction appears twice
+   *   - the balance of each source and recipient, calculated the same way
+   *     as in the original getBalance
+   *   - the history of each key, which is every transaction it is the
+   *     source or recipient of, including the recipients of any outputs
+   *
+   * Just like in getBalance, remember that an address and its public key
+   * are the same owner.
+   */
+  indexBlock(block) {
+    // Your code here
+
+  }
+
+  /**
+   * EXTRA CREDIT
+   * Only needed for the indexing extra credit. Clears the indexes and
+   * rebuilds them from scratch with every block on the chain. Useful
+   * whenever the blocks array is replaced all at once.
+   */
+  rebuildIndex() {
+    // Your code here
+
+  }
+
+  /**
+   * EXTRA CREDIT
+   * Only needed for the indexing extra credit. Accepts a public key or
+   * address, and returns the transactions it has sent or received, most
+   * recent first. Optionally takes an object with two options:
+   *   - limit: the most transactions to return, defaulting to all of them
+   *   - offset: how many of the most recent transactions to skip,
+   *     defaulting to 0
+   *
+   * Example:
+   *   const page = blockchain.getTransactionHistory(publicKey, {
+   *     limit: 10,
+   *     offset: 20
+   *   });
+   *   // the 21st through 30th most recent transactions
+   */
+  getTransactionHistory(publicKey, { limit = Infinity, offset = 0 } = {}) {
+    // Your code here
+
+  }
+
+  /**
+   * EXTRA CREDIT
+   * Only needed for the indexing extra credit. Accepts a transaction hash,
+   * and returns the transaction on the chain with that hash, or null if
+   * there isn't one.
+   */
+  getTransaction(hash) {
+    // Your code here
+
+  }
+
+  /**
+   * EXTRA CREDIT
+   * Only needed for the indexing extra credit. Accepts a block hash, and
+   * returns the block on the chain with that hash, or null if there isn't
+   * one.
+   */
+  getBlockByHash(hash) {
+    // Your code here
+
+  }
+
+  /**
+   * EXTRA CREDIT
+   * Only needed for the replay protection extra credit. Remove `.skip` from
+   * line 30 of tests/15-ExtraCredit-Nonces.js to test.
+   *
+   * Accepts a public key, and returns the nonce its next transaction should
+   * use: one more than the highest nonce it has used in the chain so far, or
+   * 0 if it has never sent a transaction with a nonce.
+   *
+   * Example:
+   *   const nonce = blockchain.getNextNonce(publicKey);
+   *   blockchain.addBlock([
+   *     new Transaction(privateKey, recipient, 100, nonce)
+   *   ]);
+   *   console.log(blockchain.getNextNonce(publicKey) === nonce + 1);  // true
+   */
+  getNextNonce(publicKey) {
+    // Your code here
+
+  }
 }
 
 module.exports = {
   Transaction,
+  CompactTransaction,
+  MultiRecipientTransaction,
   Block,
   Blockchain
 };
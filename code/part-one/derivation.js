@@ -0,0 +1,154 @@
+'use strict';
+
+const secp256k1 = require('secp256k1');
+const { createHmac } = require('crypto');
+
+
+// Child indexes at or above this offset are "hardened"
+const HARDENED_OFFSET = 0x80000000;
+
+// The HMAC key BIP32 uses to generate master keys from a seed
+const MASTER_SECRET = 'Bitcoin seed';
+
+/**
+ * A function which takes a hexadecimal seed and generates a new master
+ * extended private key from it, following the BIP32 specification. The
+ * extended key is returned as an object with two properties:
+ *   - privateKey: the master private key as a 64 character hex string
+ *   - chainCode: the master chain code as a 64 character hex string
+ *
+ * Both come from an HMAC-SHA512 of the seed bytes, using MASTER_SECRET as the
+ * HMAC key. The first 32 bytes of the digest are the private key, the last 32
+ * bytes are the chain code.
+ *
+ * Example:
+ *   const master = createMasterKey('000102030405060708090a0b0c0d0e0f');
+ *   console.log(master);
+ *   // {
+ *   //   privateKey: 'e8f32e723decf4051aefac8e2c93c9c5b214313817cdb01a149...',
+ *   //   chainCode: '873dff81c02f525623fd1fe5167eac3a55a049de3d314bb42ee2...'
+ *   // }
+ *
+ * Hint:
+ *   Node's crypto module can create HMACs just as easily as it creates
+ *   hashes. Take a look at `createHmac`.
+ */
+const createMasterKey = seed => {
+  // Enter your solution here
+
+};
+
+/**
+ * A function which takes an extended private key and returns the matching
+ * extended public key. This is an object with the same chain code, but with
+ * a 66 character hex public key in place of the private key:
+ *   - publicKey: the public key derived from the extended private key
+ *   - chainCode: the original chain code
+ *
+ * Extended public keys can be handed out to anyone who needs to generate
+ * (non-hardened) child public keys, without giving them the ability to sign.
+ */
+const toExtendedPublicKey = extendedKey => {
+  // Your code here
+
+};
+
+/**
+ * A function which takes an extended key (private or public) and a number
+ * index, and returns the extended key for that child. If passed an extended
+ * private key, it should return an extended private key, and if passed an
+ * extended public key, it should return an extended public key.
+ *
+ * There are two kinds of children:
+ *   - hardened (index >= HARDENED_OFFSET): HMAC-SHA512 the byte 0x00, the
+ *     parent private key, and the index, using the parent chain code as the
+ *     HMAC key. These can only be derived from a private key, so throw an
+ *     Error if you are passed an extended public key.
+ *   - normal (index < HARDENED_OFFSET): HMAC-SHA512 the parent's compressed
+ *     public key and the index, using the parent chain code as the HMAC key.
+ *
+ * In both cases the index should be included as 4 big-endian bytes. The last
+ * 32 bytes of the digest are the child chain code. The first 32 bytes are a
+ * "tweak", which is added to the parent private key to get the child private
+ * key, or multiplied by the generator and added to the parent public key to
+ * get the child public key. Either way, the child public key will match.
+ *
+ * Example:
+ *   const child = deriveChild(master, HARDENED_OFFSET + 0);
+ *   console.log(child.privateKey);
+ *   // 'edb2e14f9ee77d26dd93b4ecede8d16ed408ce149b6cd80b0715a2d911a0afea'
+ *
+ * Hint:
+ *   Check out secp256k1's `privateKeyTweakAdd` and `publicKeyTweakAdd`
+ *   methods. They do all of the elliptic curve math for you.
+ *
+ * Note:
+ *   Very rarely (less than 1 in 2^127) a tweak will produce an invalid key.
+ *   BIP32 says to skip to the next index when that happens. Throwing an Error
+ *   is fine for our purposes.
+ */
+const deriveChild = (extendedKey, index) => {
+  // Your code here
+
+};
+
+/**
+ * This function is provided for you. It takes a derivation path string like
+ * "m/44'/0'/0'/0/1" and returns an array of numeric indexes. Indexes with an
+ * apostrophe (or an "h") are hardened, and are offset by HARDENED_OFFSET.
+ * Paths starting with "M" refer to public keys, but are otherwise identical.
+ *
+ * Example:
+ *   const indexes = parsePath("m/0'/1");
+ *   console.log(indexes);  // [ 2147483648, 1 ]
+ */
+const parsePath = path => {
+  const [ root, ...segments ] = path.split('/');
+  if (root !== 'm' && root !== 'M') {
+    throw new Error(`Invalid derivation path: ${path}`);
+  }
+
+  return segments.map(segment => {
+    const match = segment.match(/^(\d+)(['hH]?)$/);
+    if (!match || Number(match[1]) >= HARDENED_OFFSET) {
+      throw new Error(`Invalid derivation path: ${path}`);
+    }
+
+    const index = Number(match[1]);
+    return match[2] ? index + HARDENED_OFFSET : index;
+  });
+};
+
+/**
+ * A function which takes an extended key and a derivation path, returning
+ * the extended key found at the end of that path. Each index in the path
+ * is a child of the index before it, starting from the passed in key.
+ *
+ * Example:
+ *   const account = derivePath(master, "m/0'/1/2'");
+ *   console.log(account.privateKey);
+ *   // 'cbce0d719ecf7431d88e6a89fa1483e02e35092af60c042b1df2ff59fa424dca'
+ *
+ *   const publicAccount = derivePath(toExtendedPublicKey(master), 'M/0/1');
+ *   console.log(publicAccount.publicKey);
+ *   // '02e740d213a1aa5746c66bae1ecda3b95d7f64d4bf8aff9d93702fc302f28df0f1'
+ *
+ * Hint:
+ *   The private keys you derive are ordinary Secp256k1 private keys. You
+ *   should be able to pass them to `getPublicKey`, `sign`, and `verify` in
+ *   your signing module without any changes.
+ */
+const derivePath = (extendedKey, path) => {
+  // Your code here
+
+};
+
+module.exports = {
+  HARDENED_OFFSET,
+  MASTER_SECRET,
+  createMasterKey,
+  toExtendedPublicKey,
+  deriveChild,
+  parsePath,
+  derivePath
+};
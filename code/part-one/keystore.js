@@ -0,0 +1,97 @@
+'use strict';
+
+const {
+  randomBytes,
+  pbkdf2Sync,
+  createCipheriv,
+  createDecipheriv
+} = require('crypto');
+const signing = require('./signing');
+
+
+// The current version of the keystore format
+const KEYSTORE_VERSION = 1;
+
+// How many PBKDF2 iterations to use by default when encrypting a new key
+const DEFAULT_ITERATIONS = 100000;
+
+/**
+ * A function which takes a hex private key and a password, and encrypts the
+ * private key so it can be safely stored at rest. It optionally takes the
+ * number of PBKDF2 iterations to use, which defaults to DEFAULT_ITERATIONS.
+ * Returns the encrypted keystore as a JSON string with this format:
+ *   {
+ *     "version": 1,
+ *     "publicKey": <the 66 character hex public key>,
+ *     "kdf": {
+ *       "name": "pbkdf2",
+ *       "digest": "sha256",
+ *       "iterations": <the number of iterations>,
+ *       "salt": <a random 32 byte salt, as hex>
+ *     },
+ *     "cipher": {
+ *       "name": "aes-256-gcm",
+ *       "iv": <a random 12 byte initialization vector, as hex>,
+ *       "tag": <the 16 byte authentication tag, as hex>
+ *     },
+ *     "ciphertext": <the encrypted private key, as hex>
+ *   }
+ *
+ * The password should never be used as an encryption key directly. Instead,
+ * stretch it into a 32 byte key with PBKDF2 and the random salt, and then use
+ * that key to encrypt the private key bytes with AES-256-GCM. GCM is an
+ * "authenticated" cipher mode, which means it produces a tag that decryption
+ * will check, catching any tampering with the ciphertext. Include the hex
+ * public key as "additional authenticated data" (AAD), and the tag will
+ * protect it too, even though it is not encrypted.
+ *
+ * Example:
+ *   const keystore = exportKeystore(privateKey, 'correct horse battery');
+ *   console.log(JSON.parse(keystore).publicKey === getPublicKey(privateKey));
+ *   // true
+ *
+ * Hint:
+ *   Check out Node's `pbkdf2Sync` and `createCipheriv` methods. After you
+ *   call `final` on a GCM cipher, it will have a `getAuthTag` method.
+ */
+const exportKeystore = (
+  privateKey,
+  password,
+  iterations = DEFAULT_ITERATIONS
+) => {
+  // Enter your solution here
+
+};
+
+/**
+ * A function which takes a keystore JSON string and a password, and returns
+ * the decrypted hex private key. It should throw an Error if:
+ *   - the keystore is not valid JSON, or is missing any properties from the
+ *     format above (message: 'Invalid keystore')
+ *   - the version is anything other than KEYSTORE_VERSION
+ *     (message: 'Unsupported keystore version')
+ *   - the password is wrong, or any part of the keystore has been tampered
+ *     with (message: 'Incorrect password or corrupted keystore')
+ *
+ * There is no way to tell a wrong password apart from a modified file. Either
+ * way, the authentication tag will not match when you call `final` on your
+ * decipher, and it will throw. Make sure to catch that and throw a clearer
+ * error instead. As a last check, the decrypted private key should match the
+ * public key in the keystore.
+ *
+ * Example:
+ *   const privateKey = importKeystore(keystore, 'correct horse battery');
+ *   importKeystore(keystore, 'incorrect horse battery');
+ *   // Error: Incorrect password or corrupted keystore
+ */
+const importKeystore = (keystore, password) => {
+  // Your code here
+
+};
+
+module.exports = {
+  KEYSTORE_VERSION,
+  DEFAULT_ITERATIONS,
+  exportKeystore,
+  importKeystore
+};
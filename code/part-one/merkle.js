@@ -0,0 +1,95 @@
+'use strict';
+
+const { createHash } = require('crypto');
+
+
+// The Merkle root of a block with no transactions at all
+const EMPTY_MERKLE_ROOT = '0'.repeat(64);
+
+/**
+ * This function is provided for you. It takes two 64 character hex hashes,
+ * and returns a new 64 character hex hash of the two combined. Order matters,
+ * hashPair(a, b) and hashPair(b, a) are not the same!
+ *
+ * Example:
+ *   const parent = hashPair(left, right);
+ */
+const hashPair = (left, right) => {
+  return createHash('sha256')
+    .update(Buffer.from(left + right, 'hex'))
+    .digest('hex');
+};
+
+/**
+ * A function which takes an array of hex hashes (the "leaves" of the tree),
+ * and returns their Merkle root. To build the tree, hash each pair of
+ * neighboring hashes together with hashPair, giving you a new level half as
+ * long. Repeat until only one hash, the root, is left.
+ *
+ * Whenever a level has an odd number of hashes, the last one has no partner,
+ * so pair it with a copy of itself. A single hash is its own root, and an
+ * empty array should return EMPTY_MERKLE_ROOT.
+ *
+ * Example:
+ *   const root = getMerkleRoot([ a, b, c ]);
+ *   //           root
+ *   //         /      \
+ *   //     ab            cc
+ *   //    /  \          /  \
+ *   //   a    b        c    c
+ *   console.log(root === hashPair(hashPair(a, b), hashPair(c, c)));  // true
+ */
+const getMerkleRoot = hashes => {
+  // Enter your solution here
+
+};
+
+/**
+ * A function which takes an array of hex hashes and the index of one of them,
+ * and returns a "proof" that the hash at that index is in the tree. The proof
+ * is an array of the hashes paired with it on the way up to the root, each an
+ * object with two properties:
+ *   - hash: the hex hash of the sibling
+ *   - position: 'left' or 'right', which side of the pair the sibling is on
+ *
+ * When a hash is paired with a copy of itself, it is its own sibling, on the
+ * right. It should throw an Error if the index is out of range.
+ *
+ * Example:
+ *   const proof = getMerkleProof([ a, b, c ], 2);
+ *   console.log(proof);
+ *   // [
+ *   //   { hash: c, position: 'right' },
+ *   //   { hash: hashPair(a, b), position: 'left' }
+ *   // ]
+ */
+const getMerkleProof = (hashes, index) => {
+  // Your code here
+
+};
+
+/**
+ * A function which takes a hex hash, a proof from getMerkleProof, and a
+ * Merkle root. It returns true if the proof shows that the hash is one of
+ * the leaves of the tree with that root, or false otherwise. It should
+ * never throw.
+ *
+ * Note that this only needs one hash per level of the tree. A block with a
+ * million transactions needs a proof with just twenty hashes!
+ *
+ * Example:
+ *   console.log( verifyMerkleProof(c, proof, root) );  // true
+ *   console.log( verifyMerkleProof(a, proof, root) );  // false
+ */
+const verifyMerkleProof = (txHash, proof, root) => {
+  // Your code here
+
+};
+
+module.exports = {
+  EMPTY_MERKLE_ROOT,
+  hashPair,
+  getMerkleRoot,
+  getMerkleProof,
+  verifyMerkleProof
+};
@@ -0,0 +1,169 @@
+'use strict';
+
+const os = require('os');
+const { getNextTarget } = require('./mining');
+const { serializeBlock, deserializeBlock } = require('./storage');
+
+
+// How many worker threads a miner uses by default, one per CPU
+const WORKER_COUNT = os.cpus().length;
+
+// How many nonces a worker tries between each progress report
+const PROGRESS_INTERVAL = 1000;
+
+// Worker threads need Node 12 or higher, so they are only loaded once they
+// are needed, and the rest of the tests can still require this module
+const loadThreads = () => require('worker_threads');
+
+// Whether this file was loaded by a worker thread, never true without them
+const isWorkerThread = () => {
+  try {
+    return !loadThreads().isMainThread;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * A function which takes an unmined block, a target, and three numbers
+ * describing which nonces to try: the first nonce, the step between each
+ * nonce, and how many nonces to try in all. It calculates the block's hash
+ * with each nonce in turn, and returns the first nonce with a hash less than
+ * or equal to the target, or null if none of them worked.
+ *
+ * Using a step lets several workers split up the nonces without ever trying
+ * the same one twice. With two workers, one tries 0, 2, 4... and the other
+ * 1, 3, 5...
+ *
+ * Example:
+ *   const nonce = searchNonces(block, target, 1, 2, 3);  // tries 1, 3, 5
+ *   console.log(nonce);  // 3
+ *   console.log(block.hash <= target);  // true
+ */
+const searchNonces = (block, target, start, step, count) => {
+  // Enter your solution here
+
+};
+
+/**
+ * Mining a block can take a long time, and while `mine` is looping through
+ * nonces, nothing else can happen. No messages get handled, no new blocks
+ * get received. A Miner mines in the background instead, using Node's
+ * worker threads, so the rest of the program can keep running. Since each
+ * worker runs on its own thread, several workers can also use every CPU at
+ * once.
+ *
+ * Each worker is started by running this very file with `new Worker`. When
+ * loaded that way, the code at the bottom of this file searches for a nonce
+ * with searchNonces, and sends messages back to the miner:
+ *   - { type: 'progress', hashes }: after every PROGRESS_INTERVAL hashes
+ *     with no luck, where hashes is how many were just tried
+ *   - { type: 'found', nonce, hashes }: when a valid nonce is found, along
+ *     with how many hashes were tried since the last progress message
+ */
+class Miner {
+  /**
+   * This constructor is provided for you. It takes a MineableChain, a
+   * private key to collect rewards with, and how many workers to mine with.
+   *
+   * Properties:
+   *   - blockchain: the MineableChain passed in
+   *   - privateKey: the private key passed in
+   *   - workerCount: the number of workers passed in, or WORKER_COUNT
+   *   - workers: an array of the running workers, empty when not mining
+   *
+   * Hint:
+   *   You'll also need some way for cancel to stop the promise returned by
+   *   mine. This will only be used internally.
+   */
+  constructor(blockchain, privateKey, workerCount = WORKER_COUNT) {
+    this.blockchain = blockchain;
+    this.privateKey = privateKey;
+    this.workerCount = workerCount;
+    this.workers = [];
+  }
+
+  /**
+   * Starts mining a new block with the blockchain's createBlock method,
+   * and returns a Promise. Once a worker finds a valid nonce, stop every
+   * worker, pass the mined block to the blockchain's receiveBlock method
+   * (from the forks extra credit), and resolve with the block.
+   *
+   * Start each worker with `new Worker(__filename, { workerData })`, where
+   * Worker comes from `loadThreads()`, and workerData is an object with:
+   *   - block: the new block, serialized with serializeBlock (from the
+   *     storage extra credit)
+   *   - target: the target from getNextTarget (from the difficulty extra
+   *     credit)
+   *   - start: the first nonce for the worker to try, a different one for
+   *     each worker from 0 up to workerCount - 1
+   *   - step: the number of workers
+   *
+   * Whenever a worker reports progress, call onProgress (if passed) with an
+   * object describing every worker's progress so far:
+   *   - hashes: the total number of hashes tried
+   *   - hashRate: the hashes tried per second since mining started
+   *
+   * Mining should be cancelled, rejecting the Promise with an Error, if:
+   *   - cancel is called
+   *   - a worker reports progress or a nonce, but the blockchain's head
+   *     block has changed since mining started, because someone else's
+   *     block arrived first
+   *   - any worker has an error
+   *   - the Miner is already mining
+   *
+   * Example:
+   *   const miner = new Miner(blockchain, privateKey);
+   *   miner.mine(({ hashRate }) => console.log(hashRate))
+   *     .then(block => console.log(blockchain.getHeadBlock() === block));
+   *   // 1234.5
+   *   // 2345.6
+   *   // true
+   */
+  mine(onProgress = () => {}) {
+    // Your code here
+
+  }
+
+  /**
+   * Stops mining, terminating every worker, and rejects the Promise returned
+   * by mine with an Error. Does nothing if the Miner is not mining.
+   */
+  cancel() {
+    // Your code here
+
+  }
+}
+
+/**
+ * This code is provided for you. It only runs when this file is loaded by
+ * a worker thread. It rebuilds the block it was sent with deserializeBlock,
+ * and then searches through nonces one batch at a time, reporting back
+ * after each batch, until it finds one that works.
+ */
+if (isWorkerThread()) {
+  const { parentPort, workerData } = loadThreads();
+  const block = deserializeBlock(workerData.block);
+  const { target, step } = workerData;
+  let start = workerData.start;
+  let nonce = null;
+
+  while (nonce === null) {
+    nonce = searchNonces(block, target, start, step, PROGRESS_INTERVAL);
+
+    if (nonce === null) {
+      parentPort.postMessage({ type: 'progress', hashes: PROGRESS_INTERVAL });
+      start += step * PROGRESS_INTERVAL;
+    }
+  }
+
+  const hashes = (nonce - start) / step + 1;
+  parentPort.postMessage({ type: 'found', nonce, hashes });
+}
+
+module.exports = {
+  WORKER_COUNT,
+  PROGRESS_INTERVAL,
+  searchNonces,
+  Miner
+};
@@ -3,8 +3,191 @@
 const { createHash } = require('crypto');
 const signing = require('./signing');
 const { Block, Blockchain } = require('./blockchain');
+const { getTransactionHash } = require('./validation');
 
 
+// The maximum total size of the transactions a mempool will hold
+const MAX_MEMPOOL_SIZE = 100000;
+
+// The maximum total size of the transactions in a block, besides its reward
+const MAX_BLOCK_SIZE = 10000;
+
+// How many blocks are mined between each time the reward is cut in half
+const HALVING_INTERVAL = 1000;
+
+// The most funds mining rewards will ever create, all together
+const MAX_SUPPLY = 180000;
+
+// How many blocks must be mined before a reward can be spent, real
+// blockchains wait much longer, but 0 lets rewards be spent right away
+const COINBASE_MATURITY = 0;
+
+// How many milliseconds a mineable chain aims to take to mine each block
+const BLOCK_TIME = 1000;
+
+// How many blocks are mined between each change to the target
+const RETARGET_INTERVAL = 20;
+
+// How many previous blocks a new block's timestamp is compared against
+const MEDIAN_TIME_SPAN = 11;
+
+// How far into the future a block's timestamp may be, in milliseconds
+const MAX_FUTURE_TIME = 2 * 60 * 60 * 1000;
+
+// The easiest possible target, which every hash meets
+const MAX_TARGET = 'f'.repeat(128);
+
+/**
+ * This function is provided for you. It returns the "size" of a transaction,
+ * which we'll call the number of characters in its JSON string. Real
+ * blockchains measure the bytes a transaction takes up on disk, but this is
+ * close enough for our purposes.
+ */
+const getTransactionSize = transaction => {
+  return JSON.stringify(transaction).length;
+};
+
+/**
+ * This function is provided for you. It returns the fee rate of a
+ * transaction: its fee divided by its size. Miners don't care how big a fee
+ * is, only how big it is compared to the block space it takes up.
+ */
+const getFeeRate = transaction => {
+  return (transaction.fee || 0) / getTransactionSize(transaction);
+};
+
+/**
+ * This function is provided for you. It returns the amount of "work" it
+ * takes to mine a block at a particular difficulty. Each hex digit of a hash
+ * has a 1 in 16 chance of being a zero, so on average a miner will have to
+ * try 16 to the power of the difficulty hashes before finding a valid one.
+ */
+const getWork = difficulty => {
+  return Math.pow(16, difficulty);
+};
+
+/**
+ * This function is provided for you. It converts a difficulty into a
+ * _target_, the biggest hash which is still valid. A difficulty of 2 becomes
+ * a target of two zeros followed by 126 f's. Every hash is 128 hex digits
+ * long, so comparing them as strings works just like comparing numbers. Any
+ * hash less than or equal to the target is valid.
+ *
+ * Unlike a difficulty, a target doesn't have to be all zeros and f's. It can
+ * be any number at all, so it can be made harder or easier in tiny steps.
+ */
+const toTarget = difficulty => {
+  return '0'.repeat(difficulty) + MAX_TARGET.slice(difficulty);
+};
+
+/**
+ * This function is provided for you. Just like getWork, but for a target
+ * rather than a difficulty. The work is the number of possible hashes
+ * divided by the number of them that meet the target.
+ */
+const getTargetWork = target => {
+  const hashes = BigInt('0x1' + '0'.repeat(MAX_TARGET.length));
+  return Number(hashes / (BigInt('0x' + target) + BigInt(1)));
+};
+
+/**
+ * This function is provided for you. It takes a target, along with how long
+ * some blocks actually took to mine and how long they should have taken,
+ * and returns a new target scaled to match. If the blocks came too fast, the
+ * new target will be smaller and harder to meet. If they came too slow, it
+ * will be bigger and easier.
+ *
+ * So one strange batch of timestamps can't throw things off too badly, the
+ * target never changes by more than a factor of 4, and is never bigger than
+ * MAX_TARGET.
+ *
+ * Note:
+ *   Targets are much too big for regular JavaScript numbers, which would
+ *   round off most of their digits. Instead this uses BigInts, which can be
+ *   as large as they need to be.
+ */
+const adjustTarget = (target, actualTime, expectedTime) => {
+  const clamped = Math.min(Math.max(actualTime, expectedTime / 4),
+    expectedTime * 4);
+  const actual = BigInt(Math.max(Math.round(clamped), 1));
+  const expected = BigInt(Math.max(Math.round(expectedTime), 1));
+  const adjusted = BigInt('0x' + target) * actual / expected;
+
+  if (adjusted > BigInt('0x' + MAX_TARGET)) {
+    return MAX_TARGET;
+  }
+  return adjusted.toString(16).padStart(MAX_TARGET.length, '0');
+};
+
+/**
+ * EXTRA CREDIT
+ * Only needed for the difficulty extra credit. Remove `.skip` from line 39 of
+ * tests/21-ExtraCredit-Difficulty.js to test.
+ *
+ * With a fixed difficulty, blocks come faster as miners buy more computers,
+ * and slower if they give up. Real blockchains _retarget_ instead, making
+ * mining harder or easier to keep blocks coming at a steady pace.
+ *
+ * This function takes an array of blocks, from genesis up to the block a new
+ * block would be mined on top of, and the settings of a mineable chain:
+ *   - difficulty: the difficulty to start with
+ *   - blockTime: how many milliseconds each block should take to mine
+ *   - retargetInterval: how many blocks to mine between each retarget
+ *
+ * It returns the target the new block's hash must meet, using these rules:
+ *   - genesis is left out, its timestamp is made up
+ *   - the rest of the blocks are split into windows of retargetInterval
+ *     blocks each, starting from the block after genesis
+ *   - blocks in the first window use the target of the starting difficulty
+ *   - blocks in every other window use the target of the window before,
+ *     adjusted by how long that window took to mine: from the timestamp of
+ *     its first block to the timestamp of its last
+ *
+ * Since the time is measured from the first block to the last, a window
+ * should take `(retargetInterval - 1) * blockTime` milliseconds to mine.
+ *
+ * Example:
+ *   // Blocks 1 through 3 are the first window, and were mined 500ms apart
+ *   const settings = { difficulty: 2, blockTime: 1000, retargetInterval: 3 };
+ *   const next = getNextTarget(blocks.slice(0, 4), settings);
+ *   // The window should have taken 2000ms, but took 1000ms
+ *   console.log(getTargetWork(next) / getTargetWork(toTarget(2)));  // 2
+ */
+const getNextTarget = (blocks, { difficulty, blockTime, retargetInterval }) => {
+  // Your code here
+
+};
+
+/**
+ * EXTRA CREDIT
+ * Only needed for the issuance extra credit. Remove `.skip` from line 32 of
+ * tests/23-ExtraCredit-Issuance.js to test.
+ *
+ * A fixed reward creates new funds forever. Bitcoin instead cuts its reward
+ * in half every so often, and will never create more than 21 million coins.
+ * This function takes the height of a block, and the settings of a mineable
+ * chain:
+ *   - reward: the reward for the first blocks
+ *   - halvingInterval: how many blocks to mine between each halving
+ *   - maxSupply: the most funds rewards may ever create
+ *
+ * It returns the reward (not counting fees) for a block at that height. The
+ * first halvingInterval blocks after genesis get the full reward, the next
+ * halvingInterval get half of it, then a quarter, and so on, always rounding
+ * down to a whole number. But once the rewards of every block so far would
+ * add up to more than maxSupply, the reward is cut to just what is left,
+ * and every block after that gets 0.
+ *
+ * Example:
+ *   const settings = { reward: 100, halvingInterval: 2, maxSupply: 320 };
+ *   console.log([ 1, 2, 3, 4, 5, 6 ].map(h => getBlockReward(h, settings)));
+ *   // [ 100, 100, 50, 50, 20, 0 ]
+ */
+const getBlockReward = (height, { reward, halvingInterval, maxSupply }) => {
+  // Your code here
+
+};
+
 /**
  * A slightly modified version of a transaction. It should work mostly the
  * the same as the non-mineable version, but now recipient is optional,
@@ -16,13 +199,64 @@ class MineableTransaction {
    * If recipient is omitted, this is a reward transaction. The _source_ should
    * then be set to `null`, while the _recipient_ becomes the public key of the
    * signer.
+   *
+   * EXTRA CREDIT
+   * Only needed for the replay protection extra credit. Just like the
+   * non-mineable version, it may also be passed a nonce. Reward transactions
+   * have no source, so they never need one.
+   *
+   * EXTRA CREDIT
+   * Only needed for the fees extra credit. It may also be passed a fee, which
+   * will be paid to whoever mines the transaction. If the fee is anything
+   * other than 0, set it as a `fee` property, and sign it too, by appending a
+   * slash and the fee to the end of the message (after any nonce):
+   *   source + recipient + amount + ':' + nonce + '/' + fee
+   *
+   * Reward transactions never have a fee.
    */
-  constructor(privateKey, recipient = null, amount) {
+  constructor(privateKey, recipient = null, amount, nonce = null, fee = 0) {
     // Enter your solution here
 
   }
 }
 
+/**
+ * EXTRA CREDIT
+ * Only needed for the mining pool extra credit. Remove `.skip` from line
+ * 70 of tests/25-ExtraCredit-Pool.js to test.
+ *
+ * A reward which is split between several recipients, so a mining pool can
+ * pay everyone who helped mine a block right in the block itself. It works
+ * like any other reward, except that instead of the signer, each recipient
+ * in its outputs is credited with their amount.
+ */
+class CoinbaseTransaction extends MineableTransaction {
+  /**
+   * Accepts a private key, and an array of outputs, each an object with a
+   * recipient and an amount. The source should be null, and the recipient
+   * the signer's public key, just like a regular reward.
+   *
+   * Properties:
+   *   - source: null
+   *   - recipient: the signer's public key
+   *   - amount: the sum of every output's amount
+   *   - outputs: the passed in outputs
+   *   - signature: a signature of the source, recipient, amount, and JSON
+   *     stringified outputs
+   *
+   * Example:
+   *   const coinbase = new CoinbaseTransaction(privateKey, [
+   *     { recipient: alice, amount: 60 },
+   *     { recipient: bob, amount: 40 }
+   *   ]);
+   *   console.log(coinbase.amount);  // 100
+   */
+  constructor(privateKey, outputs) {
+    // Your code here
+
+  }
+}
+
 /**
  * Almost identical to the non-mineable block. In fact, we'll extend it
  * so we can reuse the calculateHash method.
@@ -32,8 +266,75 @@ class MineableBlock extends Block {
    * Unlike the non-mineable block, when this one is initialized, we want the
    * hash and nonce to not be set. This Block starts invalid, and will
    * become valid after it is mined.
+   *
+   * EXTRA CREDIT
+   * Only needed for the difficulty extra credit. Blocks should also record
+   * when they were mined. Save the passed timestamp, which defaults to the
+   * current time in milliseconds, as a `timestamp` property.
    */
-  constructor(transactions, previousHash) {
+  constructor(transactions, previousHash, timestamp = Date.now()) {
+    // Your code here
+
+  }
+}
+
+/**
+ * EXTRA CREDIT
+ * Only needed for the fees extra credit. Remove `.skip` from line 37 of
+ * tests/16-ExtraCredit-Fees.js to test.
+ *
+ * A "memory pool" of transactions waiting to be mined. Miners want the fees
+ * that will earn them the most for their block space, so the mempool keeps
+ * its transactions sorted by fee rate, highest first. It also can't grow
+ * forever, so when it gets too big, the transactions with the lowest fee
+ * rates are thrown out.
+ */
+class Mempool {
+  /**
+   * Properties:
+   *   - maxSize: a number, the largest total size the transactions in the
+   *     mempool may have, defaulting to MAX_MEMPOOL_SIZE
+   *   - transactions: an array of transactions, sorted from the highest fee
+   *     rate to the lowest
+   */
+  constructor(maxSize = MAX_MEMPOOL_SIZE) {
+    // Your code here
+
+  }
+
+  /**
+   * Returns the total size of every transaction in the mempool.
+   */
+  getSize() {
+    // Your code here
+
+  }
+
+  /**
+   * Takes a transaction and inserts it in order of its fee rate. Transactions
+   * with the same fee rate should stay in the order they were added. Then, if
+   * the mempool is over its max size, it should drop the transactions with
+   * the lowest fee rates until it fits again.
+   *
+   * Returns true if the new transaction is still in the mempool, or false if
+   * it was thrown out.
+   *
+   * Example:
+   *   const mempool = new Mempool(1000);
+   *   mempool.add(new MineableTransaction(privateKey, recipient, 10, null, 5));
+   *   mempool.add(new MineableTransaction(privateKey, recipient, 10, null, 9));
+   *   console.log(mempool.transactions.map(({ fee }) => fee));  // [ 9, 5 ]
+   */
+  add(transaction) {
+    // Your code here
+
+  }
+
+  /**
+   * Takes an array of transactions and removes each of them from the
+   * mempool. Transactions that aren't in the mempool are ignored.
+   */
+  remove(transactions) {
     // Your code here
 
   }
@@ -60,6 +361,44 @@ class MineableChain extends Blockchain {
    * Hint:
    *   You'll also need some sort of property to store pending transactions.
    *   This will only be used internally.
+   *
+   * EXTRA CREDIT
+   * Only needed for the fees extra credit. Instead of a plain array, store
+   * pending transactions in a new Mempool, and add one more setting:
+   *   - mempool: a Mempool of pending transactions
+   *   - maxBlockSize: a number, the largest total size of the transactions
+   *     mined into a block (not counting the reward), set to MAX_BLOCK_SIZE
+   *
+   * EXTRA CREDIT
+   * Only needed for the indexing extra credit. If you replace the genesis
+   * block, rebuild the index.
+   *
+   * EXTRA CREDIT
+   * Only needed for the forks extra credit. You'll also need some sort of
+   * property to store every block you know about, including the blocks on
+   * side branches, with the height and total work of the branch each one
+   * ends. This will only be used internally.
+   *
+   * EXTRA CREDIT
+   * Only needed for the difficulty extra credit. Now difficulty is just the
+   * starting point, and two more settings control how it changes:
+   *   - blockTime: a number, how many milliseconds each block should take to
+   *     mine, set to BLOCK_TIME
+   *   - retargetInterval: a number, how many blocks are mined between each
+   *     retarget, set to RETARGET_INTERVAL
+   *
+   * Every node must agree on the genesis block, so give it a timestamp of 0,
+   * rather than the time the blockchain was created.
+   *
+   * EXTRA CREDIT
+   * Only needed for the issuance extra credit. Now reward is just the reward
+   * for the first blocks, and three more settings control issuance:
+   *   - halvingInterval: a number, how many blocks to mine between each
+   *     halving of the reward, set to HALVING_INTERVAL
+   *   - maxSupply: a number, the most funds rewards may ever create, set to
+   *     MAX_SUPPLY
+   *   - maturity: a number, how many blocks must be mined after a reward
+   *     before it can be spent, set to COINBASE_MATURITY
    */
   constructor() {
     // Your code here
@@ -76,12 +415,29 @@ class MineableChain extends Blockchain {
   /**
    * Instead of blocks, we add pending transactions. This method should take a
    * mineable transaction and simply store it until it can be mined.
+   *
+   * EXTRA CREDIT
+   * Only needed for the fees extra credit. Add the transaction to the
+   * mempool, returning true if it was kept, or false if its fee rate was too
+   * low to make the cut.
    */
   addTransaction(transaction) {
     // Your code here
 
   }
 
+  /**
+   * EXTRA CREDIT
+   * Only needed for the replay protection extra credit. Works like the
+   * original getNextNonce, but should also count any pending transactions.
+   * Otherwise, sending two transactions before the next block is mined would
+   * give both of them the same nonce.
+   */
+  getNextNonce(publicKey) {
+    // Your code here
+
+  }
+
   /**
    * This method takes a private key, and uses it to create a new transaction
    * rewarding the owner of the key. This transaction should be combined with
@@ -95,11 +451,162 @@ class MineableChain extends Blockchain {
    *
    * Hint:
    *   Don't forget to clear your pending transactions after you're done.
+   *
+   * EXTRA CREDIT
+   * Only needed for the fees extra credit. Blocks have limited space now, so
+   * instead of mining every pending transaction, pick the most profitable
+   * ones that fit within maxBlockSize. Going through the mempool from the
+   * highest fee rate to the lowest is a good enough strategy. Anything left
+   * out stays in the mempool for the next block.
+   *
+   * The reward transaction should pay out the reward _plus_ every fee in the
+   * block. The reward doesn't count toward the block size.
+   *
+   * Hint:
+   *   If you did the replay protection extra credit, be careful not to mine a
+   *   transaction before an earlier nonce from the same sender. A high fee
+   *   transaction may have to wait until its lower fee predecessor is
+   *   included, which may take more than one pass over the mempool.
+   *
+   * EXTRA CREDIT
+   * Only needed for the indexing extra credit. Index the new block.
+   *
+   * EXTRA CREDIT
+   * Only needed for the forks extra credit. Instead of adding the new block
+   * to the chain yourself, pass it to receiveBlock, just like a block mined
+   * by anyone else.
+   *
+   * EXTRA CREDIT
+   * Only needed for the difficulty extra credit. Rather than counting zeros,
+   * keep trying nonces until the hash is less than or equal to the target
+   * from getNextTarget.
+   *
+   * EXTRA CREDIT
+   * Only needed for the issuance extra credit. Instead of the reward
+   * setting, the reward transaction should pay out what getBlockReward
+   * returns for the new block's height, plus any fees.
    */
   mine(privateKey) {
     // Your code here
 
   }
+
+  /**
+   * EXTRA CREDIT
+   * Only needed for the worker mining extra credit. Does the first half of
+   * mine's job: takes a private key, and returns a new block on top of the
+   * head block, with transactions from the mempool (from the fees extra
+   * credit) and a reward for the owner of the key. The block isn't mined
+   * yet, and isn't added to the chain. Once this works, mine can use it too.
+   *
+   * EXTRA CREDIT
+   * Only needed for the issuance extra credit. Just like in mine, the reward
+   * comes from getBlockReward now, plus any fees.
+   */
+  createBlock(privateKey) {
+    // Your code here
+
+  }
+
+  /**
+   * EXTRA CREDIT
+   * Only needed for the forks extra credit. Remove `.skip` from line 40 of
+   * tests/19-ExtraCredit-Forks.js to test.
+   *
+   * Two miners may find a block at almost the same time, both building on
+   * the same previous block. Now there is a _fork_, and for a while the
+   * network may disagree about which branch is the real one. This method
+   * accepts a mined block from anyone, and adds it to a tree of every known
+   * block, and then makes the branch with the most total work the active
+   * chain in `blocks`.
+   *
+   * It should throw an Error if the block's previous hash is unknown, if its
+   * hash does not start with the right number of zeros, or if its hash is
+   * not the one calculated from its contents and nonce. A block that has
+   * already been received should just be ignored.
+   *
+   * The total work of a branch is the sum of the work (from `getWork`) of
+   * every block in it. When a new block gives a side branch more work than
+   * the active chain, that branch becomes the new active chain. This is
+   * called a _reorganization_, or "reorg". A branch with only equal work is
+   * not enough, the first branch seen wins a tie.
+   *
+   * Returns an object describing how the active chain changed:
+   *   - connected: an array of blocks added to the active chain, oldest first
+   *   - disconnected: an array of blocks removed from the active chain,
+   *     newest first
+   *
+   * Any transactions in the connected blocks should be removed from the
+   * mempool (from the fees extra credit), and any transactions in the
+   * disconnected blocks which are not in the new branch should go back into
+   * it, except for rewards. Those were only valid on the branch they were
+   * mined on.
+   *
+   * Example:
+   *   //             +-- B1 <-- B2     (side branch)
+   *   //   G <-- A1 <+
+   *   //             +-- A2            (active chain)
+   *   const { connected, disconnected } = blockchain.receiveBlock(B2);
+   *   console.log(connected);  // [ B1, B2 ]
+   *   console.log(disconnected);  // [ A2 ]
+   *
+   * Hint:
+   *   To find where the branches split, walk back from the new block using
+   *   each previous hash until you find a block which is on the active chain.
+   *
+   * EXTRA CREDIT
+   * Only needed for the difficulty extra credit. The block's hash must meet
+   * the target getNextTarget returns for the branch it builds on, and its
+   * work comes from getTargetWork instead of getWork.
+   */
+  receiveBlock(block) {
+    // Your code here
+
+  }
+
+  /**
+   * EXTRA CREDIT
+   * Only needed for the forks extra credit. Returns an array of the last
+   * block of every known branch, including the head of the active chain.
+   */
+  getTips() {
+    // Your code here
+
+  }
+
+  /**
+   * EXTRA CREDIT
+   * Only needed for the networking extra credit. Accepts the hash of any
+   * block received so far, on any branch, and returns an array of every
+   * block from genesis up to and including that one. Returns null if the
+   * hash is unknown.
+   */
+  getBranch(hash) {
+    // Your code here
+
+  }
+
+  /**
+   * EXTRA CREDIT
+   * Only needed for the issuance extra credit. Accepts the height of a block
+   * on the active chain, defaulting to the head block, and returns the total
+   * funds created by the rewards of every block up to and including it.
+   *
+   * Fees don't create any new funds, they just move existing funds to the
+   * miner. So only count what each reward transaction pays _beyond_ the fees
+   * in its block. If a block has no reward at all, its fees are never paid
+   * to anyone, and they leave circulation for good.
+   *
+   * Example:
+   *   blockchain.mine(privateKey);
+   *   blockchain.mine(privateKey);
+   *   console.log(blockchain.getCirculatingSupply());  // 200
+   *   console.log(blockchain.getCirculatingSupply(1));  // 100
+   */
+  getCirculatingSupply(height = this.blocks.length - 1) {
+    // Your code here
+
+  }
 }
 
 /**
@@ -116,6 +623,51 @@ class MineableChain extends Blockchain {
  *     than the reward
  *   - any public key that ever goes into a negative balance by sending
  *     funds they don't have
+ *
+ * EXTRA CREDIT
+ * Only needed for the replay protection extra credit. Just like
+ * isValidChain, it should also reject any blockchain with duplicate,
+ * missing, or out of order nonces.
+ *
+ * EXTRA CREDIT
+ * Only needed for the fees extra credit. The reward transaction should now
+ * have an amount equal to the reward plus the fees of every other
+ * transaction in its block, and a sender's balance must cover both the
+ * amount and fee of each transaction they send. Also reject a blockchain
+ * with any negative fees, or any block with transactions (not counting the
+ * reward) bigger than the blockchain's maxBlockSize.
+ *
+ * EXTRA CREDIT
+ * Only needed for the issuance extra credit. Each reward must now be what
+ * getBlockReward returns for its block's height (plus the fees). And a
+ * reward can't be spent too soon. Reject any blockchain where a public key
+ * sends funds they could only afford by counting rewards mined fewer than
+ * `maturity` blocks before.
+ *
+ * Example:
+ *   // With a maturity of 2, a reward mined in block 5 can be spent in
+ *   // block 7 or later
+ *
+ * EXTRA CREDIT
+ * Only needed for the difficulty extra credit. Instead of counting zeros,
+ * check that each block's hash meets the target getNextTarget returns for
+ * the blocks before it. Miners pick their own timestamps though, and a
+ * miner who lied about them could make mining easier for themselves. So
+ * also reject any block with a timestamp:
+ *   - earlier than the median timestamp of the MEDIAN_TIME_SPAN blocks
+ *     before it (or of every block before it, if there are fewer)
+ *   - more than MAX_FUTURE_TIME milliseconds after the current time
+ *
+ * Hint:
+ *   Why the median and not just the previous block? Clocks are never
+ *   perfectly in sync. Honest miners may be a little off, but the median
+ *   can't be dragged around by a single block.
+ *
+ * EXTRA CREDIT
+ * Only needed for the mining pool extra credit. A reward with outputs
+ * credits each of their recipients instead of its own, and each of those
+ * rewards must mature separately. Reject any reward whose outputs have an
+ * amount that is not positive, or which don't add up to its amount.
  */
 const isValidMineableChain = blockchain => {
   // Your code here
@@ -123,8 +675,28 @@ const isValidMineableChain = blockchain => {
 };
 
 module.exports = {
+  MAX_MEMPOOL_SIZE,
+  MAX_BLOCK_SIZE,
+  HALVING_INTERVAL,
+  MAX_SUPPLY,
+  COINBASE_MATURITY,
+  getTransactionSize,
+  getFeeRate,
+  BLOCK_TIME,
+  RETARGET_INTERVAL,
+  MEDIAN_TIME_SPAN,
+  MAX_FUTURE_TIME,
+  MAX_TARGET,
+  getWork,
+  toTarget,
+  getTargetWork,
+  adjustTarget,
+  getNextTarget,
+  getBlockReward,
   MineableTransaction,
+  CoinbaseTransaction,
   MineableBlock,
+  Mempool,
   MineableChain,
   isValidMineableChain
 };
@@ -0,0 +1,134 @@
+'use strict';
+
+const { randomBytes, createHash, pbkdf2Sync } = require('crypto');
+const { createMasterKey, derivePath } = require('./derivation');
+
+// The 2048 words of the BIP39 English word list, in order
+const WORDLIST = require('./wordlist.json');
+
+// The derivation path used when converting a mnemonic to a private key
+const DEFAULT_PATH = "m/44'/0'/0'/0/0";
+
+/**
+ * A function which takes hexadecimal entropy and encodes it as a mnemonic
+ * phrase: a string of words from the BIP39 word list, separated by single
+ * spaces. The entropy must be 16, 20, 24, 28, or 32 bytes long, otherwise it
+ * should throw an Error.
+ *
+ * To build the phrase:
+ *   1. SHA-256 hash the entropy bytes, and take the first (length / 32) bits
+ *      of the hash as a checksum, i.e. 4 bits for 128 bits of entropy.
+ *   2. Append the checksum bits to the end of the entropy bits.
+ *   3. Split those bits into 11-bit groups. Each group is a number from 0 to
+ *      2047, the index of a word in WORDLIST.
+ *
+ * Example:
+ *   const phrase = entropyToMnemonic('00000000000000000000000000000000');
+ *   console.log(phrase);
+ *   // 'abandon abandon abandon abandon abandon abandon abandon abandon ...'
+ *
+ * Hint:
+ *   Binary strings like '01101' are an easy (if inefficient) way to work with
+ *   groups of bits that do not line up with byte boundaries. Check out
+ *   `Number.prototype.toString(2)` and `parseInt(bits, 2)`.
+ */
+const entropyToMnemonic = entropy => {
+  // Enter your solution here
+
+};
+
+/**
+ * The reverse of entropyToMnemonic. A function which takes a mnemonic phrase
+ * and returns the original entropy as a hex string. It should throw an Error
+ * if the phrase:
+ *   - has a number of words other than 12, 15, 18, 21, or 24
+ *   - includes any word not found in WORDLIST
+ *   - has a checksum that does not match its entropy
+ *
+ * That last check is important. A user who makes a typo while writing down
+ * or entering their phrase should get an error, not a different key.
+ */
+const mnemonicToEntropy = mnemonic => {
+  // Your code here
+
+};
+
+/**
+ * A function which takes a mnemonic phrase and returns true if it is valid,
+ * or false if mnemonicToEntropy would reject it.
+ */
+const isValidMnemonic = mnemonic => {
+  // Your code here
+
+};
+
+/**
+ * A function which generates a new random mnemonic phrase. It optionally
+ * takes the strength of the phrase in bits, which must be a multiple of 32
+ * from 128 to 256. Defaults to 128 bits, which is a 12 word phrase.
+ *
+ * Example:
+ *   const phrase = createMnemonic();
+ *   console.log(phrase);
+ *   // 'ozone drill grab fiber curtain grace pudding thank cruise elder ...'
+ */
+const createMnemonic = (strength = 128) => {
+  // Your code here
+
+};
+
+/**
+ * A function which takes a mnemonic phrase and an optional passphrase, and
+ * returns a 64 byte seed as a 128 character hex string. This is the seed you
+ * can pass to `createMasterKey` in your derivation module.
+ *
+ * The seed is generated with PBKDF2, using HMAC-SHA512 and 2048 iterations.
+ * The password is the mnemonic itself, and the salt is the string 'mnemonic'
+ * followed by the passphrase. Both should be normalized with NFKD first.
+ * Note that the checksum is *not* verified here. Any phrase and passphrase
+ * will produce a seed, so a different passphrase is a different wallet.
+ *
+ * Example:
+ *   // Using the 'abandon abandon ... about' phrase from above
+ *   const seed = mnemonicToSeed(phrase, 'TREZOR');
+ *   console.log(seed);
+ *   // 'c55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e53495531f...'
+ *
+ * Hint:
+ *   Node's crypto module has a `pbkdf2Sync` function. And strings have a
+ *   `normalize` method.
+ */
+const mnemonicToSeed = (mnemonic, passphrase = '') => {
+  // Your code here
+
+};
+
+/**
+ * A function which takes a mnemonic phrase, an optional passphrase, and an
+ * optional derivation path, returning the hex private key found at that path.
+ * This is the key a user would actually sign transactions with, so unlike
+ * mnemonicToSeed, it should throw an Error if the phrase is invalid.
+ *
+ * Example:
+ *   const privateKey = mnemonicToPrivateKey(phrase);
+ *   const publicKey = getPublicKey(privateKey);
+ */
+const mnemonicToPrivateKey = (
+  mnemonic,
+  passphrase = '',
+  path = DEFAULT_PATH
+) => {
+  // Your code here
+
+};
+
+module.exports = {
+  WORDLIST,
+  DEFAULT_PATH,
+  entropyToMnemonic,
+  mnemonicToEntropy,
+  isValidMnemonic,
+  createMnemonic,
+  mnemonicToSeed,
+  mnemonicToPrivateKey
+};
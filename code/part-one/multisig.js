@@ -0,0 +1,83 @@
+'use strict';
+
+const { createHash } = require('crypto');
+const signing = require('./signing');
+
+
+/**
+ * A function which takes an array of hex public keys and a number threshold,
+ * and creates a new M-of-N multisig "account". Funds sent to this account can
+ * only be spent by a transaction signed by at least `threshold` of the keys.
+ * It should throw an Error if the threshold is not an integer from 1 to the
+ * number of keys, or if any key is duplicated.
+ *
+ * Returns an object with three properties:
+ *   - id: a unique 64 character hex string identifying the account, which
+ *     can be used like a public key as a source, recipient, or for balances
+ *   - threshold: the passed in threshold
+ *   - publicKeys: the passed in public keys, sorted
+ *
+ * The id should be a SHA-256 hash of the threshold and the sorted public keys,
+ * so the same keys and threshold always create the same account, regardless
+ * of the order the keys were passed in.
+ *
+ * Example:
+ *   const treasury = createMultisigAccount([ alice, bob, carol ], 2);
+ *   console.log(treasury.id.length);  // 64
+ *   const same = createMultisigAccount([ carol, alice, bob ], 2);
+ *   console.log(same.id === treasury.id);  // true
+ *   console.log(blockchain.getBalance(treasury.id));
+ *   // 0
+ */
+const createMultisigAccount = (publicKeys, threshold) => {
+  // Enter your solution here
+
+};
+
+/**
+ * A transaction which sends funds from a multisig account. Unlike a normal
+ * Transaction, it is not signed when it is created. Instead it is passed
+ * around between the holders of the account's keys, each of whom adds their
+ * own signature, until there are enough to meet the threshold.
+ */
+class MultisigTransaction {
+  /**
+   * The constructor accepts a multisig account, a recipient, and a number
+   * amount. The recipient may be a public key or another multisig account id.
+   *
+   * Properties:
+   *   - source: the id of the multisig account
+   *   - account: the multisig account, so validators know which keys and
+   *     threshold to check the signatures against
+   *   - recipient: the provided recipient
+   *   - amount: the provided amount
+   *   - signatures: an object with public keys as keys, and signatures as
+   *     values, initially empty
+   */
+  constructor(account, recipient, amount) {
+    // Your code here
+
+  }
+
+  /**
+   * Accepts a hex private key, and adds its signature to the signatures
+   * object. The signed message is the same as for a normal Transaction:
+   * the source, recipient, and amount. It should throw an Error if the
+   * private key does not belong to one of the account's public keys.
+   *
+   * Example:
+   *   const transaction = new MultisigTransaction(treasury, dave, 100);
+   *   transaction.sign(alicePrivateKey);
+   *   transaction.sign(carolPrivateKey);
+   *   console.log(Object.keys(transaction.signatures).length);  // 2
+   */
+  sign(privateKey) {
+    // Your code here
+
+  }
+}
+
+module.exports = {
+  createMultisigAccount,
+  MultisigTransaction
+};
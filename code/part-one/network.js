@@ -0,0 +1,255 @@
+'use strict';
+
+const { createHash } = require('crypto');
+const { isValidTransaction, getTransactionHash } = require('./validation');
+const {
+  getNextTarget,
+  MineableBlock,
+  MineableChain,
+  isValidMineableChain
+} = require('./mining');
+const { hydrate, serializeBlock, deserializeBlock } = require('./storage');
+
+
+/**
+ * This function is provided for you. It returns the "header" of a block:
+ * everything needed to calculate its hash, without any of its transactions.
+ * Headers are tiny, so nodes can download and check a whole chain of them
+ * before bothering with the blocks themselves.
+ */
+const getHeader = ({ previousHash, merkleRoot, timestamp, nonce, hash }) => {
+  return { previousHash, merkleRoot, timestamp, nonce, hash };
+};
+
+/**
+ * This class is provided for you. It is a pretend network, which delivers
+ * messages between nodes in the same process. Every message is copied
+ * through JSON on the way, just like it would be over a real connection,
+ * so nodes never share any objects.
+ *
+ * Messages are delivered in the order they were sent. Any messages a node
+ * sends while handling another are queued up and delivered after, so news
+ * spreads through the network one hop at a time. Either way, every message
+ * has been delivered by the time the first `send` returns.
+ */
+class Network {
+  constructor() {
+    this._queue = [];
+    this._isDelivering = false;
+  }
+
+  /**
+   * Connects two nodes, adding each to the other's peers.
+   */
+  connect(node, peer) {
+    if (!node.peers.includes(peer)) {
+      node.peers.push(peer);
+      peer.peers.push(node);
+    }
+  }
+
+  /**
+   * Disconnects two nodes, removing each from the other's peers.
+   */
+  disconnect(node, peer) {
+    node.peers = node.peers.filter(other => other !== peer);
+    peer.peers = peer.peers.filter(other => other !== node);
+  }
+
+  /**
+   * Sends a message from one node to another, calling the receiving node's
+   * handleMessage method with the sender and a copy of the message. Messages
+   * to nodes which are not connected are dropped.
+   */
+  send(from, to, message) {
+    if (!from.peers.includes(to)) {
+      return;
+    }
+
+    this._queue.push({ from, to, message: JSON.stringify(message) });
+    if (this._isDelivering) {
+      return;
+    }
+
+    this._isDelivering = true;
+    try {
+      while (this._queue.length > 0) {
+        const next = this._queue.shift();
+        next.to.handleMessage(next.from, JSON.parse(next.message));
+      }
+    } finally {
+      this._isDelivering = false;
+    }
+  }
+}
+
+/**
+ * A node on our network. Each node has its own blockchain, and keeps it up
+ * to date by swapping messages with its peers. There are five types of
+ * message, each an object with a `type` property:
+ *   - { type: 'transaction', transaction }: a new pending transaction
+ *   - { type: 'block', block }: a new block, as a JSON string from
+ *     serializeBlock
+ *   - { type: 'getHeaders', locator }: a request for block headers, where
+ *     locator is an array of the hashes on the sender's active chain, newest
+ *     first
+ *   - { type: 'headers', headers }: a reply to getHeaders, an array of
+ *     headers from getHeader, oldest first
+ *   - { type: 'getBlocks', hashes }: a request for the blocks with each hash
+ *
+ * Nodes should never trust their peers. Everything received must be checked
+ * before it is accepted, and anything invalid just ignored.
+ */
+class Node {
+  /**
+   * This constructor is provided for you. It takes the network to join, and
+   * a private key to collect mining rewards with.
+   *
+   * Properties:
+   *   - network: the network passed in
+   *   - privateKey: the private key passed in
+   *   - blockchain: a new MineableChain
+   *   - peers: an array of the connected nodes, initially empty
+   */
+  constructor(network, privateKey) {
+    this.network = network;
+    this.privateKey = privateKey;
+    this.blockchain = new MineableChain();
+    this.peers = [];
+  }
+
+  /**
+   * This method is provided for you. Connects this node to another one.
+   */
+  connect(peer) {
+    this.network.connect(this, peer);
+  }
+
+  /**
+   * This method is provided for you. Sends a message to a single peer.
+   */
+  send(peer, message) {
+    this.network.send(this, peer, message);
+  }
+
+  /**
+   * This method is provided for you. Sends a message to every peer, except
+   * for the one passed as `except`, usually the peer it came from.
+   */
+  broadcast(message, except = null) {
+    this.peers
+      .filter(peer => peer !== except)
+      .forEach(peer => this.send(peer, message));
+  }
+
+  /**
+   * Takes a new transaction, and if it is valid, adds it to the blockchain's
+   * mempool and "gossips" it to every peer, except the one it came from (if
+   * any). Returns true if the transaction was added, or false if it was
+   * ignored.
+   *
+   * A transaction should be ignored if it is a reward, if it is invalid
+   * according to isValidTransaction, if it is already in the mempool or on
+   * the chain, or if the mempool would not keep it. Checking for
+   * transactions it already has is important! Without it, nodes would gossip
+   * the same transaction back and forth forever.
+   *
+   * Example:
+   *   alice.addTransaction(new MineableTransaction(privateKey, bob, 10));
+   *   console.log(carol.blockchain.mempool.transactions.length);  // 1
+   */
+  addTransaction(transaction, from = null) {
+    // Your code here
+
+  }
+
+  /**
+   * Takes a block, and if it is valid, passes it to the blockchain's
+   * receiveBlock method and gossips it to every peer except the one it came
+   * from. Returns true if the block was added, or false if it was ignored.
+   *
+   * A block should be ignored if it has already been received, or if it is
+   * not a MineableBlock. Otherwise, to check if it is valid, get the branch
+   * it builds on with getBranch, and then make sure that:
+   *   - every transaction besides the reward passes isValidTransaction
+   *   - that branch plus the new block passes isValidMineableChain
+   *   - receiveBlock does not throw
+   *
+   * If the block's previous hash is unknown, this node must have missed
+   * something. It should ignore the block, but sync with the peer it came
+   * from to catch up.
+   *
+   * Hint:
+   *   isValidMineableChain only needs the difficulty, reward, and other
+   *   settings of a blockchain, along with its blocks. An object with the
+   *   same properties as this node's blockchain, but different blocks, will
+   *   work just fine.
+   */
+  receiveBlock(block, from = null) {
+    // Your code here
+
+  }
+
+  /**
+   * Mines a new block with this node's private key, and gossips it to every
+   * peer. Returns the new block.
+   */
+  mine() {
+    // Your code here
+
+  }
+
+  /**
+   * Starts catching up with a peer by sending it a getHeaders message, with
+   * the hashes of every block on this node's active chain as the locator.
+   */
+  sync(peer) {
+    // Your code here
+
+  }
+
+  /**
+   * Takes the peer which sent a message, and the message itself, and
+   * responds depending on its type:
+   *   - transaction: re-hydrate it into a MineableTransaction and pass it to
+   *     addTransaction
+   *   - block: deserialize it and pass it to receiveBlock, ignoring it if it
+   *     can't be deserialized
+   *   - getHeaders: find the first hash in the locator which is on this
+   *     node's active chain, and reply with the headers of every active
+   *     block after it
+   *   - headers: check the headers, and reply with a getBlocks message for
+   *     any blocks this node doesn't have yet
+   *   - getBlocks: reply with a block message for each hash this node knows
+   *
+   * Any other type of message should be ignored.
+   *
+   * This is called "headers-first" syncing. Checking headers is cheap, and
+   * they're enough to check each block's proof of work and that they are
+   * linked together properly. So before downloading a single transaction,
+   * a node should make sure that the first header builds on a block it
+   * already has, and that each of them has:
+   *   - a previous hash matching the hash of the header before it
+   *   - a hash calculated correctly from its previous hash, Merkle root, and
+   *     nonce (just like a Block)
+   *   - a hash with the right number of zeros for the blockchain's difficulty
+   * If any header is invalid, ignore the whole message.
+   *
+   * EXTRA CREDIT
+   * Only needed for the difficulty extra credit. Headers have timestamps
+   * now, which go into their hashes, and each hash must meet the target from
+   * getNextTarget rather than a number of zeros. Headers have everything
+   * getNextTarget needs, so the blocks before each one are just the branch
+   * the first header builds on, followed by the headers before it.
+   */
+  handleMessage(peer, message) {
+    // Your code here
+
+  }
+}
+
+module.exports = {
+  getHeader,
+  Network,
+  Node
+};
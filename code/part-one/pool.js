@@ -0,0 +1,181 @@
+'use strict';
+
+const signing = require('./signing');
+const {
+  MAX_TARGET,
+  getTargetWork,
+  getNextTarget,
+  CoinbaseTransaction,
+  MineableBlock
+} = require('./mining');
+const { serializeBlock } = require('./storage');
+
+
+// How many times easier a share is to find than a block
+const SHARE_FACTOR = 16;
+
+// How many of the most recent shares are paid when the pool finds a block
+const PPLNS_WINDOW = 100;
+
+/**
+ * This function is provided for you. It takes a target and a share factor,
+ * and returns a new target that many times bigger (and easier to meet),
+ * though never bigger than MAX_TARGET.
+ */
+const getShareTarget = (target, shareFactor) => {
+  const shareTarget = BigInt('0x' + target) * BigInt(shareFactor);
+
+  if (shareTarget > BigInt('0x' + MAX_TARGET)) {
+    return MAX_TARGET;
+  }
+  return shareTarget.toString(16).padStart(MAX_TARGET.length, '0');
+};
+
+/**
+ * A function which takes an array of shares, oldest first, each an object
+ * with the publicKey of the worker who found it and how much work it was
+ * worth. It also takes an amount to pay, and a window. It splits the amount
+ * between the workers of the last `window` shares, in proportion to the
+ * work of their shares. This is called "Pay Per Last N Shares", or PPLNS.
+ *
+ * Returns an array of outputs, one for each worker with a payout, ordered
+ * by their first share in the window. Each output is an object with a
+ * recipient and an amount. Amounts are rounded down to whole numbers, so
+ * they may add up to a little less than the amount passed in. Anyone whose
+ * payout rounds down to 0 should be left out.
+ *
+ * Example:
+ *   const shares = [
+ *     { publicKey: alice, work: 16 },
+ *     { publicKey: bob, work: 16 },
+ *     { publicKey: alice, work: 16 }
+ *   ];
+ *   console.log(getPayouts(shares, 100, 3));
+ *   // [ { recipient: alice, amount: 66 }, { recipient: bob, amount: 33 } ]
+ *   console.log(getPayouts(shares, 100, 2));
+ *   // [ { recipient: bob, amount: 50 }, { recipient: alice, amount: 50 } ]
+ */
+const getPayouts = (shares, amount, window) => {
+  // Your code here
+
+};
+
+/**
+ * Mining alone, a small miner might go months without finding a block.
+ * Miners band together in a _pool_ to earn smaller rewards, but much more
+ * often. The pool hands each of its workers a _template_, a block ready to
+ * be mined, and the workers send back any nonces they find that meet a much
+ * easier _share target_. These _shares_ prove how hard each worker is
+ * hashing, and every so often one of them happens to meet the real target
+ * too. When it does, the pool adds the block to its chain, and the reward
+ * is split up between everyone who submitted recent shares.
+ *
+ * There are no separate payments. The reward itself is a CoinbaseTransaction
+ * with an output for each worker, decided when each template is created.
+ *
+ *   Pool                                   Worker
+ *    |  getTemplate(publicKey)                |
+ *    |  <-------------------------------------|
+ *    |  { id, block, target, shareTarget }    |
+ *    |  ------------------------------------> |
+ *    |                      submitShare(id, nonce)
+ *    |  <-------------------------------------|
+ *    |  true                                  |
+ *    |  ------------------------------------> |
+ */
+class Pool {
+  /**
+   * This constructor is provided for you. It takes a MineableChain, the
+   * private key of the pool itself, the share factor, and the PPLNS window.
+   *
+   * Properties:
+   *   - blockchain: the MineableChain passed in
+   *   - privateKey: the private key passed in
+   *   - shareFactor: the share factor passed in, or SHARE_FACTOR
+   *   - window: the window passed in, or PPLNS_WINDOW
+   *   - shares: an array of every accepted share, oldest first, each an
+   *     object with a publicKey and work
+   *
+   * Hint:
+   *   You'll also need some sort of property to store the templates handed
+   *   out, and the nonces already submitted for each. This will only be used
+   *   internally.
+   */
+  constructor(blockchain, privateKey, shareFactor = SHARE_FACTOR,
+    window = PPLNS_WINDOW) {
+    this.blockchain = blockchain;
+    this.privateKey = privateKey;
+    this.shareFactor = shareFactor;
+    this.window = window;
+    this.shares = [];
+  }
+
+  /**
+   * Accepts the public key of a worker, and returns a new template for them
+   * to mine, an object with:
+   *   - id: a unique id for the template
+   *   - block: the block to mine, serialized with serializeBlock (from the
+   *     storage extra credit)
+   *   - target: the target a block must meet, from getNextTarget
+   *   - shareTarget: the target a share must meet, from getShareTarget
+   *
+   * Create the block with the blockchain's createBlock method (from the
+   * workers extra credit), but replace its reward with a CoinbaseTransaction
+   * signed by the pool, paying out the same amount with getPayouts. Anything
+   * left over, whether from rounding down or because there are no shares
+   * yet, goes to the pool, added to the pool's own output if it already has
+   * one.
+   *
+   * Example:
+   *   const template = pool.getTemplate(publicKey);
+   *   const block = deserializeBlock(template.block);
+   *   let nonce = 0;
+   *   block.calculateHash(nonce);
+   *   while (block.hash > template.shareTarget) {
+   *     nonce++;
+   *     block.calculateHash(nonce);
+   *   }
+   *   pool.submitShare(template.id, nonce);
+   */
+  getTemplate(publicKey) {
+    // Your code here
+
+  }
+
+  /**
+   * Accepts the id of a template, and a nonce a worker found for it. If the
+   * block's hash with that nonce meets the share target, record a share for
+   * the worker the template was made for, worth the work of the share
+   * target (from getTargetWork), and return true. If it also meets the block
+   * target, pass the block to the blockchain's receiveBlock method (from the
+   * forks extra credit).
+   *
+   * Return false, without recording a share, if:
+   *   - the template id is unknown
+   *   - the template is stale, because the blockchain's head block has
+   *     changed since it was made
+   *   - the same nonce was already submitted for the template
+   *   - the hash doesn't meet the share target
+   */
+  submitShare(id, nonce) {
+    // Your code here
+
+  }
+
+  /**
+   * Accepts the public key of a worker, and returns the total work of every
+   * share they have had accepted, or 0 if they have none.
+   */
+  getWork(publicKey) {
+    // Your code here
+
+  }
+}
+
+module.exports = {
+  SHARE_FACTOR,
+  PPLNS_WINDOW,
+  getShareTarget,
+  getPayouts,
+  Pool
+};
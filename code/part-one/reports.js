@@ -0,0 +1,180 @@
+'use strict';
+
+const { createHash } = require('crypto');
+const signing = require('./signing');
+const { createMultisigAccount } = require('./multisig');
+const { isValidAddressString } = require('./address');
+const { getTransactionHash, verifyTransactions } = require('./validation');
+const {
+  MEDIAN_TIME_SPAN,
+  MAX_FUTURE_TIME,
+  getTransactionSize,
+  getNextTarget,
+  getBlockReward
+} = require('./mining');
+
+
+/**
+ * When a validation function returns false, it doesn't say why. Was it a bad
+ * signature? Which block? Which transaction? The functions in this module
+ * answer those questions. Each one makes the same checks as one of the
+ * validation functions you've already written, but instead of stopping at
+ * the first problem, it finds every rule that was broken and returns a
+ * _report_ listing them.
+ *
+ * This function is provided for you. It creates a single violation: an
+ * object with a machine-readable code for the rule that was broken, the
+ * index of the block and transaction it was found in (or null if it isn't
+ * in one), and an object of the values involved.
+ *
+ * Example:
+ *   const values = { amount: -1 };
+ *   console.log(createViolation('NEGATIVE_AMOUNT', values, 2, 0));
+ *   // { code: 'NEGATIVE_AMOUNT',
+ *   //   block: 2,
+ *   //   transaction: 0,
+ *   //   values: { amount: -1 } }
+ */
+const createViolation = (code, values, block = null, transaction = null) => {
+  return { code, block, transaction, values };
+};
+
+/**
+ * This function is provided for you. It takes an array of violations and
+ * wraps them in a report, which is valid only if there are none. The
+ * violations may be in any order.
+ */
+const createReport = violations => {
+  return { valid: violations.length === 0, violations };
+};
+
+/**
+ * A function which takes a transaction, and returns a report of every rule
+ * it breaks, just like isValidTransaction. Each violation's block and
+ * transaction should be null. The codes and values are:
+ *   - NEGATIVE_AMOUNT: { amount }
+ *   - NEGATIVE_FEE: { fee }
+ *   - BAD_NONCE: { nonce }, a nonce that is not a whole number of 0 or more
+ *   - BAD_RECIPIENT: { recipient }
+ *   - BAD_SIGNATURE: { source }, a signature which doesn't verify, or a
+ *     compact signature no public key can be recovered from
+ *   - BAD_ACCOUNT: { expected, actual }, a multisig source that is not the
+ *     id of its account
+ *   - TOO_FEW_SIGNATURES: { count, threshold }, a multisig transaction
+ *     without enough valid signatures
+ *
+ * Or, for UTXO transactions:
+ *   - BAD_ID: { expected, actual }
+ *   - NO_OUTPUTS: {}
+ *   - BAD_OUTPUT: { output, recipient, amount }, where output is the index
+ *     of an output with an amount of zero or less, or an invalid recipient
+ *   - BAD_SIGNATURE: { source }
+ *
+ * Multi-recipient transactions have outputs instead of a recipient, so
+ * instead of BAD_RECIPIENT, they may have:
+ *   - NO_OUTPUTS: {}
+ *   - BAD_OUTPUT: { output, recipient, amount }
+ *   - DUPLICATE_RECIPIENT: { output, recipient }, for every output after
+ *     the first with the same recipient
+ *   - BAD_AMOUNT: { expected, actual }, where expected is the sum of the
+ *     outputs' amounts
+ *
+ * You only need to check the rules for the extra credits you've completed.
+ *
+ * Example:
+ *   transaction.amount = -1;
+ *   console.log(getTransactionReport(transaction));
+ *   // { valid: false,
+ *   //   violations: [
+ *   //     { code: 'NEGATIVE_AMOUNT',
+ *   //       block: null,
+ *   //       transaction: null,
+ *   //       values: { amount: -1 } },
+ *   //     { code: 'BAD_SIGNATURE',
+ *   //       block: null,
+ *   //       transaction: null,
+ *   //       values: { source: '0362...' } } ] }
+ */
+const getTransactionReport = transaction => {
+  // Your code here
+
+};
+
+/**
+ * A function which takes a block, and returns a report of every rule it
+ * breaks, just like isValidBlock. Each violation's block should be null,
+ * and any violation from a transaction should have the index of that
+ * transaction. The codes and values are:
+ *   - BAD_HASH: { expected, actual }
+ *   - BAD_MERKLE_ROOT: { expected, actual }
+ *   - DUPLICATE_TRANSACTION: { hash }, for every copy after the first
+ *   - any of the codes from getTransactionReport, for each transaction
+ *
+ * Hint:
+ *   Calling calculateHash is an easy way to find the expected hash, but it
+ *   changes the block! Make sure to put the original values back.
+ */
+const getBlockReport = block => {
+  // Your code here
+
+};
+
+/**
+ * A function which takes a blockchain, and returns a report of every rule
+ * it breaks, just like isValidChain. Every violation should have the index
+ * of the block it was found in. The codes and values are:
+ *   - MISSING_GENESIS: {}, with a block of 0
+ *   - BAD_PREVIOUS_HASH: { expected, actual }
+ *   - BAD_NONCE_ORDER: { source, expected, actual }, for a transaction whose
+ *     nonce is not the next one from its source
+ *   - any of the codes from getBlockReport, for each block
+ *
+ * Example:
+ *   blockchain.blocks[1].transactions[0].amount = 1000000;
+ *   const { violations } = getChainReport(blockchain);
+ *   console.log(violations.map(({ code }) => code));
+ *   // [ 'BAD_HASH', 'BAD_MERKLE_ROOT', 'BAD_SIGNATURE' ]
+ *   console.log(violations.map(({ block }) => block));  // [ 1, 1, 1 ]
+ */
+const getChainReport = blockchain => {
+  // Your code here
+
+};
+
+/**
+ * A function which takes a mineable blockchain, and returns a report of
+ * every rule it breaks, just like isValidMineableChain. Every violation
+ * should have the index of the block it was found in, and the index of the
+ * transaction if it was caused by one. The codes and values are:
+ *   - HASH_ABOVE_TARGET: { hash, target }
+ *   - TIMESTAMP_TOO_EARLY: { timestamp, medianTime }
+ *   - TIMESTAMP_TOO_LATE: { timestamp, latestTime }
+ *   - MULTIPLE_REWARDS: { count }
+ *   - BAD_REWARD: { expected, actual }, for a reward with the wrong amount
+ *   - BAD_OUTPUTS: { amount, outputs }, for a reward with outputs which are
+ *     not positive or don't add up to its amount
+ *   - NEGATIVE_FEE: { fee }
+ *   - BLOCK_TOO_BIG: { size, maxBlockSize }
+ *   - BAD_NONCE_ORDER: { source, expected, actual }
+ *   - INSUFFICIENT_FUNDS: { source, balance, spent }, where balance is what
+ *     the source had before the transaction, and spent is its amount plus
+ *     any fee
+ *   - IMMATURE_FUNDS: { source, balance, immature, spent }, for a source who
+ *     could only afford a transaction with rewards that haven't matured
+ *
+ * Just like isValidMineableChain, this skips genesis, and only needs to
+ * check the rules for the extra credits you've completed.
+ */
+const getMineableChainReport = blockchain => {
+  // Your code here
+
+};
+
+module.exports = {
+  createViolation,
+  createReport,
+  getTransactionReport,
+  getBlockReport,
+  getChainReport,
+  getMineableChainReport
+};
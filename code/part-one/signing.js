@@ -4,6 +4,12 @@ const secp256k1 = require('secp256k1');
 const { randomBytes, createHash } = require('crypto');
 
 
+// Half the order of the Secp256k1 curve, as a 64 character hex string. Any
+// signature with an "S" value greater than this is considered "high-S".
+const HALF_CURVE_ORDER =
+  '7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0';
+
+
 /**
  * A function which generates a new random Secp256k1 private key, returning
  * it as a 64 character hexadecimal string.
@@ -48,6 +54,11 @@ const getPublicKey = privateKey => {
  * Hint:
  *   Remember that you need to sign a SHA-256 hash of the message,
  *   not the message itself!
+ *
+ * EXTRA CREDIT
+ * Only needed for the malleability extra credit. Every signature returned
+ * should be low-S. Secp256k1-node happens to do this already, but not every
+ * library does, so make sure by normalizing the signature before returning it.
  */
 const sign = (privateKey, message) => {
   // Your code here
@@ -63,15 +74,188 @@ const sign = (privateKey, message) => {
  *   // true
  *   console.log( verify(publicKey, 'Hello World?', signature) );
  *   // false
+ *
+ * EXTRA CREDIT
+ * Only needed for the malleability extra credit. It should return false for
+ * any high-S signature, even one that would otherwise be valid. Don't rely on
+ * the library to check this for you!
  */
 const verify = (publicKey, message, signature) => {
   // Your code here
 
 };
 
+/**
+ * EXTRA CREDIT
+ * Only needed for the signature recovery extra credit. Remove `.skip` from
+ * line 18 of tests/08-ExtraCredit-Recovery.js to test.
+ *
+ * A function which works just like `sign`, but returns a 130 character
+ * "recoverable" signature. This is the usual 128 character signature,
+ * followed by a 2 character hex recovery id: a number from 0 to 3 which
+ * secp256k1 calculates along with every signature.
+ *
+ * Example:
+ *   const signature = signRecoverable(privateKey, 'Hello World!');
+ *   console.log(signature);
+ *   // '4ae1f0b20382ad628804a5a66e09cc6bdf2c83fa64f8017e98d84cc75a1a71b52...01'
+ */
+const signRecoverable = (privateKey, message) => {
+  // Your code here
+
+};
+
+/**
+ * EXTRA CREDIT
+ * A function which takes a string message and a 130 character recoverable
+ * signature, and returns the 66 character hex public key of the signer. If no
+ * public key can be recovered (for example if the signature is malformed),
+ * it should return null rather than throwing an error.
+ *
+ * Note that this will recover *some* public key for almost any message and
+ * signature. Change a single character of the message, and you will get back
+ * a completely different (but perfectly valid) public key. So recovery alone
+ * proves nothing, unless you already know what key to expect.
+ *
+ * Example:
+ *   const publicKey = recoverPublicKey('Hello World!', signature);
+ *   console.log(publicKey === getPublicKey(privateKey));
+ *   // true
+ *
+ * Hint:
+ *   The recovery id tells secp256k1 which of the (up to) four public keys
+ *   that could have made this signature is the right one. Take a look at
+ *   the `recover` method.
+ *
+ * EXTRA CREDIT
+ * Only needed for the malleability extra credit. Flipping a signature to its
+ * high-S version and flipping the recovery id recovers the very same public
+ * key, so compact transactions are malleable too. Return null for any
+ * signature that is not low-S.
+ */
+const recoverPublicKey = (message, signature) => {
+  // Your code here
+
+};
+
+/**
+ * EXTRA CREDIT
+ * Only needed for the malleability extra credit. Remove `.skip` from
+ * line 40 of tests/11-ExtraCredit-Malleability.js to test.
+ *
+ * A function which takes a 128 character hex signature and returns true if
+ * it is "low-S", or false otherwise. A signature is made up of two 32 byte
+ * numbers, R and S, and is low-S if S is less than or equal to half the
+ * curve order.
+ *
+ * Example:
+ *   console.log( isLowS(sign(privateKey, 'Hello World!')) );  // true
+ *
+ * Hint:
+ *   There is no need to convert anything to a number here. Two hex strings of
+ *   the same length compare the same way as the numbers they represent.
+ */
+const isLowS = signature => {
+  // Your code here
+
+};
+
+/**
+ * EXTRA CREDIT
+ * A function which takes a 128 character hex signature and returns its low-S
+ * version. Low-S signatures are returned unchanged.
+ *
+ * For any valid signature (R, S), the signature (R, N - S) is also valid,
+ * where N is the curve order. So anyone can take your signature and flip it,
+ * without knowing your private key. It still verifies, but is a different
+ * string, which means a different transaction hash and a different block
+ * hash. By only allowing the low-S half of each pair, there is exactly one
+ * valid signature again.
+ *
+ * Example:
+ *   const normalized = normalizeSignature(highSignature);
+ *   console.log( isLowS(normalized) );  // true
+ *
+ * Hint:
+ *   Take a look at secp256k1's `signatureNormalize` method.
+ */
+const normalizeSignature = signature => {
+  // Your code here
+
+};
+
+/**
+ * EXTRA CREDIT
+ * A function which takes a 128 character hex signature and returns it
+ * encoded in DER format, as a hex string. DER is the format used by Bitcoin,
+ * OpenSSL, and most other Secp256k1 tooling, so this lets you share
+ * signatures with them. The result will usually be 140 to 144 characters.
+ *
+ * Example:
+ *   console.log( toDER(signature) );
+ *   // '304402204ae1f0b20382ad628804a5a66e09cc6bdf2c83fa64f8017e98d84cc75a...'
+ */
+const toDER = signature => {
+  // Your code here
+
+};
+
+/**
+ * EXTRA CREDIT
+ * A function which takes a hex DER encoded signature, and returns the
+ * matching 128 character hex signature. It should throw an Error if the
+ * signature is not properly DER encoded. Signatures from other tools may be
+ * high-S, so you may still need to normalize them before they will verify.
+ *
+ * Example:
+ *   console.log( fromDER(toDER(signature)) === signature );  // true
+ */
+const fromDER = der => {
+  // Your code here
+
+};
+
+/**
+ * EXTRA CREDIT
+ * Only needed for the batch verification extra credit. Remove `.skip` from
+ * line 30 of tests/12-ExtraCredit-BatchVerify.js to test.
+ *
+ * A function which takes an array of objects to verify, each with three
+ * properties: publicKey, message, and signature. It returns an array of the
+ * indexes of every entry that failed verification, so an empty array means
+ * everything was valid. A malformed entry should just count as a failure,
+ * rather than throwing an error.
+ *
+ * Example:
+ *   const failed = verifyBatch([
+ *     { publicKey, message: 'Hello World!', signature },
+ *     { publicKey, message: 'Hello World?', signature }
+ *   ]);
+ *   console.log(failed);  // [ 1 ]
+ *
+ * Note:
+ *   Some signature schemes can check a whole batch of signatures much faster
+ *   than checking each one alone. Secp256k1-node can't do that with ECDSA, so
+ *   under the hood you will still verify them one by one. But by putting all
+ *   of your signature checks behind a single function, you can swap in a
+ *   faster approach later without changing any of the code that calls it.
+ */
+const verifyBatch = entries => {
+  // Your code here
+
+};
+
 module.exports = {
+  HALF_CURVE_ORDER,
   createPrivateKey,
   getPublicKey,
   sign,
-  verify
+  verify,
+  signRecoverable,
+  recoverPublicKey,
+  isLowS,
+  normalizeSignature,
+  toDER,
+  fromDER,
+  verifyBatch
 };
@@ -0,0 +1,308 @@
+'use strict';
+
+const { createHash } = require('crypto');
+const signing = require('./signing');
+const { Block, Blockchain } = require('./blockchain');
+const {
+  MineableTransaction,
+  MineableChain,
+  isValidMineableChain
+} = require('./mining');
+
+
+// The public key validators send funds to in order to stake them. It is not
+// a real key, so no one can ever spend the funds sent to it.
+const STAKE_KEY = '00'.repeat(33);
+
+// How many milliseconds each slot lasts, at most one block may fill a slot
+const SLOT_TIME = 1000;
+
+/**
+ * This function is provided for you. It takes a time in milliseconds,
+ * defaulting to now, and returns the number of the slot it falls in.
+ */
+const getSlot = (time = Date.now()) => Math.floor(time / SLOT_TIME);
+
+/**
+ * Mining works, but it burns a lot of electricity. Proof of stake is a
+ * different way to decide who adds the next block. Rather than racing to
+ * find a hash, _validators_ lock up some of their funds as a _stake_. Time is
+ * split into slots, and for each slot one validator is picked at random to
+ * be the _leader_, with the odds of each being picked depending on how much
+ * they have staked. Only the leader can add a block in their slot, and they
+ * prove it by signing the block.
+ *
+ * A StakeBlock is a block signed by a leader. There is no nonce to search
+ * for anymore, so the slot goes in its place, making it part of the hash.
+ */
+class StakeBlock extends Block {
+  /**
+   * Accepts an array of transactions, the hash of a previous block, and the
+   * number of the slot the block is for.
+   *
+   * Properties:
+   *   - transactions: the passed in transactions
+   *   - previousHash: the passed in hash
+   *   - slot: the passed in slot
+   *   - nonce: also the slot
+   *   - hash: calculated with the slot as the nonce
+   *   - validator: null until the block is signed
+   *   - signature: null until the block is signed
+   */
+  constructor(transactions, previousHash, slot) {
+    // Your code here
+
+  }
+
+  /**
+   * Accepts a private key, and signs the block with it. The validator should
+   * be set to the key's public key, and the signature should be of the slot
+   * and the hash, with a colon in between:
+   *   slot + ':' + hash
+   *
+   * The slot is signed separately, even though it's already part of the
+   * hash, so that anyone can see which slot a validator signed a block for
+   * without needing its transactions.
+   */
+  sign(privateKey) {
+    // Your code here
+
+  }
+}
+
+/**
+ * Each slot should only ever have one block. A leader who signs two
+ * different blocks for the same slot is trying to split the network in two,
+ * and should be punished by _slashing_: destroying their whole stake. Since
+ * the signatures prove what they did, anyone can report them.
+ *
+ * A SlashTransaction is that report. It is included in a block like any
+ * other transaction, and has no source or signature of its own.
+ */
+class SlashTransaction {
+  /**
+   * Accepts two blocks signed by the same validator for the same slot.
+   *
+   * Properties:
+   *   - recipient: the public key of the validator to slash
+   *   - amount: 0, no funds are sent to anyone
+   *   - evidence: an array with an object for each block, with just the
+   *     slot, hash, and signature of the block
+   *
+   * Example:
+   *   const slash = new SlashTransaction(block, otherBlock);
+   *   console.log(slash.evidence);
+   *   // [
+   *   //   { slot: 1234, hash: 'e7c9...', signature: '4a5f...' },
+   *   //   { slot: 1234, hash: '09ab...', signature: 'b02c...' }
+   *   // ]
+   */
+  constructor(first, second) {
+    // Your code here
+
+  }
+}
+
+/**
+ * A function which takes an array of blocks and an object of genesis stakes,
+ * with public keys as keys and amounts as values. Returns a new object with
+ * the stake of every validator after those blocks. That is their genesis
+ * stake, plus the amount of every transaction they sent to STAKE_KEY.
+ *
+ * Any validator slashed by a SlashTransaction should lose their entire
+ * stake, and be left out of the returned object.
+ *
+ * Example:
+ *   const stakes = getStakes(blockchain.blocks, { [alice]: 100 });
+ *   console.log(stakes);  // { [alice]: 150, [bob]: 20 }
+ */
+const getStakes = (blocks, genesisStakes) => {
+  // Your code here
+
+};
+
+/**
+ * A function which takes an object of stakes, like the one returned by
+ * getStakes, along with the hash of the previous block and the number of a
+ * slot. It randomly picks the public key of the leader for that slot, with
+ * each validator's odds proportional to their stake. Returns null if no
+ * one has any stake.
+ *
+ * Every node must pick the same leader though, so it can't be truly random.
+ * Instead, use a SHA-256 hash of the previous hash and the slot, with a colon
+ * in between, as the "random" seed. No one can predict it before the
+ * previous block exists, but everyone can calculate it after.
+ *
+ * To turn the seed into a pick:
+ *   - sort the public keys with stake, so everyone goes through them in
+ *     the same order
+ *   - parse the first 12 hex digits of the seed into a number (any more
+ *     would be too big for JavaScript to handle exactly)
+ *   - divide it by the total stake, and use the remainder as a "ticket"
+ *   - go through the validators, subtracting each one's stake from the
+ *     ticket, until it goes below zero. That validator is the leader.
+ *
+ * Example:
+ *   const stakes = { [alice]: 30, [bob]: 10 };
+ *   console.log(selectLeader(stakes, previousHash, 1234));  // alice
+ *   console.log(selectLeader(stakes, previousHash, 1235));  // bob
+ */
+const selectLeader = (stakes, previousHash, slot) => {
+  // Your code here
+
+};
+
+/**
+ * A blockchain which uses proof of stake instead of proof of work. Like the
+ * MineableChain, blocks can't be added directly. Instead, the leader of a
+ * slot "forges" one with the pending transactions.
+ */
+class StakeChain extends Blockchain {
+  /**
+   * Accepts an object of genesis stakes, with public keys as keys and
+   * amounts as values. Someone needs to have a stake to forge the first
+   * block, so these validators start out with one.
+   *
+   * Properties:
+   *   - blocks: an array of blocks, starting with an unsigned StakeBlock for
+   *     slot 0 as genesis
+   *   - genesisStakes: the passed in stakes
+   *   - reward: a number, how much to award the leader of each new block
+   *
+   * Hint:
+   *   You'll also need some sort of property to store pending transactions.
+   *   This will only be used internally. If you did the indexing extra
+   *   credit, remember to rebuild the index after replacing genesis.
+   */
+  constructor(genesisStakes = {}) {
+    // Your code here
+
+  }
+
+  /**
+   * No more adding blocks directly.
+   */
+  addBlock() {
+    throw new Error('Must forge to add blocks to this blockchain');
+  }
+
+  /**
+   * Accepts a transaction and stores it until it can be forged into a block.
+   * That includes regular transactions, transactions sending funds to
+   * STAKE_KEY, and SlashTransactions.
+   */
+  addTransaction(transaction) {
+    // Your code here
+
+  }
+
+  /**
+   * Accepts a public key, and returns its current stake, or 0 if it has
+   * none. Stakes are locked, so getBalance should never include them.
+   */
+  getStake(publicKey) {
+    // Your code here
+
+  }
+
+  /**
+   * Accepts a slot, and returns the public key of the validator who would
+   * be its leader if the next block were forged in it.
+   */
+  getLeader(slot) {
+    // Your code here
+
+  }
+
+  /**
+   * Accepts a private key and a slot, defaulting to the current slot. If
+   * the key belongs to the leader of the slot, it forges a new block with
+   * the pending transactions and a reward for the leader (plus any fees),
+   * signs it, adds it to the chain, and returns it.
+   *
+   * If the key doesn't belong to the leader, or the slot is not after the
+   * head block's slot, it should return null and not change anything.
+   *
+   * Example:
+   *   const block = blockchain.forge(privateKey);
+   *   console.log(block === null || block === blockchain.getHeadBlock());
+   *   // true
+   */
+  forge(privateKey, slot = getSlot()) {
+    // Your code here
+
+  }
+}
+
+/**
+ * A validation function for proof of stake blockchains. It should reject a
+ * blockchain with any block (besides genesis) that:
+ *   - has a previous hash that doesn't match the block before it
+ *   - has a hash that doesn't match a new StakeBlock with the same
+ *     transactions, previous hash, and slot
+ *   - has a slot which is not after the slot of the block before it, or
+ *     which is after the current slot
+ *   - was signed by anyone other than the leader of its slot, using the
+ *     stakes from every block before it
+ *   - has an invalid signature
+ *   - has more than one reward (a transaction with a null source), or a
+ *     reward with an amount other than the blockchain's reward plus fees,
+ *     or sent to anyone other than the block's validator
+ *
+ * Or with any transaction that:
+ *   - sends more funds than its source has (including the fee)
+ *   - stakes an amount that is not positive
+ *   - slashes a validator who has no stake
+ *   - slashes without evidence of two different blocks, for the same slot,
+ *     both signed by the validator
+ */
+const isValidStakeChain = blockchain => {
+  // Your code here
+
+};
+
+/**
+ * These objects are provided for you. Each one wraps a kind of consensus in
+ * the same three functions, so code which just needs "a blockchain" can be
+ * plugged into either one, and compare them side by side:
+ *   - createChain(validators): returns a new blockchain, validators is an
+ *     object of genesis stakes, which proof of work doesn't need
+ *   - createBlock(blockchain, privateKey): adds a new block with the pending
+ *     transactions and returns it, or returns null if the key can't add a
+ *     block right now
+ *   - isValidChain(blockchain): returns true if the blockchain is valid
+ *
+ * Example:
+ *   const consensus = useStake ? proofOfStake : proofOfWork;
+ *   const blockchain = consensus.createChain({ [publicKey]: 100 });
+ *   consensus.createBlock(blockchain, privateKey);
+ *   console.log(consensus.isValidChain(blockchain));  // true
+ */
+const proofOfWork = {
+  createChain: () => new MineableChain(),
+  createBlock: (blockchain, privateKey) => {
+    blockchain.mine(privateKey);
+    return blockchain.getHeadBlock();
+  },
+  isValidChain: isValidMineableChain
+};
+
+const proofOfStake = {
+  createChain: validators => new StakeChain(validators),
+  createBlock: (blockchain, privateKey) => blockchain.forge(privateKey),
+  isValidChain: isValidStakeChain
+};
+
+module.exports = {
+  STAKE_KEY,
+  SLOT_TIME,
+  getSlot,
+  StakeBlock,
+  SlashTransaction,
+  getStakes,
+  selectLeader,
+  StakeChain,
+  isValidStakeChain,
+  proofOfWork,
+  proofOfStake
+};
@@ -0,0 +1,214 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { createHash } = require('crypto');
+const {
+  Transaction,
+  CompactTransaction,
+  MultiRecipientTransaction,
+  Block
+} = require('./blockchain');
+const { MultisigTransaction } = require('./multisig');
+const { UtxoTransaction } = require('./utxo');
+const {
+  MineableTransaction,
+  CoinbaseTransaction,
+  MineableBlock
+} = require('./mining');
+
+
+// The file blocks are appended to, one serialized block per line
+const LOG_FILE = 'blocks.log';
+
+// The file indexing where each block is in the log, one entry per line
+const INDEX_FILE = 'blocks.index';
+
+// Every class which may be saved to disk, so it can be re-hydrated later
+const CLASSES = {
+  Transaction,
+  CompactTransaction,
+  MultiRecipientTransaction,
+  MultisigTransaction,
+  UtxoTransaction,
+  MineableTransaction,
+  CoinbaseTransaction,
+  Block,
+  MineableBlock
+};
+
+/**
+ * This function is provided for you. It takes the name of one of the
+ * classes above and an object of properties, and returns a real instance of
+ * that class with those properties. We can't just call the constructor,
+ * which would want a private key to sign with! Instead, it creates an object
+ * with the right prototype, and copies the properties onto it. Throws an
+ * Error if the type is unknown.
+ *
+ * Example:
+ *   const transaction = hydrate('Transaction', JSON.parse(json));
+ *   console.log(transaction instanceof Transaction);  // true
+ */
+const hydrate = (type, properties) => {
+  if (!CLASSES.hasOwnProperty(type)) {
+    throw new Error(`Unknown type: ${type}`);
+  }
+
+  return Object.assign(Object.create(CLASSES[type].prototype), properties);
+};
+
+/**
+ * A function which takes a block, and returns it as a JSON string. JSON
+ * loses track of what class an object was, so the block and each of its
+ * transactions should be wrapped in an object with two properties:
+ *   - type: the name of its class (hint: check out `constructor.name`)
+ *   - properties: the object itself
+ *
+ * Example:
+ *   const json = serializeBlock(block);
+ *   console.log(JSON.parse(json));
+ *   // {
+ *   //   type: 'Block',
+ *   //   properties: {
+ *   //     transactions: [ { type: 'Transaction', properties: { ... } } ],
+ *   //     previousHash: ...,
+ *   //     ...
+ *   //   }
+ *   // }
+ *
+ * Note:
+ *   Be careful not to change the order of any properties. The hash of a
+ *   transaction is calculated from its JSON string, so if the order changes
+ *   when you load it again, so will its hash.
+ */
+const serializeBlock = block => {
+  // Enter your solution here
+
+};
+
+/**
+ * A function which takes a JSON string from serializeBlock, and returns a
+ * real block instance, with real transaction instances, using `hydrate`. It
+ * should throw an Error if the JSON is invalid, or has an unknown type.
+ *
+ * Example:
+ *   const copy = deserializeBlock(serializeBlock(block));
+ *   console.log(copy instanceof Block);  // true
+ *   console.log(copy.hash === block.hash);  // true
+ */
+const deserializeBlock = json => {
+  // Your code here
+
+};
+
+/**
+ * A file-backed store for the blocks of a blockchain. Blocks are never
+ * changed once they're on the chain, so the store only ever appends them.
+ * It uses two files in its directory:
+ *   - LOG_FILE: each serialized block, followed by a newline
+ *   - INDEX_FILE: one JSON entry per block, followed by a newline, each with
+ *     four properties:
+ *       - offset: the number of bytes before the block in the log
+ *       - length: the number of bytes the block takes up, including the
+ *         newline
+ *       - checksum: the hex sha256 hash of those bytes
+ *       - hash: the block's hash
+ *
+ * The index lets us find any block without reading every one before it, and
+ * the checksums let us notice if a file has been damaged.
+ */
+class BlockStore {
+  /**
+   * This constructor is provided for you. It takes the directory to store
+   * files in, creating it if it does not exist yet.
+   *
+   * Properties:
+   *   - directory: the directory passed in
+   *   - logPath: the path of the block log
+   *   - indexPath: the path of the index
+   */
+  constructor(directory) {
+    this.directory = directory;
+    this.logPath = path.join(directory, LOG_FILE);
+    this.indexPath = path.join(directory, INDEX_FILE);
+
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory);
+    }
+  }
+
+  /**
+   * Reads the index file, and returns an array of its entries. If there is
+   * no index file yet, it should return an empty array. It should throw an
+   * Error with the message 'Corrupted block index' if any line is not valid
+   * JSON, is missing any of the four properties, or is not followed by a
+   * newline.
+   */
+  readIndex() {
+    // Your code here
+
+  }
+
+  /**
+   * Takes a blockchain, and appends any of its blocks which have not been
+   * saved yet to the log, adding an entry to the index for each one. Returns
+   * the number of blocks it saved.
+   *
+   * Since the store is append-only, it should throw an Error if any block
+   * already saved has a different hash than the block in the same position
+   * on the blockchain.
+   *
+   * Example:
+   *   const store = new BlockStore('./data');
+   *   console.log(store.save(blockchain));  // 3
+   *   blockchain.addBlock(transactions);
+   *   console.log(store.save(blockchain));  // 1
+   *
+   * Hint:
+   *   Be careful to measure lengths in bytes, not characters. Check out
+   *   `Buffer.byteLength`, and Node's `fs.appendFileSync` method.
+   */
+  save(blockchain) {
+    // Your code here
+
+  }
+
+  /**
+   * Takes a blockchain, and replaces its blocks with the blocks saved in
+   * the store, returning the blockchain. If nothing has been saved yet, the
+   * blockchain is returned unchanged.
+   *
+   * Before trusting anything in the log, it should check it against the
+   * index, throwing an Error if:
+   *   - the log is shorter than the index says it should be
+   *     (message: 'Truncated block log')
+   *   - the log is longer than it should be, the checksum of any block does
+   *     not match, or any block can't be deserialized or has a different hash
+   *     than its entry (message: 'Corrupted block log')
+   *
+   * Example:
+   *   const loaded = new BlockStore('./data').load(new Blockchain());
+   *   console.log(isValidChain(loaded));  // true
+   *
+   * Note:
+   *   Only the blocks are loaded. Anything a blockchain calculates as blocks
+   *   are added, like the UTXO set of a UtxoChain, will not be rebuilt.
+   *
+   * EXTRA CREDIT
+   * Only needed for the indexing extra credit. The one exception is the
+   * index. Rebuild it after replacing the blocks.
+   */
+  load(blockchain) {
+    // Your code here
+
+  }
+}
+
+module.exports = {
+  LOG_FILE,
+  INDEX_FILE,
+  hydrate,
+  serializeBlock,
+  deserializeBlock,
+  BlockStore
+};
@@ -109,7 +109,8 @@ describe.skip('Mining module', function() {
       expect(head.hash).to.be.a('string').and.not.be.empty;
       expect(head.hash.slice(0, zeros.length)).to.equal(zeros);
 
-      const copy = new MineableBlock(head.transactions, head.previousHash);
+      const { transactions, previousHash, timestamp } = head;
+      const copy = new MineableBlock(transactions, previousHash, timestamp);
       copy.calculateHash(head.nonce);
       expect(copy.hash).to.equal(head.hash);
     });
@@ -0,0 +1,226 @@
+'use strict';
+
+const { expect } = require('chai');
+const secp256k1 = require('secp256k1');
+const { randomBytes } = require('crypto');
+const signing = require('../signing');
+const {
+  HARDENED_OFFSET,
+  createMasterKey,
+  toExtendedPublicKey,
+  deriveChild,
+  parsePath,
+  derivePath
+} = require('../derivation');
+
+
+// Test vector 1 from the BIP32 specification
+// https://github.com/bitcoin/bips/blob/master/bip-0032.mediawiki#test-vectors
+const SEED = '000102030405060708090a0b0c0d0e0f';
+const VECTORS = [
+  {
+    path: 'm',
+    privateKey:
+      'e8f32e723decf4051aefac8e2c93c9c5b214313817cdb01a1494b917c8436b35',
+    publicKey:
+      '0339a36013301597daef41fbe593a02cc513d0b55527ec2df1050e2e8ff49c85c2',
+    chainCode:
+      '873dff81c02f525623fd1fe5167eac3a55a049de3d314bb42ee227ffed37d508'
+  },
+  {
+    path: "m/0'",
+    privateKey:
+      'edb2e14f9ee77d26dd93b4ecede8d16ed408ce149b6cd80b0715a2d911a0afea',
+    publicKey:
+      '035a784662a4a20a65bf6aab9ae98a6c068a81c52e4b032c0fb5400c706cfccc56',
+    chainCode:
+      '47fdacbd0f1097043b78c63c20c34ef4ed9a111d980047ad16282c7ae6236141'
+  },
+  {
+    path: "m/0'/1",
+    privateKey:
+      '3c6cb8d0f6a264c91ea8b5030fadaa8e538b020f0a387421a12de9319dc93368',
+    publicKey:
+      '03501e454bf00751f24b1b489aa925215d66af2234e3891c3b21a52bedb3cd711c',
+    chainCode:
+      '2a7857631386ba23dacac34180dd1983734e444fdbf774041578e9b6adb37c19'
+  },
+  {
+    path: "m/0'/1/2'",
+    privateKey:
+      'cbce0d719ecf7431d88e6a89fa1483e02e35092af60c042b1df2ff59fa424dca',
+    publicKey:
+      '0357bfe1e341d01c69fe5654309956cbea516822fba8a601743a012a7896ee8dc2',
+    chainCode:
+      '04466b9cc8e161e966409ca52986c584f07e9dc81f735db683c3ff6ec7b1503f'
+  },
+  {
+    path: "m/0'/1/2'/2",
+    privateKey:
+      '0f479245fb19a38a1954c5c7c0ebab2f9bdfd96a17563ef28a6a4b1a2a764ef4',
+    publicKey:
+      '02e8445082a72f29b75ca48748a914df60622a609cacfce8ed0e35804560741d29',
+    chainCode:
+      'cfb71883f01676f587d023cc53a35bc7f88f724b1f8c2892ac1275ac822a3edd'
+  },
+  {
+    path: "m/0'/1/2'/2/1000000000",
+    privateKey:
+      '471b76e389e528d6de6d816857e012c5455051cad6660850e58372a6c3e6e7c8',
+    publicKey:
+      '022a471424da5e657499d1ff51cb43c47481a03b1e77f951fe64cec9f5a48f7011',
+    chainCode:
+      'c783e67b921d2beb8f6b389cc646d7263b4145701dadd2161548a8b078e65e9e'
+  }
+];
+
+describe.skip('Derivation module', function() {
+
+  describe('createMasterKey', function() {
+    let master = null;
+
+    beforeEach(function() {
+      master = createMasterKey(SEED);
+    });
+
+    it('should return a hex private key and chain code', function() {
+      expect(master.privateKey).to.be.a.hexString.with.lengthOf(64);
+      expect(master.chainCode).to.be.a.hexString.with.lengthOf(64);
+    });
+
+    it('should match the BIP32 test vector', function() {
+      expect(master.privateKey).to.equal(VECTORS[0].privateKey);
+      expect(master.chainCode).to.equal(VECTORS[0].chainCode);
+    });
+
+    it('should create the same master key from the same seed', function() {
+      const seed = randomBytes(32).toString('hex');
+      expect(createMasterKey(seed)).to.deep.equal(createMasterKey(seed));
+    });
+
+    it('should create different master keys from different seeds', function() {
+      const master = createMasterKey(randomBytes(32).toString('hex'));
+      const other = createMasterKey(randomBytes(32).toString('hex'));
+      expect(master.privateKey).to.not.equal(other.privateKey);
+    });
+  });
+
+  describe('toExtendedPublicKey', function() {
+    it('should return the public key with the same chain code', function() {
+      const master = createMasterKey(SEED);
+      const extended = toExtendedPublicKey(master);
+
+      expect(extended.publicKey).to.equal(VECTORS[0].publicKey);
+      expect(extended.chainCode).to.equal(master.chainCode);
+      expect(extended.privateKey).to.not.exist;
+    });
+  });
+
+  describe('deriveChild', function() {
+    let master = null;
+
+    beforeEach(function() {
+      master = createMasterKey(SEED);
+    });
+
+    it('should derive a hardened child private key', function() {
+      const child = deriveChild(master, HARDENED_OFFSET);
+
+      expect(child.privateKey).to.equal(VECTORS[1].privateKey);
+      expect(child.chainCode).to.equal(VECTORS[1].chainCode);
+    });
+
+    it('should derive a normal child private key', function() {
+      const parent = deriveChild(master, HARDENED_OFFSET);
+      const child = deriveChild(parent, 1);
+
+      expect(child.privateKey).to.equal(VECTORS[2].privateKey);
+      expect(child.chainCode).to.equal(VECTORS[2].chainCode);
+    });
+
+    it('should derive normal children from a public key', function() {
+      const parent = deriveChild(master, HARDENED_OFFSET);
+      const child = deriveChild(toExtendedPublicKey(parent), 1);
+
+      expect(child.publicKey).to.equal(VECTORS[2].publicKey);
+      expect(child.chainCode).to.equal(VECTORS[2].chainCode);
+      expect(child.privateKey).to.not.exist;
+    });
+
+    it('should derive matching public keys from either parent', function() {
+      const index = Math.floor(Math.random() * HARDENED_OFFSET);
+      const privateChild = deriveChild(master, index);
+      const publicChild = deriveChild(toExtendedPublicKey(master), index);
+
+      expect(toExtendedPublicKey(privateChild)).to.deep.equal(publicChild);
+    });
+
+    it('should not derive hardened children from a public key', function() {
+      const extended = toExtendedPublicKey(master);
+      expect(() => deriveChild(extended, HARDENED_OFFSET)).to.throw();
+    });
+
+    it('should derive different children at different indexes', function() {
+      const first = deriveChild(master, 0);
+      const second = deriveChild(master, 1);
+      const hardened = deriveChild(master, HARDENED_OFFSET);
+
+      expect(first.privateKey).to.not.equal(second.privateKey);
+      expect(first.privateKey).to.not.equal(hardened.privateKey);
+    });
+  });
+
+  describe('parsePath', function() {
+    it('should parse normal and hardened indexes', function() {
+      expect(parsePath('m')).to.deep.equal([]);
+      expect(parsePath("m/0'/1/2h")).to.deep.equal([
+        HARDENED_OFFSET,
+        1,
+        HARDENED_OFFSET + 2
+      ]);
+    });
+
+    it('should reject malformed paths', function() {
+      expect(() => parsePath('0/1')).to.throw();
+      expect(() => parsePath('m/one')).to.throw();
+      expect(() => parsePath('m/2147483648')).to.throw();
+    });
+  });
+
+  describe('derivePath', function() {
+    let master = null;
+
+    beforeEach(function() {
+      master = createMasterKey(SEED);
+    });
+
+    it('should match every BIP32 test vector', function() {
+      VECTORS.forEach(({ path, privateKey, publicKey, chainCode }) => {
+        const extended = derivePath(master, path);
+
+        expect(extended.privateKey).to.equal(privateKey);
+        expect(extended.chainCode).to.equal(chainCode);
+        expect(toExtendedPublicKey(extended).publicKey).to.equal(publicKey);
+      });
+    });
+
+    it('should derive public keys along a public path', function() {
+      const parent = derivePath(master, "m/0'/1/2'");
+      const extended = derivePath(toExtendedPublicKey(parent), 'M/2');
+
+      expect(extended.publicKey).to.equal(VECTORS[4].publicKey);
+      expect(extended.chainCode).to.equal(VECTORS[4].chainCode);
+    });
+
+    it('should derive keys that work with the signing module', function() {
+      const { privateKey } = derivePath(master, "m/44'/0'/0'/0/7");
+      const message = randomBytes(32).toString('hex');
+      const signature = signing.sign(privateKey, message);
+      const publicKey = signing.getPublicKey(privateKey);
+
+      expect(secp256k1.privateKeyVerify(Buffer.from(privateKey, 'hex')))
+        .to.be.true;
+      expect(signing.verify(publicKey, message, signature)).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,204 @@
+'use strict';
+
+const { expect } = require('chai');
+const signing = require('../signing');
+const { createMasterKey, derivePath } = require('../derivation');
+const {
+  WORDLIST,
+  DEFAULT_PATH,
+  entropyToMnemonic,
+  mnemonicToEntropy,
+  isValidMnemonic,
+  createMnemonic,
+  mnemonicToSeed,
+  mnemonicToPrivateKey
+} = require('../mnemonic');
+
+
+// Test vectors from the reference BIP39 implementation, using the
+// passphrase 'TREZOR': https://github.com/trezor/python-mnemonic
+const PASSPHRASE = 'TREZOR';
+const VECTORS = [
+  {
+    entropy: '00000000000000000000000000000000',
+    mnemonic: 'abandon abandon abandon abandon abandon abandon abandon ' +
+      'abandon abandon abandon abandon about',
+    seed: 'c55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e5349553' +
+      '1f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04'
+  },
+  {
+    entropy: '7f7f7f7f7f7f7f7f7f7f7f7f7f7f7f7f',
+    mnemonic: 'legal winner thank year wave sausage worth useful legal ' +
+      'winner thank yellow',
+    seed: '2e8905819b8723fe2c1d161860e5ee1830318dbf49a83bd451cfb8440c28bd6f' +
+      'a457fe1296106559a3c80937a1c1069be3a3a5bd381ee6260e8d9739fce1f607'
+  },
+  {
+    entropy: 'ffffffffffffffffffffffffffffffff',
+    mnemonic: 'zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo wrong',
+    seed: 'ac27495480225222079d7be181583751e86f571027b0497b5b5d11218e0a8a13' +
+      '332572917f0f8e5a589620c6f15b11c61dee327651a14c34e18231052e48c069'
+  },
+  {
+    entropy: '000000000000000000000000000000000000000000000000',
+    mnemonic: 'abandon abandon abandon abandon abandon abandon abandon ' +
+      'abandon abandon abandon abandon abandon abandon abandon abandon ' +
+      'abandon abandon agent',
+    seed: '035895f2f481b1b0f01fcf8c289c794660b289981a78f8106447707fdd9666ca' +
+      '06da5a9a565181599b79f53b844d8a71dd9f439c52a3d7b3e8a79c906ac845fa'
+  },
+  {
+    entropy:
+      '0000000000000000000000000000000000000000000000000000000000000000',
+    mnemonic: 'abandon abandon abandon abandon abandon abandon abandon ' +
+      'abandon abandon abandon abandon abandon abandon abandon abandon ' +
+      'abandon abandon abandon abandon abandon abandon abandon abandon art',
+    seed: 'bda85446c68413707090a52022edd26a1c9462295029f2e60cd7c4f2bbd30971' +
+      '70af7a4d73245cafa9c3cca8d561a7c3de6f5d4a10be8ed2a5e608d68f92fcc8'
+  },
+  {
+    entropy: '9e885d952ad362caeb4efe34a8e91bd2',
+    mnemonic: 'ozone drill grab fiber curtain grace pudding thank cruise ' +
+      'elder eight picnic',
+    seed: '274ddc525802f7c828d8ef7ddbcdc5304e87ac3535913611fbbfa986d0c9e547' +
+      '6c91689f9c8a54fd55bd38606aa6a8595ad213d4c9c9f9aca3fb217069a41028'
+  }
+];
+
+// Swaps the last word of a phrase, which breaks its checksum
+const replaceLastWord = mnemonic => {
+  const words = mnemonic.split(' ');
+  const last = words.pop();
+  const replacement = last === 'zoo' ? 'abandon' : 'zoo';
+  return words.concat(replacement).join(' ');
+};
+
+describe.skip('Mnemonic module', function() {
+
+  describe('WORDLIST', function() {
+    it('should have 2048 unique words', function() {
+      expect(WORDLIST).to.have.lengthOf(2048);
+      expect(new Set(WORDLIST).size).to.equal(2048);
+    });
+  });
+
+  describe('entropyToMnemonic', function() {
+    it('should match the BIP39 test vectors', function() {
+      VECTORS.forEach(({ entropy, mnemonic }) => {
+        expect(entropyToMnemonic(entropy)).to.equal(mnemonic);
+      });
+    });
+
+    it('should reject entropy with an invalid length', function() {
+      expect(() => entropyToMnemonic('00'.repeat(15))).to.throw();
+      expect(() => entropyToMnemonic('00'.repeat(17))).to.throw();
+      expect(() => entropyToMnemonic('00'.repeat(36))).to.throw();
+    });
+  });
+
+  describe('mnemonicToEntropy', function() {
+    it('should match the BIP39 test vectors', function() {
+      VECTORS.forEach(({ entropy, mnemonic }) => {
+        expect(mnemonicToEntropy(mnemonic)).to.equal(entropy);
+      });
+    });
+
+    it('should reject a phrase with a bad checksum', function() {
+      const mnemonic = replaceLastWord(VECTORS[0].mnemonic);
+      expect(() => mnemonicToEntropy(mnemonic)).to.throw();
+    });
+
+    it('should reject a phrase with an unknown word', function() {
+      const mnemonic = VECTORS[1].mnemonic.replace('legal', 'illegal');
+      expect(() => mnemonicToEntropy(mnemonic)).to.throw();
+    });
+
+    it('should reject a phrase with the wrong number of words', function() {
+      const mnemonic = VECTORS[2].mnemonic.split(' ').slice(1).join(' ');
+      expect(() => mnemonicToEntropy(mnemonic)).to.throw();
+    });
+  });
+
+  describe('isValidMnemonic', function() {
+    it('should return true for a valid phrase', function() {
+      expect(isValidMnemonic(VECTORS[5].mnemonic)).to.be.true;
+    });
+
+    it('should return false for an invalid phrase', function() {
+      expect(isValidMnemonic(replaceLastWord(VECTORS[5].mnemonic)))
+        .to.be.false;
+      expect(isValidMnemonic('hello world')).to.be.false;
+    });
+  });
+
+  describe('createMnemonic', function() {
+    it('should create a valid 12 word phrase by default', function() {
+      const mnemonic = createMnemonic();
+
+      expect(mnemonic.split(' ')).to.have.lengthOf(12);
+      expect(isValidMnemonic(mnemonic)).to.be.true;
+    });
+
+    it('should create a 24 word phrase with 256 bits', function() {
+      const mnemonic = createMnemonic(256);
+
+      expect(mnemonic.split(' ')).to.have.lengthOf(24);
+      expect(isValidMnemonic(mnemonic)).to.be.true;
+    });
+
+    it('should create a new phrase each time', function() {
+      expect(createMnemonic()).to.not.equal(createMnemonic());
+    });
+  });
+
+  describe('mnemonicToSeed', function() {
+    it('should match the BIP39 test vectors', function() {
+      VECTORS.forEach(({ mnemonic, seed }) => {
+        expect(mnemonicToSeed(mnemonic, PASSPHRASE)).to.equal(seed);
+      });
+    });
+
+    it('should create a new seed with a new passphrase', function() {
+      const { mnemonic, seed } = VECTORS[0];
+
+      expect(mnemonicToSeed(mnemonic)).to.be.a.hexString.with.lengthOf(128);
+      expect(mnemonicToSeed(mnemonic)).to.not.equal(seed);
+      expect(mnemonicToSeed(mnemonic, 'trezor')).to.not.equal(seed);
+    });
+  });
+
+  describe('mnemonicToPrivateKey', function() {
+    const { mnemonic } = VECTORS[0];
+
+    it('should derive a private key from the phrase', function() {
+      const privateKey = mnemonicToPrivateKey(mnemonic);
+
+      expect(privateKey).to.equal(
+        'e284129cc0922579a535bbf4d1a3b25773090d28c909bc0fed73b5e0222cc372'
+      );
+    });
+
+    it('should use the passphrase and derivation path', function() {
+      const path = "m/0'/1";
+      const master = createMasterKey(mnemonicToSeed(mnemonic, PASSPHRASE));
+      const expected = derivePath(master, path).privateKey;
+
+      expect(mnemonicToPrivateKey(mnemonic, PASSPHRASE, path))
+        .to.equal(expected);
+      expect(mnemonicToPrivateKey(mnemonic, PASSPHRASE))
+        .to.equal(derivePath(master, DEFAULT_PATH).privateKey);
+    });
+
+    it('should derive a key that works with the signing module', function() {
+      const privateKey = mnemonicToPrivateKey(createMnemonic());
+      const publicKey = signing.getPublicKey(privateKey);
+      const signature = signing.sign(privateKey, 'Hello World!');
+
+      expect(signing.verify(publicKey, 'Hello World!', signature)).to.be.true;
+    });
+
+    it('should reject a phrase with a bad checksum', function() {
+      expect(() => mnemonicToPrivateKey(replaceLastWord(mnemonic))).to.throw();
+    });
+  });
+});
@@ -0,0 +1,172 @@
+'use strict';
+
+const { expect } = require('chai');
+const signing = require('../signing');
+const {
+  KEYSTORE_VERSION,
+  DEFAULT_ITERATIONS,
+  exportKeystore,
+  importKeystore
+} = require('../keystore');
+
+
+// Keep the tests fast, real keystores should use many more iterations
+const ITERATIONS = 1000;
+const PASSWORD = 'correct horse battery staple';
+
+// Tampers with a hex string, changing a single random character
+const modifyHexString = hex => {
+  const index = Math.floor(Math.random() * hex.length);
+
+  let newChar = null;
+  do {
+    newChar = Math.floor(Math.random() * 16).toString(16);
+  } while (newChar === hex[index]);
+
+  return hex.slice(0, index) + newChar + hex.slice(index + 1);
+};
+
+describe.skip('Keystore module', function() {
+  let privateKey = null;
+  let keystore = null;
+
+  beforeEach(function() {
+    privateKey = signing.createPrivateKey();
+    keystore = exportKeystore(privateKey, PASSWORD, ITERATIONS);
+  });
+
+  describe('exportKeystore', function() {
+    it('should return a JSON string', function() {
+      expect(keystore).to.be.a('string');
+      expect(() => JSON.parse(keystore)).to.not.throw();
+    });
+
+    it('should include the version and public key', function() {
+      const { version, publicKey } = JSON.parse(keystore);
+
+      expect(version).to.equal(KEYSTORE_VERSION);
+      expect(publicKey).to.equal(signing.getPublicKey(privateKey));
+    });
+
+    it('should include the key derivation parameters', function() {
+      const { kdf } = JSON.parse(keystore);
+
+      expect(kdf.name).to.equal('pbkdf2');
+      expect(kdf.digest).to.equal('sha256');
+      expect(kdf.iterations).to.equal(ITERATIONS);
+      expect(kdf.salt).to.be.a.hexString.with.lengthOf(64);
+    });
+
+    it('should include the cipher parameters', function() {
+      const { cipher, ciphertext } = JSON.parse(keystore);
+
+      expect(cipher.name).to.equal('aes-256-gcm');
+      expect(cipher.iv).to.be.a.hexString.with.lengthOf(24);
+      expect(cipher.tag).to.be.a.hexString.with.lengthOf(32);
+      expect(ciphertext).to.be.a.hexString.with.lengthOf(64);
+    });
+
+    it('should not include the private key in plain text', function() {
+      expect(keystore).to.not.include(privateKey);
+    });
+
+    it('should use a new salt and iv every time', function() {
+      const original = JSON.parse(keystore);
+      const other = JSON.parse(
+        exportKeystore(privateKey, PASSWORD, ITERATIONS)
+      );
+
+      expect(other.kdf.salt).to.not.equal(original.kdf.salt);
+      expect(other.cipher.iv).to.not.equal(original.cipher.iv);
+      expect(other.ciphertext).to.not.equal(original.ciphertext);
+    });
+
+    it('should default to DEFAULT_ITERATIONS', function() {
+      this.timeout(10000);
+      const { kdf } = JSON.parse(exportKeystore(privateKey, PASSWORD));
+      expect(kdf.iterations).to.equal(DEFAULT_ITERATIONS);
+    });
+  });
+
+  describe('importKeystore', function() {
+    const tamper = (keystore, modify) => {
+      const parsed = JSON.parse(keystore);
+      modify(parsed);
+      return JSON.stringify(parsed);
+    };
+
+    it('should decrypt the original private key', function() {
+      expect(importKeystore(keystore, PASSWORD)).to.equal(privateKey);
+    });
+
+    it('should work with the signing module', function() {
+      const decrypted = importKeystore(keystore, PASSWORD);
+      const signature = signing.sign(decrypted, 'Hello World!');
+      const publicKey = JSON.parse(keystore).publicKey;
+
+      expect(signing.verify(publicKey, 'Hello World!', signature)).to.be.true;
+    });
+
+    it('should reject the wrong password', function() {
+      expect(() => importKeystore(keystore, 'incorrect horse battery staple'))
+        .to.throw('Incorrect password or corrupted keystore');
+    });
+
+    it('should reject a modified ciphertext', function() {
+      const modified = tamper(keystore, parsed => {
+        parsed.ciphertext = modifyHexString(parsed.ciphertext);
+      });
+
+      expect(() => importKeystore(modified, PASSWORD))
+        .to.throw('Incorrect password or corrupted keystore');
+    });
+
+    it('should reject a modified authentication tag', function() {
+      const modified = tamper(keystore, parsed => {
+        parsed.cipher.tag = modifyHexString(parsed.cipher.tag);
+      });
+
+      expect(() => importKeystore(modified, PASSWORD))
+        .to.throw('Incorrect password or corrupted keystore');
+    });
+
+    it('should reject a modified public key', function() {
+      const other = signing.getPublicKey(signing.createPrivateKey());
+      const modified = tamper(keystore, parsed => {
+        parsed.publicKey = other;
+      });
+
+      expect(() => importKeystore(modified, PASSWORD))
+        .to.throw('Incorrect password or corrupted keystore');
+    });
+
+    it('should reject modified key derivation parameters', function() {
+      const modified = tamper(keystore, parsed => {
+        parsed.kdf.iterations = ITERATIONS + 1;
+      });
+
+      expect(() => importKeystore(modified, PASSWORD))
+        .to.throw('Incorrect password or corrupted keystore');
+    });
+
+    it('should reject an unsupported version', function() {
+      const modified = tamper(keystore, parsed => {
+        parsed.version = KEYSTORE_VERSION + 1;
+      });
+
+      expect(() => importKeystore(modified, PASSWORD))
+        .to.throw('Unsupported keystore version');
+    });
+
+    it('should reject a malformed keystore', function() {
+      const missing = tamper(keystore, parsed => {
+        delete parsed.cipher;
+      });
+
+      expect(() => importKeystore(missing, PASSWORD))
+        .to.throw('Invalid keystore');
+      expect(() => importKeystore(keystore.slice(1), PASSWORD))
+        .to.throw('Invalid keystore');
+    });
+  });
+});
@@ -0,0 +1,183 @@
+'use strict';
+
+const { expect } = require('chai');
+const secp256k1 = require('secp256k1');
+const { createHash } = require('crypto');
+const signing = require('../signing');
+const {
+  Transaction,
+  CompactTransaction,
+  Blockchain
+} = require('../blockchain');
+const { isValidTransaction, isValidChain } = require('../validation');
+
+
+// Returns a Buffer SHA-256 hash of a string or Buffer
+const sha256 = msg => createHash('sha256').update(msg).digest();
+
+describe.skip('Signature recovery', function() {
+  let privateKey = null;
+  let publicKey = null;
+
+  beforeEach(function() {
+    privateKey = signing.createPrivateKey();
+    publicKey = signing.getPublicKey(privateKey);
+  });
+
+  describe('signRecoverable', function() {
+    let signature = null;
+
+    beforeEach(function() {
+      signature = signing.signRecoverable(privateKey, 'Hello World!');
+    });
+
+    it('should return a 130 character hex string', function() {
+      expect(signature).to.be.a.hexString.with.lengthOf(130);
+    });
+
+    it('should end with a recovery id from 0 to 3', function() {
+      const recovery = parseInt(signature.slice(128), 16);
+      expect(recovery).to.be.within(0, 3);
+    });
+
+    it('should start with a normal valid signature', function() {
+      const isValid = secp256k1.verify(
+        sha256('Hello World!'),
+        Buffer.from(signature.slice(0, 128), 'hex'),
+        Buffer.from(publicKey, 'hex')
+      );
+
+      expect(isValid).to.be.true;
+      expect(signing.verify(publicKey, 'Hello World!', signature.slice(0, 128)))
+        .to.be.true;
+    });
+  });
+
+  describe('recoverPublicKey', function() {
+    let signature = null;
+
+    beforeEach(function() {
+      signature = signing.signRecoverable(privateKey, 'Hello World!');
+    });
+
+    it('should recover the public key of the signer', function() {
+      const recovered = signing.recoverPublicKey('Hello World!', signature);
+      expect(recovered).to.equal(publicKey);
+    });
+
+    it('should recover a different key for a different message', function() {
+      const recovered = signing.recoverPublicKey('Hello World?', signature);
+      expect(recovered).to.not.equal(publicKey);
+    });
+
+    it('should return null for a malformed signature', function() {
+      const truncated = signature.slice(0, 128);
+      const badRecovery = signature.slice(0, 128) + '07';
+
+      expect(signing.recoverPublicKey('Hello World!', truncated)).to.be.null;
+      expect(signing.recoverPublicKey('Hello World!', badRecovery)).to.be.null;
+      expect(signing.recoverPublicKey('Hello World!', '00'.repeat(65)))
+        .to.be.null;
+    });
+  });
+
+  describe('CompactTransaction', function() {
+    let recipient = null;
+    let amount = null;
+    let transaction = null;
+
+    beforeEach(function() {
+      recipient = signing.getPublicKey(signing.createPrivateKey());
+      amount = Math.ceil(Math.random() * 100);
+      transaction = new CompactTransaction(privateKey, recipient, amount);
+    });
+
+    it('should include the passed recipient and amount', function() {
+      expect(transaction.recipient).to.equal(recipient);
+      expect(transaction.amount).to.equal(amount);
+    });
+
+    it('should include a recoverable signature', function() {
+      const { signature } = transaction;
+      const recovered = signing.recoverPublicKey(recipient + amount, signature);
+
+      expect(signature).to.be.a.hexString.with.lengthOf(130);
+      expect(recovered).to.equal(publicKey);
+    });
+
+    it('should not store the source', function() {
+      expect(Object.keys(transaction)).to.not.include('source');
+      expect(JSON.stringify(transaction)).to.not.include(publicKey);
+    });
+
+    it('should recover the source from the signature', function() {
+      expect(transaction.source).to.equal(publicKey);
+    });
+
+    it('should change the source when the amount is modified', function() {
+      transaction.amount += 1000;
+      expect(transaction.source).to.not.equal(publicKey);
+    });
+  });
+
+  describe('isValidTransaction', function() {
+    let recipient = null;
+
+    beforeEach(function() {
+      recipient = signing.getPublicKey(signing.createPrivateKey());
+    });
+
+    it('should still accept normal transactions', function() {
+      const transaction = new Transaction(privateKey, recipient, 10);
+      expect(isValidTransaction(transaction)).to.be.true;
+    });
+
+    it('should accept a valid compact transaction', function() {
+      const transaction = new CompactTransaction(privateKey, recipient, 10);
+      expect(isValidTransaction(transaction)).to.be.true;
+    });
+
+    it('should reject a negative compact transaction', function() {
+      const transaction = new CompactTransaction(privateKey, recipient, -10);
+      expect(isValidTransaction(transaction)).to.be.false;
+    });
+
+    it('should reject a compact transaction with no source', function() {
+      const transaction = new CompactTransaction(privateKey, recipient, 10);
+      transaction.signature = '00'.repeat(65);
+
+      expect(isValidTransaction(transaction)).to.be.false;
+    });
+  });
+
+  describe('Blockchain', function() {
+    let blockchain = null;
+    let recipient = null;
+
+    beforeEach(function() {
+      blockchain = new Blockchain();
+      recipient = signing.getPublicKey(signing.createPrivateKey());
+      blockchain.addBlock([
+        new CompactTransaction(privateKey, recipient, 100),
+        new Transaction(privateKey, recipient, 50)
+      ]);
+    });
+
+    it('should include compact transactions in balances', function() {
+      expect(blockchain.getBalance(recipient)).to.equal(150);
+      expect(blockchain.getBalance(publicKey)).to.equal(-150);
+    });
+
+    it('should validate chains with both kinds of transactions', function() {
+      expect(isValidChain(blockchain)).to.be.true;
+    });
+
+    it('should reject chains with an unrecoverable signature', function() {
+      const block = blockchain.blocks[1];
+      block.transactions[0].signature = '00'.repeat(65);
+      block.calculateHash(block.nonce);
+
+      expect(isValidChain(blockchain)).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,236 @@
+'use strict';
+
+const { expect } = require('chai');
+const signing = require('../signing');
+const { Transaction, Block, Blockchain } = require('../blockchain');
+const { isValidTransaction, isValidChain } = require('../validation');
+const {
+  createMultisigAccount,
+  MultisigTransaction
+} = require('../multisig');
+
+
+// Creates a number of new private keys
+const createPrivateKeys = count => {
+  return Array.apply(null, Array(count)).map(signing.createPrivateKey);
+};
+
+describe.skip('Multisig module', function() {
+  let privateKeys = null;
+  let publicKeys = null;
+  let account = null;
+
+  beforeEach(function() {
+    privateKeys = createPrivateKeys(3);
+    publicKeys = privateKeys.map(signing.getPublicKey);
+    account = createMultisigAccount(publicKeys, 2);
+  });
+
+  describe('createMultisigAccount', function() {
+    it('should include a hex id', function() {
+      expect(account.id).to.be.a.hexString.with.lengthOf(64);
+    });
+
+    it('should include the threshold and sorted public keys', function() {
+      expect(account.threshold).to.equal(2);
+      expect(account.publicKeys).to.deep.equal(publicKeys.slice().sort());
+    });
+
+    it('should create the same id in any key order', function() {
+      const reversed = createMultisigAccount(publicKeys.slice().reverse(), 2);
+      expect(reversed.id).to.equal(account.id);
+    });
+
+    it('should create different ids for different thresholds', function() {
+      const other = createMultisigAccount(publicKeys, 3);
+      expect(other.id).to.not.equal(account.id);
+    });
+
+    it('should create different ids for different keys', function() {
+      const keys = publicKeys.slice(0, 2).concat(
+        signing.getPublicKey(signing.createPrivateKey())
+      );
+      const other = createMultisigAccount(keys, 2);
+
+      expect(other.id).to.not.equal(account.id);
+    });
+
+    it('should reject an invalid threshold', function() {
+      expect(() => createMultisigAccount(publicKeys, 0)).to.throw();
+      expect(() => createMultisigAccount(publicKeys, 4)).to.throw();
+      expect(() => createMultisigAccount(publicKeys, 1.5)).to.throw();
+    });
+
+    it('should reject duplicate public keys', function() {
+      const keys = publicKeys.concat(publicKeys[0]);
+      expect(() => createMultisigAccount(keys, 2)).to.throw();
+    });
+  });
+
+  describe('MultisigTransaction', function() {
+    let recipient = null;
+    let transaction = null;
+
+    beforeEach(function() {
+      recipient = signing.getPublicKey(signing.createPrivateKey());
+      transaction = new MultisigTransaction(account, recipient, 100);
+    });
+
+    it('should use the account id as source', function() {
+      expect(transaction.source).to.equal(account.id);
+      expect(transaction.account).to.deep.equal(account);
+    });
+
+    it('should include the passed recipient and amount', function() {
+      expect(transaction.recipient).to.equal(recipient);
+      expect(transaction.amount).to.equal(100);
+    });
+
+    it('should start with no signatures', function() {
+      expect(transaction.signatures).to.be.an('object').and.be.empty;
+    });
+
+    it('should collect signatures from account members', function() {
+      transaction.sign(privateKeys[0]);
+      transaction.sign(privateKeys[2]);
+
+      const message = account.id + recipient + 100;
+      const signed = Object.keys(transaction.signatures);
+      expect(signed).to.have.members([ publicKeys[0], publicKeys[2] ]);
+
+      signed.forEach(publicKey => {
+        const signature = transaction.signatures[publicKey];
+        expect(signing.verify(publicKey, message, signature)).to.be.true;
+      });
+    });
+
+    it('should not accept signatures from non-members', function() {
+      expect(() => transaction.sign(signing.createPrivateKey())).to.throw();
+    });
+  });
+
+  describe('isValidTransaction', function() {
+    let recipient = null;
+    let transaction = null;
+
+    beforeEach(function() {
+      recipient = signing.getPublicKey(signing.createPrivateKey());
+      transaction = new MultisigTransaction(account, recipient, 100);
+      transaction.sign(privateKeys[0]);
+      transaction.sign(privateKeys[1]);
+    });
+
+    it('should accept a transaction that meets the threshold', function() {
+      expect(isValidTransaction(transaction)).to.be.true;
+    });
+
+    it('should accept a transaction with extra signatures', function() {
+      transaction.sign(privateKeys[2]);
+      expect(isValidTransaction(transaction)).to.be.true;
+    });
+
+    it('should reject a transaction below the threshold', function() {
+      delete transaction.signatures[publicKeys[1]];
+      expect(isValidTransaction(transaction)).to.be.false;
+    });
+
+    it('should not count duplicate or invalid signatures', function() {
+      const signature = transaction.signatures[publicKeys[0]];
+      transaction.signatures[publicKeys[1]] = signature;
+
+      expect(isValidTransaction(transaction)).to.be.false;
+    });
+
+    it('should not count signatures from outside the account', function() {
+      const outsider = signing.createPrivateKey();
+      const outsiderKey = signing.getPublicKey(outsider);
+      const message = account.id + recipient + 100;
+
+      delete transaction.signatures[publicKeys[1]];
+      transaction.signatures[outsiderKey] = signing.sign(outsider, message);
+
+      expect(isValidTransaction(transaction)).to.be.false;
+    });
+
+    it('should reject a transaction with a negative amount', function() {
+      const negative = new MultisigTransaction(account, recipient, -100);
+      negative.sign(privateKeys[0]);
+      negative.sign(privateKeys[1]);
+
+      expect(isValidTransaction(negative)).to.be.false;
+    });
+
+    it('should reject a transaction with a modified amount', function() {
+      transaction.amount = 1000;
+      expect(isValidTransaction(transaction)).to.be.false;
+    });
+
+    it('should reject a transaction with a modified threshold', function() {
+      delete transaction.signatures[publicKeys[1]];
+      transaction.account = Object.assign({}, account, { threshold: 1 });
+
+      expect(isValidTransaction(transaction)).to.be.false;
+    });
+
+    it('should reject a transaction with modified account keys', function() {
+      const intruder = signing.createPrivateKey();
+      const keys = account.publicKeys.concat(signing.getPublicKey(intruder));
+      transaction.account = Object.assign({}, account, { publicKeys: keys });
+      transaction.signatures = {};
+      transaction.sign(privateKeys[0]);
+      transaction.sign(intruder);
+
+      expect(isValidTransaction(transaction)).to.be.false;
+    });
+  });
+
+  describe('Blockchain', function() {
+    let blockchain = null;
+    let funder = null;
+    let recipient = null;
+
+    beforeEach(function() {
+      blockchain = new Blockchain();
+      funder = signing.createPrivateKey();
+      recipient = signing.getPublicKey(signing.createPrivateKey());
+
+      const deposit = new Transaction(funder, account.id, 500);
+      const withdrawal = new MultisigTransaction(account, recipient, 200);
+      withdrawal.sign(privateKeys[1]);
+      withdrawal.sign(privateKeys[2]);
+
+      blockchain.addBlock([ deposit ]);
+      blockchain.addBlock([ withdrawal ]);
+    });
+
+    it('should track balances for multisig accounts', function() {
+      expect(blockchain.getBalance(account.id)).to.equal(300);
+      expect(blockchain.getBalance(recipient)).to.equal(200);
+    });
+
+    it('should accept a chain with multisig transactions', function() {
+      expect(isValidChain(blockchain)).to.be.true;
+    });
+
+    it('should allow multisig accounts to pay each other', function() {
+      const other = createMultisigAccount(publicKeys.slice(1), 1);
+      const transfer = new MultisigTransaction(account, other.id, 50);
+      transfer.sign(privateKeys[0]);
+      transfer.sign(privateKeys[1]);
+      blockchain.addBlock([ transfer ]);
+
+      expect(blockchain.getBalance(account.id)).to.equal(250);
+      expect(blockchain.getBalance(other.id)).to.equal(50);
+      expect(isValidChain(blockchain)).to.be.true;
+    });
+
+    it('should reject a chain with a forged withdrawal', function() {
+      const theft = new MultisigTransaction(account, recipient, 300);
+      theft.sign(privateKeys[0]);
+      const previousHash = blockchain.getHeadBlock().hash;
+      blockchain.blocks.push(new Block([ theft ], previousHash));
+
+      expect(isValidChain(blockchain)).to.be.false;
+    });
+  });
+});
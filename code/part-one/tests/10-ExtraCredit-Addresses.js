@@ -0,0 +1,192 @@
+'use strict';
+
+const { expect } = require('chai');
+const { createHash } = require('crypto');
+const signing = require('../signing');
+const { Transaction, Block, Blockchain } = require('../blockchain');
+const { isValidTransaction, isValidChain } = require('../validation');
+const {
+  ADDRESS_VERSION,
+  toBase58,
+  fromBase58,
+  toAddress,
+  decodeAddress,
+  isValidAddressString
+} = require('../address');
+
+
+const PUBLIC_KEY =
+  '0339a36013301597daef41fbe593a02cc513d0b55527ec2df1050e2e8ff49c85c2';
+const ADDRESS = '15mKKb2eos1hWa6tisdPwwDC1a5J1y9nma';
+const HASH = '3442193e1bb70916e914552172cd4e2dbc9df811';
+
+// Returns a Buffer SHA-256 hash of a string or Buffer
+const sha256 = msg => createHash('sha256').update(msg).digest();
+
+// Changes the last character of an address, breaking its checksum
+const mistype = address => {
+  const last = address.slice(-1) === 'a' ? 'b' : 'a';
+  return address.slice(0, -1) + last;
+};
+
+describe.skip('Address module', function() {
+  describe('base58 helpers', function() {
+    it('should encode leading zero bytes as ones', function() {
+      expect(toBase58(Buffer.from('0000ff', 'hex'))).to.equal('115Q');
+    });
+
+    it('should decode back to the original bytes', function() {
+      const bytes = Buffer.from('00' + HASH, 'hex');
+      expect(fromBase58(toBase58(bytes)).equals(bytes)).to.be.true;
+    });
+
+    it('should reject characters outside the alphabet', function() {
+      expect(() => fromBase58('0OIl')).to.throw();
+    });
+  });
+
+  describe('toAddress', function() {
+    it('should create the expected address', function() {
+      expect(toAddress(PUBLIC_KEY)).to.equal(ADDRESS);
+    });
+
+    it('should start with a 1', function() {
+      const publicKey = signing.getPublicKey(signing.createPrivateKey());
+      expect(toAddress(publicKey)).to.match(/^1/);
+    });
+
+    it('should create different addresses for different keys', function() {
+      const publicKey = signing.getPublicKey(signing.createPrivateKey());
+      expect(toAddress(publicKey)).to.not.equal(ADDRESS);
+    });
+  });
+
+  describe('decodeAddress', function() {
+    it('should return the version and public key hash', function() {
+      const decoded = decodeAddress(ADDRESS);
+
+      expect(decoded.version).to.equal(ADDRESS_VERSION);
+      expect(decoded.hash).to.equal(HASH);
+    });
+
+    it('should reject an address with a bad checksum', function() {
+      expect(() => decodeAddress(mistype(ADDRESS))).to.throw();
+    });
+
+    it('should reject an address with the wrong length', function() {
+      expect(() => decodeAddress(ADDRESS.slice(0, -4))).to.throw();
+      expect(() => decodeAddress(ADDRESS + '1')).to.throw();
+    });
+
+    it('should reject an address with invalid characters', function() {
+      expect(() => decodeAddress('0' + ADDRESS.slice(1))).to.throw();
+    });
+  });
+
+  describe('isValidAddressString', function() {
+    it('should accept a valid address', function() {
+      expect(isValidAddressString(ADDRESS)).to.be.true;
+    });
+
+    it('should reject a mistyped address', function() {
+      expect(isValidAddressString(mistype(ADDRESS))).to.be.false;
+      expect(isValidAddressString(ADDRESS.slice(1))).to.be.false;
+    });
+
+    it('should reject an address with a different version', function() {
+      const payload = Buffer.from('05' + HASH, 'hex');
+      const checksum = sha256(sha256(payload)).slice(0, 4);
+      const other = toBase58(Buffer.concat([ payload, checksum ]));
+
+      expect(decodeAddress(other).version).to.equal(5);
+      expect(isValidAddressString(other)).to.be.false;
+    });
+
+    it('should return false instead of throwing', function() {
+      expect(isValidAddressString('')).to.be.false;
+      expect(isValidAddressString(PUBLIC_KEY)).to.be.false;
+      expect(isValidAddressString(null)).to.be.false;
+      expect(isValidAddressString(12345)).to.be.false;
+    });
+  });
+
+  describe('Transaction', function() {
+    let privateKey = null;
+
+    beforeEach(function() {
+      privateKey = signing.createPrivateKey();
+    });
+
+    it('should accept an address as the recipient', function() {
+      const transaction = new Transaction(privateKey, ADDRESS, 100);
+      expect(transaction.recipient).to.equal(ADDRESS);
+      expect(isValidTransaction(transaction)).to.be.true;
+    });
+
+    it('should still accept a public key as the recipient', function() {
+      const transaction = new Transaction(privateKey, PUBLIC_KEY, 100);
+      expect(isValidTransaction(transaction)).to.be.true;
+    });
+
+    it('should throw for a mistyped recipient address', function() {
+      expect(() => new Transaction(privateKey, mistype(ADDRESS), 100))
+        .to.throw();
+    });
+
+    it('should reject a transaction with a mistyped address', function() {
+      const transaction = new Transaction(privateKey, ADDRESS, 100);
+      transaction.recipient = mistype(ADDRESS);
+
+      expect(isValidTransaction(transaction)).to.be.false;
+    });
+  });
+
+  describe('Blockchain', function() {
+    let blockchain = null;
+    let privateKey = null;
+    let publicKey = null;
+    let address = null;
+
+    beforeEach(function() {
+      blockchain = new Blockchain();
+      privateKey = signing.createPrivateKey();
+      publicKey = signing.getPublicKey(privateKey);
+      address = toAddress(publicKey);
+
+      const funder = signing.createPrivateKey();
+      blockchain.addBlock([
+        new Transaction(funder, address, 100),
+        new Transaction(funder, publicKey, 50)
+      ]);
+    });
+
+    it('should get balances by address', function() {
+      expect(blockchain.getBalance(address)).to.equal(150);
+    });
+
+    it('should include funds sent to an address by public key', function() {
+      expect(blockchain.getBalance(publicKey)).to.equal(150);
+    });
+
+    it('should subtract spending from the sender\'s address', function() {
+      blockchain.addBlock([ new Transaction(privateKey, ADDRESS, 30) ]);
+
+      expect(blockchain.getBalance(address)).to.equal(120);
+      expect(blockchain.getBalance(ADDRESS)).to.equal(30);
+      expect(blockchain.getBalance(PUBLIC_KEY)).to.equal(30);
+    });
+
+    it('should validate chains with addresses', function() {
+      expect(isValidChain(blockchain)).to.be.true;
+    });
+
+    it('should reject chains with a mistyped address', function() {
+      const transaction = new Transaction(privateKey, ADDRESS, 30);
+      transaction.recipient = mistype(ADDRESS);
+      const previousHash = blockchain.getHeadBlock().hash;
+      blockchain.blocks.push(new Block([ transaction ], previousHash));
+
+      expect(isValidChain(blockchain)).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,183 @@
+'use strict';
+
+const { expect } = require('chai');
+const secp256k1 = require('secp256k1');
+const signing = require('../signing');
+const {
+  Transaction,
+  CompactTransaction,
+  Blockchain
+} = require('../blockchain');
+const { isValidTransaction, isValidChain } = require('../validation');
+
+
+const PRIVATE_KEY =
+  'e291df3eede7f0c520fddbe5e9e53434ff7ef3c0894ed9d9cbcb6596f1cfe87e';
+const PUBLIC_KEY =
+  '0202694593ddc71061e622222ed400f5373cfa7ea607ce106cca3f039b0f9a0123';
+const SIGNATURE =
+  '4ae1f0b20382ad628804a5a66e09cc6bdf2c83fa64f8017e98d84cc75a1a71b5' +
+  '2907888c3e41853ff342698b4048b203d93a557674da573bbdfc00f104c120e7';
+const DER =
+  '304402204ae1f0b20382ad628804a5a66e09cc6bdf2c83fa64f8017e98d84cc75a1a71b5' +
+  '02202907888c3e41853ff342698b4048b203d93a557674da573bbdfc00f104c120e7';
+const HIGH_S_DER =
+  '304502204ae1f0b20382ad628804a5a66e09cc6bdf2c83fa64f8017e98d84cc75a1a71b5' +
+  '022100d6f87773c1be7ac00cbd9674bfb74dfae17487703a6e490001d65d9bcb75205a';
+
+// Flips a hex signature to its other valid form, replacing S with N - S
+const flipSignature = signature => {
+  const r = signature.slice(0, 64);
+  const s = Buffer.from(signature.slice(64, 128), 'hex');
+  const flipped = secp256k1.privateKeyNegate(s).toString('hex');
+  const recovery = signature.slice(128)
+    ? (parseInt(signature.slice(128), 16) ^ 1).toString(16).padStart(2, '0')
+    : '';
+
+  return r + flipped + recovery;
+};
+
+describe.skip('Signature malleability', function() {
+  let privateKey = null;
+  let publicKey = null;
+
+  beforeEach(function() {
+    privateKey = signing.createPrivateKey();
+    publicKey = signing.getPublicKey(privateKey);
+  });
+
+  describe('isLowS', function() {
+    it('should accept a low-S signature', function() {
+      expect(signing.isLowS(SIGNATURE)).to.be.true;
+    });
+
+    it('should reject a high-S signature', function() {
+      expect(signing.isLowS(flipSignature(SIGNATURE))).to.be.false;
+    });
+
+    it('should accept S values up to half the curve order', function() {
+      const r = SIGNATURE.slice(0, 64);
+      const half = signing.HALF_CURVE_ORDER;
+      const overHalf = half.slice(0, -1) + 'f';
+
+      expect(signing.isLowS(r + half)).to.be.true;
+      expect(signing.isLowS(r + overHalf)).to.be.false;
+    });
+  });
+
+  describe('normalizeSignature', function() {
+    it('should return a low-S signature unchanged', function() {
+      expect(signing.normalizeSignature(SIGNATURE)).to.equal(SIGNATURE);
+    });
+
+    it('should flip a high-S signature back to low-S', function() {
+      const normalized = signing.normalizeSignature(flipSignature(SIGNATURE));
+      expect(normalized).to.equal(SIGNATURE);
+    });
+  });
+
+  describe('sign', function() {
+    it('should create the expected signature', function() {
+      const signature = signing.sign(PRIVATE_KEY, 'Hello World!');
+      expect(signature).to.equal(SIGNATURE);
+    });
+
+    it('should always create low-S signatures', function() {
+      for (let i = 0; i < 20; i++) {
+        const signature = signing.sign(privateKey, 'Message #' + i);
+        expect(signing.isLowS(signature)).to.be.true;
+      }
+    });
+  });
+
+  describe('verify', function() {
+    it('should still accept low-S signatures', function() {
+      expect(signing.verify(PUBLIC_KEY, 'Hello World!', SIGNATURE)).to.be.true;
+    });
+
+    it('should reject high-S signatures', function() {
+      const flipped = flipSignature(SIGNATURE);
+      expect(signing.verify(PUBLIC_KEY, 'Hello World!', flipped)).to.be.false;
+    });
+  });
+
+  describe('recoverPublicKey', function() {
+    it('should not recover a key from a high-S signature', function() {
+      const signature = signing.signRecoverable(privateKey, 'Hello World!');
+      const flipped = flipSignature(signature);
+
+      expect(signing.recoverPublicKey('Hello World!', signature))
+        .to.equal(publicKey);
+      expect(signing.recoverPublicKey('Hello World!', flipped)).to.be.null;
+    });
+  });
+
+  describe('toDER', function() {
+    it('should encode the expected DER signature', function() {
+      expect(signing.toDER(SIGNATURE)).to.equal(DER);
+    });
+
+    it('should encode high-S signatures too', function() {
+      expect(signing.toDER(flipSignature(SIGNATURE))).to.equal(HIGH_S_DER);
+    });
+  });
+
+  describe('fromDER', function() {
+    it('should decode the expected signature', function() {
+      expect(signing.fromDER(DER)).to.equal(SIGNATURE);
+    });
+
+    it('should decode any signature encoded with toDER', function() {
+      const signature = signing.sign(privateKey, 'Hello World!');
+      const decoded = signing.fromDER(signing.toDER(signature));
+
+      expect(decoded).to.equal(signature);
+      expect(signing.verify(publicKey, 'Hello World!', decoded)).to.be.true;
+    });
+
+    it('should decode high-S signatures from other tools', function() {
+      const decoded = signing.fromDER(HIGH_S_DER);
+
+      expect(decoded).to.equal(flipSignature(SIGNATURE));
+      expect(signing.normalizeSignature(decoded)).to.equal(SIGNATURE);
+    });
+
+    it('should throw for a malformed DER signature', function() {
+      expect(() => signing.fromDER(DER.slice(0, -2))).to.throw();
+      expect(() => signing.fromDER(SIGNATURE)).to.throw();
+    });
+  });
+
+  describe('Blockchain', function() {
+    let recipient = null;
+    let blockchain = null;
+
+    beforeEach(function() {
+      recipient = signing.getPublicKey(signing.createPrivateKey());
+      blockchain = new Blockchain();
+      blockchain.addBlock([ new Transaction(privateKey, recipient, 100) ]);
+    });
+
+    it('should reject a transaction with a flipped signature', function() {
+      const transaction = new Transaction(privateKey, recipient, 100);
+      transaction.signature = flipSignature(transaction.signature);
+
+      expect(isValidTransaction(transaction)).to.be.false;
+    });
+
+    it('should reject a flipped compact transaction', function() {
+      const transaction = new CompactTransaction(privateKey, recipient, 100);
+      transaction.signature = flipSignature(transaction.signature);
+
+      expect(isValidTransaction(transaction)).to.be.false;
+    });
+
+    it('should reject a chain with a flipped signature', function() {
+      const transaction = blockchain.blocks[1].transactions[0];
+      transaction.signature = flipSignature(transaction.signature);
+      blockchain.blocks[1].calculateHash(blockchain.blocks[1].nonce);
+
+      expect(isValidChain(blockchain)).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,215 @@
+'use strict';
+
+const { expect } = require('chai');
+const signing = require('../signing');
+const { Transaction, Blockchain } = require('../blockchain');
+const {
+  signatureCache,
+  isValidTransaction,
+  isValidBlock,
+  isValidChain,
+  getTransactionHash,
+  verifyTransactions
+} = require('../validation');
+
+
+// Creates a number of signed transactions between random keys
+const createTransactions = count => {
+  return Array.apply(null, Array(count)).map((_, i) => {
+    const privateKey = signing.createPrivateKey();
+    const recipient = signing.getPublicKey(signing.createPrivateKey());
+    return new Transaction(privateKey, recipient, i + 1);
+  });
+};
+
+// Creates a signature verification entry from a transaction
+const toEntry = ({ source, recipient, amount, signature }) => {
+  return { publicKey: source, message: source + recipient + amount, signature };
+};
+
+describe.skip('Batch verification', function() {
+  describe('verifyBatch', function() {
+    let entries = null;
+
+    beforeEach(function() {
+      entries = createTransactions(5).map(toEntry);
+    });
+
+    it('should return an empty array if every entry is valid', function() {
+      expect(signing.verifyBatch(entries)).to.deep.equal([]);
+    });
+
+    it('should return an empty array for an empty batch', function() {
+      expect(signing.verifyBatch([])).to.deep.equal([]);
+    });
+
+    it('should return the indexes of invalid entries', function() {
+      entries[1].message = entries[1].message + '0';
+      entries[3].signature = entries[0].signature;
+
+      expect(signing.verifyBatch(entries)).to.deep.equal([ 1, 3 ]);
+    });
+
+    it('should treat malformed entries as failures', function() {
+      entries[0].signature = 'not a signature';
+      entries[2].publicKey = null;
+      entries[4] = {};
+
+      expect(signing.verifyBatch(entries)).to.deep.equal([ 0, 2, 4 ]);
+    });
+  });
+
+  describe('getTransactionHash', function() {
+    let transaction = null;
+    let hash = null;
+
+    beforeEach(function() {
+      transaction = createTransactions(1)[0];
+      hash = getTransactionHash(transaction);
+    });
+
+    it('should return a 64 character hex string', function() {
+      expect(hash).to.be.a.hexString.with.lengthOf(64);
+    });
+
+    it('should return the same hash for the same transaction', function() {
+      expect(getTransactionHash(transaction)).to.equal(hash);
+    });
+
+    it('should return a new hash when a property is modified', function() {
+      const { signature } = transaction;
+      transaction.amount = transaction.amount + 1;
+      expect(getTransactionHash(transaction)).to.not.equal(hash);
+
+      transaction.amount = transaction.amount - 1;
+      const last = signature.slice(-1) === '0' ? '1' : '0';
+      transaction.signature = signature.slice(0, -1) + last;
+      expect(getTransactionHash(transaction)).to.not.equal(hash);
+    });
+  });
+
+  describe('signature cache', function() {
+    const originalVerifyBatch = signing.verifyBatch;
+    let batches = null;
+    let transactions = null;
+
+    beforeEach(function() {
+      signatureCache.clear();
+      batches = [];
+      signing.verifyBatch = entries => {
+        batches.push(entries.length);
+        return originalVerifyBatch(entries);
+      };
+
+      transactions = createTransactions(4);
+    });
+
+    afterEach(function() {
+      signing.verifyBatch = originalVerifyBatch;
+      signatureCache.clear();
+    });
+
+    it('should verify all transactions in one batch', function() {
+      expect(verifyTransactions(transactions)).to.deep.equal([]);
+      expect(batches).to.deep.equal([ 4 ]);
+    });
+
+    it('should return exactly which transactions failed', function() {
+      transactions[2].amount = 1000;
+      expect(verifyTransactions(transactions))
+        .to.deep.equal([ transactions[2] ]);
+    });
+
+    it('should cache the hashes of valid transactions', function() {
+      transactions[2].amount = 1000;
+      verifyTransactions(transactions);
+
+      expect(signatureCache.has(getTransactionHash(transactions[0])))
+        .to.be.true;
+      expect(signatureCache.has(getTransactionHash(transactions[2])))
+        .to.be.false;
+    });
+
+    it('should not verify cached transactions again', function() {
+      verifyTransactions(transactions.slice(0, 2));
+      verifyTransactions(transactions);
+
+      expect(batches).to.deep.equal([ 2, 2 ]);
+    });
+
+    it('should use the cache in isValidTransaction', function() {
+      expect(isValidTransaction(transactions[0])).to.be.true;
+      expect(isValidTransaction(transactions[0])).to.be.true;
+
+      const verified = batches.reduce((sum, count) => sum + count, 0);
+      expect(verified).to.equal(1);
+    });
+
+    it('should still catch transactions modified after caching', function() {
+      expect(isValidTransaction(transactions[0])).to.be.true;
+      transactions[0].amount = 1000;
+
+      expect(isValidTransaction(transactions[0])).to.be.false;
+    });
+
+    it('should still reject a negative cached transaction', function() {
+      const privateKey = signing.createPrivateKey();
+      const negative = new Transaction(privateKey, transactions[0].source, -1);
+      verifyTransactions([ negative ]);
+
+      expect(isValidTransaction(negative)).to.be.false;
+    });
+  });
+
+  describe('Blockchain', function() {
+    const originalVerifyBatch = signing.verifyBatch;
+    let blockchain = null;
+    let verified = null;
+
+    beforeEach(function() {
+      signatureCache.clear();
+      verified = 0;
+      signing.verifyBatch = entries => {
+        verified += entries.length;
+        return originalVerifyBatch(entries);
+      };
+
+      blockchain = new Blockchain();
+      blockchain.addBlock(createTransactions(3));
+      blockchain.addBlock(createTransactions(5));
+    });
+
+    afterEach(function() {
+      signing.verifyBatch = originalVerifyBatch;
+      signatureCache.clear();
+    });
+
+    it('should verify each block\'s transactions as a batch', function() {
+      expect(isValidBlock(blockchain.blocks[2])).to.be.true;
+      expect(verified).to.equal(5);
+    });
+
+    it('should not verify unchanged chains again', function() {
+      expect(isValidChain(blockchain)).to.be.true;
+      expect(verified).to.equal(8);
+
+      expect(isValidChain(blockchain)).to.be.true;
+      expect(verified).to.equal(8);
+    });
+
+    it('should only verify new transactions', function() {
+      isValidChain(blockchain);
+      blockchain.addBlock(createTransactions(2));
+
+      expect(isValidChain(blockchain)).to.be.true;
+      expect(verified).to.equal(10);
+    });
+
+    it('should reject a chain modified after caching', function() {
+      isValidChain(blockchain);
+      blockchain.blocks[1].transactions[0].amount = 1000;
+
+      expect(isValidChain(blockchain)).to.be.false;
+    });
+  });
+});
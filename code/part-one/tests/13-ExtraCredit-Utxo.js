@@ -0,0 +1,317 @@
+'use strict';
+
+const { expect } = require('chai');
+const { createHash } = require('crypto');
+const signing = require('../signing');
+const { Transaction, Block } = require('../blockchain');
+const { isValidTransaction } = require('../validation');
+const {
+  getOutpoint,
+  UtxoTransaction,
+  UtxoChain,
+  isValidUtxoChain
+} = require('../utxo');
+
+
+// Adds a new block to a chain without updating its UTXO set
+const forceBlock = (blockchain, transactions) => {
+  const previousHash = blockchain.getHeadBlock().hash;
+  blockchain.blocks.push(new Block(transactions, previousHash));
+};
+
+describe.skip('UTXO module', function() {
+  let alice = null;
+  let alicePublicKey = null;
+  let bob = null;
+  let bobPublicKey = null;
+
+  beforeEach(function() {
+    alice = signing.createPrivateKey();
+    alicePublicKey = signing.getPublicKey(alice);
+    bob = signing.createPrivateKey();
+    bobPublicKey = signing.getPublicKey(bob);
+  });
+
+  describe('UtxoTransaction', function() {
+    let inputs = null;
+    let outputs = null;
+    let transaction = null;
+
+    beforeEach(function() {
+      inputs = [ { txid: 'ab'.repeat(32), index: 0 } ];
+      outputs = [
+        { recipient: bobPublicKey, amount: 30 },
+        { recipient: alicePublicKey, amount: 70 }
+      ];
+      transaction = new UtxoTransaction(alice, inputs, outputs);
+    });
+
+    it('should include the signer, inputs, and outputs', function() {
+      expect(transaction.source).to.equal(alicePublicKey);
+      expect(transaction.inputs).to.deep.equal(inputs);
+      expect(transaction.outputs).to.deep.equal(outputs);
+    });
+
+    it('should include an id hashed from its contents', function() {
+      const toHash = alicePublicKey + JSON.stringify(inputs) +
+        JSON.stringify(outputs);
+      const expected = createHash('sha256').update(toHash).digest('hex');
+
+      expect(transaction.id).to.equal(expected);
+    });
+
+    it('should include a valid signature of the id', function() {
+      const { id, signature } = transaction;
+      expect(signing.verify(alicePublicKey, id, signature)).to.be.true;
+    });
+  });
+
+  describe('isValidTransaction', function() {
+    let transaction = null;
+
+    beforeEach(function() {
+      transaction = new UtxoTransaction(alice, [], [
+        { recipient: bobPublicKey, amount: 50 }
+      ]);
+    });
+
+    it('should accept a valid UTXO transaction', function() {
+      expect(isValidTransaction(transaction)).to.be.true;
+    });
+
+    it('should still accept account-based transactions', function() {
+      const account = new Transaction(alice, bobPublicKey, 50);
+      expect(isValidTransaction(account)).to.be.true;
+    });
+
+    it('should reject a transaction with modified outputs', function() {
+      transaction.outputs[0].amount = 5000;
+      expect(isValidTransaction(transaction)).to.be.false;
+    });
+
+    it('should reject a transaction with a modified id', function() {
+      transaction.outputs[0].amount = 5000;
+      transaction.id = createHash('sha256')
+        .update(alicePublicKey + '[]' + JSON.stringify(transaction.outputs))
+        .digest('hex');
+
+      expect(isValidTransaction(transaction)).to.be.false;
+    });
+
+    it('should reject a transaction with no outputs', function() {
+      const empty = new UtxoTransaction(alice, [], []);
+      expect(isValidTransaction(empty)).to.be.false;
+    });
+
+    it('should reject outputs with amounts of zero or less', function() {
+      const zero = new UtxoTransaction(alice, [], [
+        { recipient: bobPublicKey, amount: 0 }
+      ]);
+      const negative = new UtxoTransaction(alice, [], [
+        { recipient: bobPublicKey, amount: 50 },
+        { recipient: bobPublicKey, amount: -10 }
+      ]);
+
+      expect(isValidTransaction(zero)).to.be.false;
+      expect(isValidTransaction(negative)).to.be.false;
+    });
+  });
+
+  describe('UtxoChain', function() {
+    let blockchain = null;
+    let coinbase = null;
+
+    beforeEach(function() {
+      blockchain = new UtxoChain();
+      coinbase = new UtxoTransaction(alice, [], [
+        { recipient: alicePublicKey, amount: 60 },
+        { recipient: alicePublicKey, amount: 40 }
+      ]);
+      blockchain.addBlock([ coinbase ]);
+    });
+
+    it('should start with a genesis block and empty UTXO set', function() {
+      const fresh = new UtxoChain();
+
+      expect(fresh.blocks).to.have.lengthOf(1);
+      expect(fresh.utxos).to.deep.equal({});
+    });
+
+    it('should add new outputs to the UTXO set', function() {
+      expect(blockchain.utxos).to.deep.equal({
+        [getOutpoint(coinbase.id, 0)]: coinbase.outputs[0],
+        [getOutpoint(coinbase.id, 1)]: coinbase.outputs[1]
+      });
+    });
+
+    it('should remove spent outputs from the UTXO set', function() {
+      const spend = new UtxoTransaction(alice, [
+        { txid: coinbase.id, index: 0 }
+      ], [
+        { recipient: bobPublicKey, amount: 60 }
+      ]);
+      blockchain.addBlock([ spend ]);
+
+      expect(blockchain.utxos).to.have.all.keys(
+        getOutpoint(coinbase.id, 1),
+        getOutpoint(spend.id, 0)
+      );
+    });
+
+    it('should list the unspent outputs of a public key', function() {
+      expect(blockchain.getUtxos(alicePublicKey)).to.have.deep.members([
+        { txid: coinbase.id, index: 0, amount: 60 },
+        { txid: coinbase.id, index: 1, amount: 40 }
+      ]);
+      expect(blockchain.getUtxos(bobPublicKey)).to.deep.equal([]);
+    });
+
+    it('should include unspent outputs in balances', function() {
+      expect(blockchain.getBalance(alicePublicKey)).to.equal(100);
+      expect(blockchain.getBalance(bobPublicKey)).to.equal(0);
+    });
+
+    it('should combine account-based and UTXO balances', function() {
+      blockchain.addBlock([ new Transaction(bob, alicePublicKey, 25) ]);
+
+      expect(blockchain.getBalance(alicePublicKey)).to.equal(125);
+      expect(blockchain.getBalance(bobPublicKey)).to.equal(-25);
+    });
+
+    it('should create transactions with change', function() {
+      const transaction = blockchain.createTransaction(alice, bobPublicKey, 30);
+      const total = transaction.inputs
+        .map(({ txid, index }) => blockchain.utxos[getOutpoint(txid, index)])
+        .reduce((sum, { amount }) => sum + amount, 0);
+
+      expect(transaction).to.be.an.instanceOf(UtxoTransaction);
+      expect(transaction.outputs[0])
+        .to.deep.equal({ recipient: bobPublicKey, amount: 30 });
+      expect(transaction.outputs[1])
+        .to.deep.equal({ recipient: alicePublicKey, amount: total - 30 });
+    });
+
+    it('should not create change if none is needed', function() {
+      const transaction =
+        blockchain.createTransaction(alice, bobPublicKey, 100);
+
+      expect(transaction.inputs).to.have.lengthOf(2);
+      expect(transaction.outputs)
+        .to.deep.equal([ { recipient: bobPublicKey, amount: 100 } ]);
+    });
+
+    it('should not spend anything until added to a block', function() {
+      blockchain.createTransaction(alice, bobPublicKey, 30);
+      expect(blockchain.getBalance(alicePublicKey)).to.equal(100);
+    });
+
+    it('should update balances after transactions are added', function() {
+      const transaction = blockchain.createTransaction(alice, bobPublicKey, 30);
+      blockchain.addBlock([ transaction ]);
+
+      expect(blockchain.getBalance(alicePublicKey)).to.equal(70);
+      expect(blockchain.getBalance(bobPublicKey)).to.equal(30);
+    });
+
+    it('should throw when there are insufficient funds', function() {
+      expect(() => blockchain.createTransaction(alice, bobPublicKey, 101))
+        .to.throw();
+      expect(() => blockchain.createTransaction(bob, alicePublicKey, 1))
+        .to.throw();
+    });
+  });
+
+  describe('isValidUtxoChain', function() {
+    let blockchain = null;
+    let coinbase = null;
+
+    beforeEach(function() {
+      blockchain = new UtxoChain();
+      coinbase = new UtxoTransaction(alice, [], [
+        { recipient: alicePublicKey, amount: 100 }
+      ]);
+      blockchain.addBlock([ coinbase ]);
+      blockchain.addBlock([
+        blockchain.createTransaction(alice, bobPublicKey, 30),
+        new Transaction(bob, alicePublicKey, 10)
+      ]);
+    });
+
+    it('should accept a valid UTXO chain', function() {
+      expect(isValidUtxoChain(blockchain)).to.be.true;
+    });
+
+    it('should reject a chain with an invalid block', function() {
+      blockchain.blocks[1].transactions[0].outputs[0].amount = 1000;
+      expect(isValidUtxoChain(blockchain)).to.be.false;
+    });
+
+    it('should reject spending an output that does not exist', function() {
+      const missing = new UtxoTransaction(bob, [
+        { txid: coinbase.id, index: 5 }
+      ], [
+        { recipient: bobPublicKey, amount: 1 }
+      ]);
+      forceBlock(blockchain, [ missing ]);
+
+      expect(isValidUtxoChain(blockchain)).to.be.false;
+    });
+
+    it('should reject spending an output twice', function() {
+      const spent = blockchain.blocks[2].transactions[0].inputs;
+      const doubleSpend = new UtxoTransaction(alice, spent, [
+        { recipient: alicePublicKey, amount: 100 }
+      ]);
+      forceBlock(blockchain, [ doubleSpend ]);
+
+      expect(isValidUtxoChain(blockchain)).to.be.false;
+    });
+
+    it('should reject spending someone else\'s output', function() {
+      const payment = blockchain.blocks[2].transactions[0];
+      const theft = new UtxoTransaction(alice, [
+        { txid: payment.id, index: 0 }
+      ], [
+        { recipient: alicePublicKey, amount: 30 }
+      ]);
+      forceBlock(blockchain, [ theft ]);
+
+      expect(isValidUtxoChain(blockchain)).to.be.false;
+    });
+
+    it('should reject outputs greater than inputs', function() {
+      const payment = blockchain.blocks[2].transactions[0];
+      const inflated = new UtxoTransaction(bob, [
+        { txid: payment.id, index: 0 }
+      ], [
+        { recipient: bobPublicKey, amount: 31 }
+      ]);
+      forceBlock(blockchain, [ inflated ]);
+
+      expect(isValidUtxoChain(blockchain)).to.be.false;
+    });
+
+    it('should allow spending outputs from the same block', function() {
+      const payment = blockchain.blocks[2].transactions[0];
+      const first = new UtxoTransaction(bob, [
+        { txid: payment.id, index: 0 }
+      ], [
+        { recipient: alicePublicKey, amount: 30 }
+      ]);
+      const second = new UtxoTransaction(alice, [
+        { txid: first.id, index: 0 }
+      ], [
+        { recipient: bobPublicKey, amount: 30 }
+      ]);
+      blockchain.addBlock([ first, second ]);
+
+      expect(isValidUtxoChain(blockchain)).to.be.true;
+      expect(blockchain.getBalance(bobPublicKey)).to.equal(20);
+    });
+
+    it('should reject a transaction that reuses an id', function() {
+      forceBlock(blockchain, [ coinbase ]);
+      expect(isValidUtxoChain(blockchain)).to.be.false;
+    });
+  });
+});
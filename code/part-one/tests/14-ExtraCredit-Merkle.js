@@ -0,0 +1,256 @@
+'use strict';
+
+const { expect } = require('chai');
+const { createHash } = require('crypto');
+const signing = require('../signing');
+const { Transaction, Block, Blockchain } = require('../blockchain');
+const {
+  isValidBlock,
+  isValidChain,
+  getTransactionHash,
+  isIncludedInBlock
+} = require('../validation');
+const {
+  EMPTY_MERKLE_ROOT,
+  hashPair,
+  getMerkleRoot,
+  getMerkleProof,
+  verifyMerkleProof
+} = require('../merkle');
+
+
+// Creates a number of hex hashes to use as leaves
+const createHashes = count => {
+  return Array.apply(null, Array(count)).map((_, i) => {
+    return createHash('sha256').update(String(i)).digest('hex');
+  });
+};
+
+const [ a, b, c, d, e ] = createHashes(5);
+
+describe.skip('Merkle trees', function() {
+  describe('getMerkleRoot', function() {
+    it('should return EMPTY_MERKLE_ROOT with no hashes', function() {
+      expect(getMerkleRoot([])).to.equal(EMPTY_MERKLE_ROOT);
+    });
+
+    it('should return a single hash as its own root', function() {
+      expect(getMerkleRoot([ a ])).to.equal(a);
+    });
+
+    it('should hash a pair of hashes together', function() {
+      expect(getMerkleRoot([ a, b ])).to.equal(hashPair(a, b));
+      expect(getMerkleRoot([ b, a ])).to.equal(hashPair(b, a));
+    });
+
+    it('should build a tree from four hashes', function() {
+      const expected = hashPair(hashPair(a, b), hashPair(c, d));
+      expect(getMerkleRoot([ a, b, c, d ])).to.equal(expected);
+    });
+
+    it('should pair the last of an odd number with itself', function() {
+      const expected = hashPair(hashPair(a, b), hashPair(c, c));
+      expect(getMerkleRoot([ a, b, c ])).to.equal(expected);
+    });
+
+    it('should handle odd numbers at every level', function() {
+      const cd = hashPair(c, d);
+      const ee = hashPair(e, e);
+      const expected = hashPair(
+        hashPair(hashPair(a, b), cd),
+        hashPair(ee, ee)
+      );
+
+      expect(getMerkleRoot([ a, b, c, d, e ])).to.equal(expected);
+    });
+
+    it('should not modify the hashes passed in', function() {
+      const hashes = [ a, b, c ];
+      getMerkleRoot(hashes);
+      expect(hashes).to.deep.equal([ a, b, c ]);
+    });
+  });
+
+  describe('getMerkleProof', function() {
+    it('should return an empty proof for a single hash', function() {
+      expect(getMerkleProof([ a ], 0)).to.deep.equal([]);
+    });
+
+    it('should include the sibling at each level', function() {
+      expect(getMerkleProof([ a, b, c, d ], 1)).to.deep.equal([
+        { hash: a, position: 'left' },
+        { hash: hashPair(c, d), position: 'right' }
+      ]);
+    });
+
+    it('should use a copy of the last hash as its sibling', function() {
+      expect(getMerkleProof([ a, b, c ], 2)).to.deep.equal([
+        { hash: c, position: 'right' },
+        { hash: hashPair(a, b), position: 'left' }
+      ]);
+    });
+
+    it('should throw for an index out of range', function() {
+      expect(() => getMerkleProof([ a, b, c ], 3)).to.throw();
+      expect(() => getMerkleProof([ a, b, c ], -1)).to.throw();
+      expect(() => getMerkleProof([], 0)).to.throw();
+    });
+  });
+
+  describe('verifyMerkleProof', function() {
+    it('should verify a proof for every hash', function() {
+      for (let count = 1; count <= 9; count++) {
+        const hashes = createHashes(count);
+        const root = getMerkleRoot(hashes);
+
+        hashes.forEach((hash, i) => {
+          const proof = getMerkleProof(hashes, i);
+          expect(verifyMerkleProof(hash, proof, root)).to.be.true;
+        });
+      }
+    });
+
+    it('should reject a proof for a different hash', function() {
+      const hashes = [ a, b, c, d ];
+      const proof = getMerkleProof(hashes, 1);
+
+      expect(verifyMerkleProof(c, proof, getMerkleRoot(hashes))).to.be.false;
+      expect(verifyMerkleProof(e, proof, getMerkleRoot(hashes))).to.be.false;
+    });
+
+    it('should reject a proof for a different root', function() {
+      const proof = getMerkleProof([ a, b, c, d ], 1);
+      const root = getMerkleRoot([ a, b, c, e ]);
+
+      expect(verifyMerkleProof(b, proof, root)).to.be.false;
+    });
+
+    it('should reject a proof with a swapped position', function() {
+      const hashes = [ a, b, c, d ];
+      const proof = getMerkleProof(hashes, 1);
+      proof[0].position = 'right';
+
+      expect(verifyMerkleProof(b, proof, getMerkleRoot(hashes))).to.be.false;
+    });
+
+    it('should return false instead of throwing', function() {
+      const root = getMerkleRoot([ a, b ]);
+
+      expect(verifyMerkleProof(a, null, root)).to.be.false;
+      expect(verifyMerkleProof(a, [ null ], root)).to.be.false;
+      expect(verifyMerkleProof(a, [ { hash: b, position: 'up' } ], root))
+        .to.be.false;
+    });
+  });
+
+  describe('Block', function() {
+    let transactions = null;
+    let block = null;
+
+    beforeEach(function() {
+      transactions = Array.apply(null, Array(5)).map(() => {
+        const privateKey = signing.createPrivateKey();
+        const recipient = signing.getPublicKey(signing.createPrivateKey());
+        return new Transaction(privateKey, recipient, 10);
+      });
+      block = new Block(transactions, 'ab'.repeat(64));
+    });
+
+    it('should include a Merkle root of its transactions', function() {
+      const hashes = transactions.map(getTransactionHash);
+      expect(block.merkleRoot).to.equal(getMerkleRoot(hashes));
+    });
+
+    it('should hash the Merkle root instead of the transactions', function() {
+      const toHash = block.previousHash + block.merkleRoot + block.nonce;
+      const expected = createHash('sha512').update(toHash).digest('hex');
+
+      expect(block.hash).to.equal(expected);
+    });
+
+    it('should update the Merkle root when recalculating', function() {
+      const { merkleRoot } = block;
+      transactions[0].amount = 1000;
+      block.calculateHash(block.nonce);
+
+      expect(block.merkleRoot).to.not.equal(merkleRoot);
+    });
+
+    it('should create a valid proof for each transaction', function() {
+      transactions.forEach((transaction, i) => {
+        const txHash = getTransactionHash(transaction);
+        const proof = block.getMerkleProof(i);
+
+        expect(verifyMerkleProof(txHash, proof, block.merkleRoot)).to.be.true;
+      });
+    });
+
+    it('should use the empty root for an empty block', function() {
+      const empty = new Block([], null);
+      expect(empty.merkleRoot).to.equal(EMPTY_MERKLE_ROOT);
+    });
+  });
+
+  describe('validation', function() {
+    let blockchain = null;
+    let block = null;
+    let header = null;
+
+    beforeEach(function() {
+      blockchain = new Blockchain();
+      blockchain.addBlock(Array.apply(null, Array(3)).map(() => {
+        const privateKey = signing.createPrivateKey();
+        const recipient = signing.getPublicKey(signing.createPrivateKey());
+        return new Transaction(privateKey, recipient, 10);
+      }));
+
+      block = blockchain.getHeadBlock();
+      const { previousHash, merkleRoot, nonce, hash } = block;
+      header = { previousHash, merkleRoot, nonce, hash };
+    });
+
+    it('should accept blocks with a valid Merkle root', function() {
+      expect(isValidBlock(block)).to.be.true;
+      expect(isValidChain(blockchain)).to.be.true;
+    });
+
+    it('should reject a block with a modified Merkle root', function() {
+      block.merkleRoot = EMPTY_MERKLE_ROOT;
+      expect(isValidBlock(block)).to.be.false;
+    });
+
+    it('should reject a block with a duplicated transaction', function() {
+      const { merkleRoot, hash } = block;
+      block.transactions.push(block.transactions[2]);
+
+      expect(getMerkleRoot(block.transactions.map(getTransactionHash)))
+        .to.equal(merkleRoot);
+      expect(block.hash).to.equal(hash);
+      expect(isValidBlock(block)).to.be.false;
+    });
+
+    it('should prove a transaction is in a block header', function() {
+      const proof = block.getMerkleProof(1);
+      const transaction = block.transactions[1];
+
+      expect(isIncludedInBlock(transaction, proof, header)).to.be.true;
+    });
+
+    it('should reject a transaction not in the block', function() {
+      const proof = block.getMerkleProof(1);
+      const privateKey = signing.createPrivateKey();
+      const other = new Transaction(privateKey, header.hash.slice(0, 66), 10);
+
+      expect(isIncludedInBlock(other, proof, header)).to.be.false;
+    });
+
+    it('should reject a modified block header', function() {
+      const proof = block.getMerkleProof(1);
+      const transaction = block.transactions[1];
+      header.merkleRoot = getMerkleRoot([ getTransactionHash(transaction) ]);
+
+      expect(isIncludedInBlock(transaction, [], header)).to.be.false;
+      expect(isIncludedInBlock(transaction, proof, header)).to.be.false;
+    });
+  });
+});
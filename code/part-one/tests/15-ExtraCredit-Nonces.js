@@ -0,0 +1,251 @@
+'use strict';
+
+const { expect } = require('chai');
+const signing = require('../signing');
+const { Transaction, Blockchain } = require('../blockchain');
+const { isValidTransaction, isValidChain } = require('../validation');
+const {
+  MineableTransaction,
+  MineableBlock,
+  MineableChain,
+  isValidMineableChain
+} = require('../mining');
+
+
+// Mines an already created block onto the end of a mineable chain
+const forceMine = (blockchain, transactions) => {
+  const { difficulty } = blockchain;
+  const previousHash = blockchain.getHeadBlock().hash;
+  const block = new MineableBlock(transactions, previousHash);
+
+  let nonce = 0;
+  do {
+    block.calculateHash(nonce);
+    nonce++;
+  } while (block.hash.slice(0, difficulty) !== '0'.repeat(difficulty));
+
+  blockchain.blocks.push(block);
+};
+
+describe.skip('Replay protection', function() {
+  let signer = null;
+  let publicKey = null;
+  let recipient = null;
+
+  beforeEach(function() {
+    signer = signing.createPrivateKey();
+    publicKey = signing.getPublicKey(signer);
+    recipient = signing.getPublicKey(signing.createPrivateKey());
+  });
+
+  describe('Transaction', function() {
+    it('should include the passed nonce', function() {
+      const transaction = new Transaction(signer, recipient, 100, 3);
+      expect(transaction.nonce).to.equal(3);
+    });
+
+    it('should sign the nonce after a colon', function() {
+      const { signature } = new Transaction(signer, recipient, 100, 3);
+      const message = publicKey + recipient + 100 + ':' + 3;
+
+      expect(signing.verify(publicKey, message, signature)).to.be.true;
+    });
+
+    it('should work as before without a nonce', function() {
+      const transaction = new Transaction(signer, recipient, 100);
+      const message = publicKey + recipient + 100;
+
+      expect(transaction).to.not.have.property('nonce');
+      expect(signing.verify(publicKey, message, transaction.signature))
+        .to.be.true;
+    });
+  });
+
+  describe('isValidTransaction', function() {
+    it('should accept a transaction with a nonce', function() {
+      const transaction = new Transaction(signer, recipient, 100, 0);
+      expect(isValidTransaction(transaction)).to.be.true;
+    });
+
+    it('should reject a transaction with a modified nonce', function() {
+      const transaction = new Transaction(signer, recipient, 100, 0);
+      transaction.nonce = 1;
+
+      expect(isValidTransaction(transaction)).to.be.false;
+    });
+
+    it('should reject a transaction with a removed nonce', function() {
+      const transaction = new Transaction(signer, recipient, 100, 0);
+      delete transaction.nonce;
+
+      expect(isValidTransaction(transaction)).to.be.false;
+    });
+
+    it('should not confuse the amount with the nonce', function() {
+      const transaction = new Transaction(signer, recipient, 12, 3);
+      transaction.amount = 1;
+      transaction.nonce = 23;
+
+      expect(isValidTransaction(transaction)).to.be.false;
+    });
+
+    it('should reject invalid nonces', function() {
+      const negative = new Transaction(signer, recipient, 100, -1);
+      const fraction = new Transaction(signer, recipient, 100, 1.5);
+
+      expect(isValidTransaction(negative)).to.be.false;
+      expect(isValidTransaction(fraction)).to.be.false;
+    });
+  });
+
+  describe('Blockchain', function() {
+    let blockchain = null;
+
+    beforeEach(function() {
+      blockchain = new Blockchain();
+    });
+
+    it('should expect a nonce of 0 from a new public key', function() {
+      expect(blockchain.getNextNonce(publicKey)).to.equal(0);
+    });
+
+    it('should count up as transactions are added', function() {
+      blockchain.addBlock([
+        new Transaction(signer, recipient, 10, 0),
+        new Transaction(signer, recipient, 10, 1)
+      ]);
+      expect(blockchain.getNextNonce(publicKey)).to.equal(2);
+
+      blockchain.addBlock([ new Transaction(signer, recipient, 10, 2) ]);
+      expect(blockchain.getNextNonce(publicKey)).to.equal(3);
+    });
+
+    it('should track nonces separately for each public key', function() {
+      const other = signing.createPrivateKey();
+      blockchain.addBlock([
+        new Transaction(signer, recipient, 10, 0),
+        new Transaction(other, recipient, 10, 0),
+        new Transaction(signer, recipient, 10, 1)
+      ]);
+
+      expect(blockchain.getNextNonce(publicKey)).to.equal(2);
+      expect(blockchain.getNextNonce(signing.getPublicKey(other)))
+        .to.equal(1);
+      expect(blockchain.getNextNonce(recipient)).to.equal(0);
+    });
+
+    it('should ignore transactions without a nonce', function() {
+      blockchain.addBlock([ new Transaction(signer, recipient, 10) ]);
+      expect(blockchain.getNextNonce(publicKey)).to.equal(0);
+    });
+  });
+
+  describe('isValidChain', function() {
+    let blockchain = null;
+    let payment = null;
+
+    beforeEach(function() {
+      blockchain = new Blockchain();
+      payment = new Transaction(signer, recipient, 10, 0);
+      blockchain.addBlock([ payment ]);
+      blockchain.addBlock([ new Transaction(signer, recipient, 10, 1) ]);
+    });
+
+    it('should accept a chain with nonces in order', function() {
+      expect(isValidChain(blockchain)).to.be.true;
+    });
+
+    it('should reject a replayed transaction', function() {
+      blockchain.addBlock([ payment ]);
+      expect(isValidChain(blockchain)).to.be.false;
+    });
+
+    it('should reject a skipped nonce', function() {
+      blockchain.addBlock([ new Transaction(signer, recipient, 10, 3) ]);
+      expect(isValidChain(blockchain)).to.be.false;
+    });
+
+    it('should reject out of order nonces', function() {
+      blockchain.addBlock([
+        new Transaction(signer, recipient, 10, 3),
+        new Transaction(signer, recipient, 10, 2)
+      ]);
+      expect(isValidChain(blockchain)).to.be.false;
+    });
+
+    it('should reject a first nonce other than 0', function() {
+      const fresh = new Blockchain();
+      fresh.addBlock([ new Transaction(signer, recipient, 10, 1) ]);
+
+      expect(isValidChain(fresh)).to.be.false;
+    });
+
+    it('should still accept transactions without a nonce', function() {
+      blockchain.addBlock([ new Transaction(signer, recipient, 10) ]);
+      expect(isValidChain(blockchain)).to.be.true;
+    });
+  });
+
+  describe('MineableChain', function() {
+    let blockchain = null;
+
+    beforeEach(function() {
+      blockchain = new MineableChain();
+      blockchain.mine(signer);
+    });
+
+    it('should sign the nonce of a mineable transaction', function() {
+      const { signature } = new MineableTransaction(signer, recipient, 10, 0);
+      const message = publicKey + recipient + 10 + ':' + 0;
+
+      expect(signing.verify(publicKey, message, signature)).to.be.true;
+    });
+
+    it('should not add a nonce to reward transactions', function() {
+      const reward = new MineableTransaction(signer, null, 100, 0);
+      expect(reward).to.not.have.property('nonce');
+    });
+
+    it('should count pending transactions in the next nonce', function() {
+      expect(blockchain.getNextNonce(publicKey)).to.equal(0);
+
+      blockchain.addTransaction(
+        new MineableTransaction(signer, recipient, 10, 0)
+      );
+      expect(blockchain.getNextNonce(publicKey)).to.equal(1);
+
+      blockchain.mine(signer);
+      expect(blockchain.getNextNonce(publicKey)).to.equal(1);
+    });
+
+    it('should accept a mined chain with nonces in order', function() {
+      for (let i = 0; i < 3; i++) {
+        const nonce = blockchain.getNextNonce(publicKey);
+        blockchain.addTransaction(
+          new MineableTransaction(signer, recipient, 10, nonce)
+        );
+      }
+      blockchain.mine(signer);
+
+      expect(isValidMineableChain(blockchain)).to.be.true;
+    });
+
+    it('should reject a replayed mineable transaction', function() {
+      const payment = new MineableTransaction(signer, recipient, 10, 0);
+      blockchain.addTransaction(payment);
+      blockchain.mine(signer);
+      forceMine(blockchain, [ payment ]);
+
+      expect(isValidMineableChain(blockchain)).to.be.false;
+    });
+
+    it('should reject out of order mineable nonces', function() {
+      forceMine(blockchain, [
+        new MineableTransaction(signer, recipient, 10, 1),
+        new MineableTransaction(signer, recipient, 10, 0)
+      ]);
+
+      expect(isValidMineableChain(blockchain)).to.be.false;
+    });
+  });
+});
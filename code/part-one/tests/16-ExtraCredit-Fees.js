@@ -0,0 +1,310 @@
+'use strict';
+
+const { expect } = require('chai');
+const signing = require('../signing');
+const { isValidTransaction } = require('../validation');
+const {
+  MAX_MEMPOOL_SIZE,
+  MAX_BLOCK_SIZE,
+  getTransactionSize,
+  getFeeRate,
+  MineableTransaction,
+  MineableBlock,
+  Mempool,
+  MineableChain,
+  isValidMineableChain
+} = require('../mining');
+
+
+// Mines an already created block onto the end of a mineable chain
+const forceMine = (blockchain, transactions) => {
+  const { difficulty } = blockchain;
+  const previousHash = blockchain.getHeadBlock().hash;
+  const block = new MineableBlock(transactions, previousHash);
+
+  let nonce = 0;
+  do {
+    block.calculateHash(nonce);
+    nonce++;
+  } while (block.hash.slice(0, difficulty) !== '0'.repeat(difficulty));
+
+  blockchain.blocks.push(block);
+};
+
+// Returns the fees of an array of transactions
+const getFees = transactions => transactions.map(({ fee }) => fee);
+
+describe.skip('Fees module', function() {
+  let signer = null;
+  let publicKey = null;
+  let recipient = null;
+
+  beforeEach(function() {
+    signer = signing.createPrivateKey();
+    publicKey = signing.getPublicKey(signer);
+    recipient = signing.getPublicKey(signing.createPrivateKey());
+  });
+
+  describe('MineableTransaction', function() {
+    it('should include the passed fee', function() {
+      const transaction = new MineableTransaction(signer, recipient, 10, 0, 2);
+      expect(transaction.fee).to.equal(2);
+    });
+
+    it('should sign the fee after a slash', function() {
+      const withNonce = new MineableTransaction(signer, recipient, 10, 0, 2);
+      const withoutNonce =
+        new MineableTransaction(signer, recipient, 10, null, 2);
+      const message = publicKey + recipient + 10;
+
+      expect(signing.verify(
+        publicKey, message + ':0/2', withNonce.signature
+      )).to.be.true;
+      expect(signing.verify(
+        publicKey, message + '/2', withoutNonce.signature
+      )).to.be.true;
+    });
+
+    it('should not add a fee of 0 or to rewards', function() {
+      const free = new MineableTransaction(signer, recipient, 10);
+      const reward = new MineableTransaction(signer, null, 100, null, 2);
+
+      expect(free).to.not.have.property('fee');
+      expect(reward).to.not.have.property('fee');
+    });
+  });
+
+  describe('isValidTransaction', function() {
+    it('should accept a transaction with a fee', function() {
+      const transaction = new MineableTransaction(signer, recipient, 10, 0, 2);
+      expect(isValidTransaction(transaction)).to.be.true;
+    });
+
+    it('should reject a transaction with a modified fee', function() {
+      const transaction = new MineableTransaction(signer, recipient, 10, 0, 2);
+      transaction.fee = 1;
+
+      expect(isValidTransaction(transaction)).to.be.false;
+    });
+
+    it('should reject a negative fee', function() {
+      const transaction = new MineableTransaction(signer, recipient, 10, 0, -2);
+      expect(isValidTransaction(transaction)).to.be.false;
+    });
+  });
+
+  describe('Mempool', function() {
+    let mempool = null;
+    let size = null;
+
+    // Creates a transaction with a particular fee, all the same size
+    const createTransaction = fee => {
+      return new MineableTransaction(signer, recipient, 10, null, fee);
+    };
+
+    beforeEach(function() {
+      mempool = new Mempool();
+      size = getTransactionSize(createTransaction(5));
+    });
+
+    it('should start empty with the default max size', function() {
+      expect(mempool.maxSize).to.equal(MAX_MEMPOOL_SIZE);
+      expect(mempool.transactions).to.deep.equal([]);
+      expect(mempool.getSize()).to.equal(0);
+    });
+
+    it('should add up the size of its transactions', function() {
+      mempool.add(createTransaction(5));
+      mempool.add(createTransaction(6));
+
+      expect(mempool.getSize()).to.equal(size * 2);
+    });
+
+    it('should sort transactions by fee rate', function() {
+      [ 5, 9, 7, 1 ].forEach(fee => mempool.add(createTransaction(fee)));
+      expect(getFees(mempool.transactions)).to.deep.equal([ 9, 7, 5, 1 ]);
+    });
+
+    it('should use fee rate rather than the fee itself', function() {
+      const small = createTransaction(5);
+      const large = new MineableTransaction(signer, recipient, 10, null, 6);
+      large.memo = 'x'.repeat(size);
+      mempool.add(large);
+      mempool.add(small);
+
+      expect(getFeeRate(small)).to.be.above(getFeeRate(large));
+      expect(mempool.transactions).to.deep.equal([ small, large ]);
+    });
+
+    it('should keep the order of transactions with equal rates', function() {
+      const first = createTransaction(5);
+      const second = createTransaction(5);
+      mempool.add(first);
+      mempool.add(second);
+
+      expect(mempool.transactions[0]).to.equal(first);
+      expect(mempool.transactions[1]).to.equal(second);
+    });
+
+    it('should evict the lowest fee rates when it is too big', function() {
+      mempool = new Mempool(size * 3);
+      [ 5, 9, 7 ].forEach(fee => mempool.add(createTransaction(fee)));
+
+      expect(mempool.add(createTransaction(8))).to.be.true;
+      expect(getFees(mempool.transactions)).to.deep.equal([ 9, 8, 7 ]);
+    });
+
+    it('should return false if a new transaction is evicted', function() {
+      mempool = new Mempool(size * 2);
+      mempool.add(createTransaction(5));
+      mempool.add(createTransaction(9));
+
+      expect(mempool.add(createTransaction(1))).to.be.false;
+      expect(getFees(mempool.transactions)).to.deep.equal([ 9, 5 ]);
+    });
+
+    it('should remove transactions', function() {
+      const transactions = [ 5, 9, 7 ].map(createTransaction);
+      transactions.forEach(transaction => mempool.add(transaction));
+      mempool.remove([ transactions[0], createTransaction(3) ]);
+
+      expect(getFees(mempool.transactions)).to.deep.equal([ 9, 7 ]);
+    });
+  });
+
+  describe('MineableChain', function() {
+    let blockchain = null;
+
+    beforeEach(function() {
+      blockchain = new MineableChain();
+      blockchain.mine(signer);
+    });
+
+    it('should include a mempool and max block size', function() {
+      expect(blockchain.mempool).to.be.an.instanceOf(Mempool);
+      expect(blockchain.maxBlockSize).to.equal(MAX_BLOCK_SIZE);
+    });
+
+    it('should add transactions to the mempool', function() {
+      const transaction = new MineableTransaction(signer, recipient, 10);
+      expect(blockchain.addTransaction(transaction)).to.be.true;
+      expect(blockchain.mempool.transactions).to.deep.equal([ transaction ]);
+    });
+
+    it('should pay the miner any fees in the block', function() {
+      blockchain.addTransaction(
+        new MineableTransaction(signer, recipient, 10, null, 3)
+      );
+      blockchain.addTransaction(
+        new MineableTransaction(signer, recipient, 10, null, 4)
+      );
+      blockchain.mine(signer);
+
+      const { transactions } = blockchain.getHeadBlock();
+      const reward = transactions.find(({ source }) => source === null);
+      expect(reward.amount).to.equal(blockchain.reward + 7);
+    });
+
+    it('should subtract fees from the sender\'s balance', function() {
+      blockchain.addTransaction(
+        new MineableTransaction(signer, recipient, 10, null, 5)
+      );
+      blockchain.mine(signing.createPrivateKey());
+
+      expect(blockchain.getBalance(publicKey)).to.equal(85);
+      expect(blockchain.getBalance(recipient)).to.equal(10);
+    });
+
+    it('should mine the highest fees that fit in a block', function() {
+      const transactions = [ 1, 5, 3, 4, 2 ].map(fee => {
+        return new MineableTransaction(signer, recipient, 1, null, fee);
+      });
+      transactions.forEach(t => blockchain.addTransaction(t));
+      blockchain.maxBlockSize = getTransactionSize(transactions[0]) * 3;
+      blockchain.mine(signer);
+
+      const mined = blockchain.getHeadBlock().transactions
+        .filter(({ source }) => source !== null);
+      expect(getFees(mined)).to.deep.equal([ 5, 4, 3 ]);
+      expect(getFees(blockchain.mempool.transactions)).to.deep.equal([ 2, 1 ]);
+    });
+
+    it('should not mine a nonce before an earlier one', function() {
+      blockchain.addTransaction(
+        new MineableTransaction(signer, recipient, 1, 1, 9)
+      );
+      blockchain.addTransaction(
+        new MineableTransaction(signer, recipient, 1, 0, 1)
+      );
+      blockchain.mine(signer);
+
+      const mined = blockchain.getHeadBlock().transactions
+        .filter(({ source }) => source !== null);
+      expect(mined.map(({ nonce }) => nonce)).to.deep.equal([ 0, 1 ]);
+      expect(blockchain.mempool.transactions).to.deep.equal([]);
+    });
+  });
+
+  describe('isValidMineableChain', function() {
+    let blockchain = null;
+
+    beforeEach(function() {
+      blockchain = new MineableChain();
+      blockchain.mine(signer);
+      blockchain.addTransaction(
+        new MineableTransaction(signer, recipient, 10, null, 5)
+      );
+      blockchain.mine(signer);
+    });
+
+    it('should accept a chain with fees paid to the miner', function() {
+      expect(isValidMineableChain(blockchain)).to.be.true;
+    });
+
+    it('should reject a reward that does not include fees', function() {
+      const miner = signing.createPrivateKey();
+      forceMine(blockchain, [
+        new MineableTransaction(signer, recipient, 20, null, 5),
+        new MineableTransaction(miner, null, blockchain.reward)
+      ]);
+
+      expect(isValidMineableChain(blockchain)).to.be.false;
+    });
+
+    it('should reject a reward that is too big', function() {
+      const miner = signing.createPrivateKey();
+      forceMine(blockchain, [
+        new MineableTransaction(signer, recipient, 20, null, 5),
+        new MineableTransaction(miner, null, blockchain.reward + 6)
+      ]);
+
+      expect(isValidMineableChain(blockchain)).to.be.false;
+    });
+
+    it('should reject negative fees', function() {
+      const miner = signing.createPrivateKey();
+      forceMine(blockchain, [
+        new MineableTransaction(signer, recipient, 10, null, -5),
+        new MineableTransaction(miner, null, blockchain.reward - 5)
+      ]);
+
+      expect(isValidMineableChain(blockchain)).to.be.false;
+    });
+
+    it('should reject a sender who cannot afford the fee', function() {
+      const miner = signing.createPrivateKey();
+      const balance = blockchain.getBalance(publicKey);
+      forceMine(blockchain, [
+        new MineableTransaction(signer, recipient, balance, null, 1),
+        new MineableTransaction(miner, null, blockchain.reward + 1)
+      ]);
+
+      expect(isValidMineableChain(blockchain)).to.be.false;
+    });
+
+    it('should reject a block that is too big', function() {
+      blockchain.maxBlockSize = 10;
+      expect(isValidMineableChain(blockchain)).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,288 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const signing = require('../signing');
+const {
+  Transaction,
+  CompactTransaction,
+  Block,
+  Blockchain
+} = require('../blockchain');
+const { isValidChain } = require('../validation');
+const {
+  MineableTransaction,
+  MineableBlock,
+  MineableChain,
+  isValidMineableChain
+} = require('../mining');
+const {
+  LOG_FILE,
+  INDEX_FILE,
+  hydrate,
+  serializeBlock,
+  deserializeBlock,
+  BlockStore
+} = require('../storage');
+
+
+// Creates a number of signed transactions between random keys
+const createTransactions = count => {
+  return Array.apply(null, Array(count)).map((_, i) => {
+    const privateKey = signing.createPrivateKey();
+    const recipient = signing.getPublicKey(signing.createPrivateKey());
+    return new Transaction(privateKey, recipient, i + 1);
+  });
+};
+
+// Removes a temporary store directory and everything in it
+const removeDirectory = directory => {
+  fs.readdirSync(directory).forEach(file => {
+    fs.unlinkSync(path.join(directory, file));
+  });
+  fs.rmdirSync(directory);
+};
+
+describe.skip('Storage module', function() {
+  let directory = null;
+
+  beforeEach(function() {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cryptomoji-'));
+  });
+
+  afterEach(function() {
+    removeDirectory(directory);
+  });
+
+  describe('hydrate', function() {
+    it('should create an instance of the named class', function() {
+      const transaction = hydrate('Transaction', { amount: 10 });
+
+      expect(transaction).to.be.an.instanceOf(Transaction);
+      expect(transaction.amount).to.equal(10);
+    });
+
+    it('should throw for an unknown type', function() {
+      expect(() => hydrate('Wallet', {})).to.throw();
+    });
+  });
+
+  describe('serializeBlock', function() {
+    let block = null;
+    let json = null;
+
+    beforeEach(function() {
+      block = new Block(createTransactions(3), 'ab'.repeat(64));
+      json = serializeBlock(block);
+    });
+
+    it('should return a JSON string', function() {
+      expect(json).to.be.a('string');
+      expect(() => JSON.parse(json)).to.not.throw();
+    });
+
+    it('should record the type of the block and each transaction', function() {
+      const { type, properties } = JSON.parse(json);
+
+      expect(type).to.equal('Block');
+      expect(properties.hash).to.equal(block.hash);
+      properties.transactions.forEach((transaction, i) => {
+        expect(transaction.type).to.equal('Transaction');
+        expect(transaction.properties)
+          .to.deep.equal(JSON.parse(JSON.stringify(block.transactions[i])));
+      });
+    });
+
+    it('should not modify the block', function() {
+      expect(block.transactions[0]).to.be.an.instanceOf(Transaction);
+    });
+  });
+
+  describe('deserializeBlock', function() {
+    it('should re-hydrate a block and its transactions', function() {
+      const block = new Block(createTransactions(3), 'ab'.repeat(64));
+      const copy = deserializeBlock(serializeBlock(block));
+
+      expect(copy).to.be.an.instanceOf(Block);
+      expect(copy).to.deep.equal(block);
+      copy.transactions.forEach(transaction => {
+        expect(transaction).to.be.an.instanceOf(Transaction);
+      });
+    });
+
+    it('should keep working methods and getters', function() {
+      const privateKey = signing.createPrivateKey();
+      const recipient = signing.getPublicKey(signing.createPrivateKey());
+      const compact = new CompactTransaction(privateKey, recipient, 10);
+      const block = new Block([ compact ], 'ab'.repeat(64));
+      const copy = deserializeBlock(serializeBlock(block));
+      const { hash } = copy;
+
+      expect(copy.transactions[0].source)
+        .to.equal(signing.getPublicKey(privateKey));
+      copy.calculateHash(copy.nonce);
+      expect(copy.hash).to.equal(hash);
+    });
+
+    it('should re-hydrate mineable blocks', function() {
+      const signer = signing.createPrivateKey();
+      const block = new MineableBlock([
+        new MineableTransaction(signer, null, 100)
+      ], 'ab'.repeat(64));
+      const copy = deserializeBlock(serializeBlock(block));
+
+      expect(copy).to.be.an.instanceOf(MineableBlock);
+      expect(copy.transactions[0]).to.be.an.instanceOf(MineableTransaction);
+    });
+
+    it('should throw for invalid JSON or unknown types', function() {
+      const json = serializeBlock(new Block([], 'ab'.repeat(64)));
+
+      expect(() => deserializeBlock(json.slice(0, -1))).to.throw();
+      expect(() => deserializeBlock(json.replace('Block', 'Wallet')))
+        .to.throw();
+    });
+  });
+
+  describe('BlockStore', function() {
+    let blockchain = null;
+    let store = null;
+
+    beforeEach(function() {
+      blockchain = new Blockchain();
+      blockchain.addBlock(createTransactions(3));
+      blockchain.addBlock(createTransactions(2));
+      store = new BlockStore(path.join(directory, 'data'));
+    });
+
+    afterEach(function() {
+      removeDirectory(store.directory);
+    });
+
+    it('should create its directory', function() {
+      expect(fs.existsSync(store.directory)).to.be.true;
+      expect(store.logPath).to.equal(path.join(store.directory, LOG_FILE));
+      expect(store.indexPath).to.equal(path.join(store.directory, INDEX_FILE));
+    });
+
+    it('should return an empty index before anything is saved', function() {
+      expect(store.readIndex()).to.deep.equal([]);
+    });
+
+    it('should save every block of a new blockchain', function() {
+      expect(store.save(blockchain)).to.equal(3);
+
+      const lines = fs.readFileSync(store.logPath, 'utf8').split('\n');
+      expect(lines).to.have.lengthOf(4);
+      expect(lines[3]).to.equal('');
+      expect(deserializeBlock(lines[1])).to.deep.equal(blockchain.blocks[1]);
+    });
+
+    it('should index each block in the log', function() {
+      store.save(blockchain);
+      const log = fs.readFileSync(store.logPath);
+      const entries = store.readIndex();
+
+      expect(entries).to.have.lengthOf(3);
+      entries.forEach(({ offset, length, hash }, i) => {
+        const line = log.slice(offset, offset + length).toString();
+        expect(line).to.equal(serializeBlock(blockchain.blocks[i]) + '\n');
+        expect(hash).to.equal(blockchain.blocks[i].hash);
+      });
+    });
+
+    it('should only append blocks which have not been saved', function() {
+      store.save(blockchain);
+      const log = fs.readFileSync(store.logPath, 'utf8');
+
+      expect(store.save(blockchain)).to.equal(0);
+      blockchain.addBlock(createTransactions(1));
+      expect(store.save(blockchain)).to.equal(1);
+
+      expect(store.readIndex()).to.have.lengthOf(4);
+      expect(fs.readFileSync(store.logPath, 'utf8').startsWith(log))
+        .to.be.true;
+    });
+
+    it('should throw when saving a different blockchain', function() {
+      store.save(blockchain);
+      const other = new Blockchain();
+      other.addBlock(createTransactions(1));
+
+      expect(() => store.save(other)).to.throw();
+    });
+
+    it('should load a blockchain that is still valid', function() {
+      store.save(blockchain);
+      const loaded = new BlockStore(store.directory).load(new Blockchain());
+
+      expect(loaded).to.be.an.instanceOf(Blockchain);
+      expect(loaded.blocks).to.deep.equal(blockchain.blocks);
+      expect(loaded.blocks[2]).to.be.an.instanceOf(Block);
+      expect(isValidChain(loaded)).to.be.true;
+    });
+
+    it('should load a mineable blockchain', function() {
+      const mineable = new MineableChain();
+      const signer = signing.createPrivateKey();
+      mineable.mine(signer);
+      mineable.addTransaction(new MineableTransaction(
+        signer,
+        signing.getPublicKey(signing.createPrivateKey()),
+        10
+      ));
+      mineable.mine(signer);
+      store.save(mineable);
+
+      const loaded = store.load(new MineableChain());
+      expect(loaded.blocks[2]).to.be.an.instanceOf(MineableBlock);
+      expect(isValidMineableChain(loaded)).to.be.true;
+    });
+
+    it('should leave a blockchain alone if nothing is saved', function() {
+      const fresh = new Blockchain();
+      expect(store.load(fresh).blocks).to.deep.equal(new Blockchain().blocks);
+    });
+
+    it('should detect a truncated block log', function() {
+      store.save(blockchain);
+      const log = fs.readFileSync(store.logPath);
+      fs.writeFileSync(store.logPath, log.slice(0, log.length - 10));
+
+      expect(() => store.load(new Blockchain())).to.throw('Truncated');
+    });
+
+    it('should detect a corrupted block log', function() {
+      store.save(blockchain);
+      const log = fs.readFileSync(store.logPath, 'utf8');
+      const { amount } = blockchain.blocks[1].transactions[0];
+      fs.writeFileSync(
+        store.logPath,
+        log.replace(`"amount":${amount}`, `"amount":${amount + 1}`)
+      );
+
+      expect(() => store.load(new Blockchain())).to.throw('Corrupted');
+    });
+
+    it('should detect extra bytes in the block log', function() {
+      store.save(blockchain);
+      fs.appendFileSync(store.logPath, '{"type":"Block"');
+
+      expect(() => store.load(new Blockchain())).to.throw('Corrupted');
+    });
+
+    it('should detect a truncated or corrupted index', function() {
+      store.save(blockchain);
+      const index = fs.readFileSync(store.indexPath, 'utf8');
+
+      fs.writeFileSync(store.indexPath, index.slice(0, -5));
+      expect(() => store.readIndex()).to.throw('Corrupted block index');
+      expect(() => store.load(new Blockchain())).to.throw('Corrupted');
+
+      fs.writeFileSync(store.indexPath, index.replace('offset', 'start'));
+      expect(() => store.load(new Blockchain())).to.throw('Corrupted');
+    });
+  });
+});
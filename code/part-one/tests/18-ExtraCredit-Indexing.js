@@ -0,0 +1,213 @@
+'use strict';
+
+const { expect } = require('chai');
+const signing = require('../signing');
+const { toAddress } = require('../address');
+const { Transaction, Blockchain } = require('../blockchain');
+const { getTransactionHash } = require('../validation');
+const { UtxoTransaction, UtxoChain } = require('../utxo');
+const { MineableTransaction, MineableChain } = require('../mining');
+
+
+// Creates a function which builds transactions sent from one private key
+const createSender = (privateKey, recipient) => {
+  let amount = 0;
+  return () => {
+    amount++;
+    return new Transaction(privateKey, recipient, amount);
+  };
+};
+
+describe.skip('Indexing', function() {
+  let signer = null;
+  let publicKey = null;
+  let recipient = null;
+  let blockchain = null;
+
+  beforeEach(function() {
+    signer = signing.createPrivateKey();
+    publicKey = signing.getPublicKey(signer);
+    recipient = signing.getPublicKey(signing.createPrivateKey());
+    blockchain = new Blockchain();
+  });
+
+  describe('getBalance', function() {
+    it('should match the balances of the original getBalance', function() {
+      const send = createSender(signer, recipient);
+      blockchain.addBlock([ send(), send() ]);
+      blockchain.addBlock([ send() ]);
+
+      expect(blockchain.getBalance(publicKey)).to.equal(-6);
+      expect(blockchain.getBalance(recipient)).to.equal(6);
+      expect(blockchain.getBalance(toAddress(recipient))).to.equal(6);
+    });
+
+    it('should not loop through the blocks', function() {
+      blockchain.addBlock([ new Transaction(signer, recipient, 10) ]);
+      blockchain.blocks = null;
+
+      expect(blockchain.getBalance(recipient)).to.equal(10);
+    });
+
+    it('should return 0 for an unknown public key', function() {
+      const unknown = signing.getPublicKey(signing.createPrivateKey());
+      expect(blockchain.getBalance(unknown)).to.equal(0);
+    });
+  });
+
+  describe('getTransactionHistory', function() {
+    let transactions = null;
+
+    beforeEach(function() {
+      const send = createSender(signer, recipient);
+      transactions = [ send(), send(), send(), send(), send() ];
+      blockchain.addBlock(transactions.slice(0, 2));
+      blockchain.addBlock(transactions.slice(2));
+    });
+
+    it('should return every transaction, most recent first', function() {
+      const expected = transactions.slice().reverse();
+
+      expect(blockchain.getTransactionHistory(publicKey))
+        .to.deep.equal(expected);
+      expect(blockchain.getTransactionHistory(recipient))
+        .to.deep.equal(expected);
+    });
+
+    it('should find the history of an address', function() {
+      expect(blockchain.getTransactionHistory(toAddress(publicKey)))
+        .to.have.lengthOf(5);
+    });
+
+    it('should limit the number of transactions', function() {
+      const history = blockchain.getTransactionHistory(publicKey, {
+        limit: 2
+      });
+      expect(history).to.deep.equal([ transactions[4], transactions[3] ]);
+    });
+
+    it('should skip transactions by offset', function() {
+      const history = blockchain.getTransactionHistory(publicKey, {
+        limit: 2,
+        offset: 2
+      });
+      expect(history).to.deep.equal([ transactions[2], transactions[1] ]);
+    });
+
+    it('should return what is left past the end', function() {
+      const last = blockchain.getTransactionHistory(publicKey, {
+        limit: 2,
+        offset: 4
+      });
+      const none = blockchain.getTransactionHistory(publicKey, {
+        offset: 10
+      });
+
+      expect(last).to.deep.equal([ transactions[0] ]);
+      expect(none).to.deep.equal([]);
+    });
+
+    it('should return an empty array for an unknown key', function() {
+      const unknown = signing.getPublicKey(signing.createPrivateKey());
+      expect(blockchain.getTransactionHistory(unknown)).to.deep.equal([]);
+    });
+
+    it('should not include unrelated transactions', function() {
+      const other = signing.createPrivateKey();
+      blockchain.addBlock([ new Transaction(other, recipient, 10) ]);
+
+      expect(blockchain.getTransactionHistory(publicKey)).to.have.lengthOf(5);
+      expect(blockchain.getTransactionHistory(recipient)).to.have.lengthOf(6);
+    });
+  });
+
+  describe('getTransaction', function() {
+    it('should find a transaction by its hash', function() {
+      const transaction = new Transaction(signer, recipient, 10);
+      blockchain.addBlock([ transaction ]);
+
+      expect(blockchain.getTransaction(getTransactionHash(transaction)))
+        .to.equal(transaction);
+    });
+
+    it('should return null for an unknown hash', function() {
+      const transaction = new Transaction(signer, recipient, 10);
+      expect(blockchain.getTransaction(getTransactionHash(transaction)))
+        .to.be.null;
+    });
+  });
+
+  describe('getBlockByHash', function() {
+    it('should find a block by its hash', function() {
+      blockchain.addBlock([ new Transaction(signer, recipient, 10) ]);
+      const head = blockchain.getHeadBlock();
+
+      expect(blockchain.getBlockByHash(head.hash)).to.equal(head);
+      expect(blockchain.getBlockByHash(blockchain.blocks[0].hash))
+        .to.equal(blockchain.blocks[0]);
+    });
+
+    it('should return null for an unknown hash', function() {
+      expect(blockchain.getBlockByHash('ab'.repeat(64))).to.be.null;
+    });
+  });
+
+  describe('rebuildIndex', function() {
+    it('should index every block when the blocks are replaced', function() {
+      const transaction = new Transaction(signer, recipient, 10);
+      blockchain.addBlock([ transaction ]);
+      const copy = new Blockchain();
+      copy.blocks = blockchain.blocks;
+      copy.rebuildIndex();
+
+      expect(copy.getBalance(recipient)).to.equal(10);
+      expect(copy.getTransactionHistory(publicKey))
+        .to.deep.equal([ transaction ]);
+      expect(copy.getBlockByHash(blockchain.getHeadBlock().hash))
+        .to.equal(blockchain.getHeadBlock());
+    });
+  });
+
+  describe('UtxoChain', function() {
+    it('should include UTXO transactions in histories', function() {
+      const utxoChain = new UtxoChain();
+      const coinbase = new UtxoTransaction(signer, [], [
+        { recipient, amount: 50 }
+      ]);
+      utxoChain.addBlock([ coinbase ]);
+
+      expect(utxoChain.getTransactionHistory(publicKey))
+        .to.deep.equal([ coinbase ]);
+      expect(utxoChain.getTransactionHistory(recipient))
+        .to.deep.equal([ coinbase ]);
+      expect(utxoChain.getBalance(recipient)).to.equal(50);
+    });
+  });
+
+  describe('MineableChain', function() {
+    let mineable = null;
+
+    beforeEach(function() {
+      mineable = new MineableChain();
+      mineable.mine(signer);
+    });
+
+    it('should index the genesis block of a mineable chain', function() {
+      const genesis = mineable.blocks[0];
+      expect(mineable.getBlockByHash(genesis.hash)).to.equal(genesis);
+    });
+
+    it('should index mined blocks', function() {
+      const transaction = new MineableTransaction(signer, recipient, 10);
+      mineable.addTransaction(transaction);
+      mineable.mine(signer);
+      const head = mineable.getHeadBlock();
+
+      expect(mineable.getBlockByHash(head.hash)).to.equal(head);
+      expect(mineable.getTransaction(getTransactionHash(transaction)))
+        .to.equal(transaction);
+      expect(mineable.getBalance(publicKey)).to.equal(190);
+      expect(mineable.getTransactionHistory(publicKey)).to.have.lengthOf(3);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+'use strict';
+
+const { expect } = require('chai');
+const signing = require('../signing');
+const { getTransactionHash } = require('../validation');
+const {
+  getWork,
+  MineableTransaction,
+  MineableBlock,
+  MineableChain,
+  isValidMineableChain
+} = require('../mining');
+
+
+// Mines a new block on top of any previous block, without adding it, at the
+// blockchain's difficulty unless another is passed
+const mineBlock = (
+  blockchain,
+  previous,
+  transactions,
+  difficulty = blockchain.difficulty
+) => {
+  const block = new MineableBlock(transactions, previous.hash);
+  const zeros = '0'.repeat(difficulty);
+
+  let nonce = 0;
+  do {
+    block.calculateHash(nonce);
+    nonce++;
+  } while (block.hash.slice(0, difficulty) !== zeros);
+
+  return block;
+};
+
+// Creates a reward transaction for a new random miner
+const createReward = () => {
+  return new MineableTransaction(signing.createPrivateKey(), null, 100);
+};
+
+describe.skip('Forks', function() {
+  let blockchain = null;
+  let genesis = null;
+
+  beforeEach(function() {
+    blockchain = new MineableChain();
+    genesis = blockchain.getHeadBlock();
+  });
+
+  describe('getWork', function() {
+    it('should return 16 to the power of the difficulty', function() {
+      expect(getWork(0)).to.equal(1);
+      expect(getWork(2)).to.equal(256);
+      expect(getWork(3)).to.equal(4096);
+    });
+  });
+
+  describe('receiveBlock', function() {
+    let a1 = null;
+
+    beforeEach(function() {
+      a1 = mineBlock(blockchain, genesis, [ createReward() ]);
+    });
+
+    it('should add a block which extends the chain', function() {
+      const result = blockchain.receiveBlock(a1);
+
+      expect(blockchain.getHeadBlock()).to.equal(a1);
+      expect(result).to.deep.equal({ connected: [ a1 ], disconnected: [] });
+    });
+
+    it('should be used to add mined blocks', function() {
+      blockchain.mine(signing.createPrivateKey());
+      const head = blockchain.getHeadBlock();
+
+      expect(blockchain.receiveBlock(head))
+        .to.deep.equal({ connected: [], disconnected: [] });
+      expect(blockchain.getTips()).to.deep.equal([ head ]);
+    });
+
+    it('should ignore a block it has already received', function() {
+      blockchain.receiveBlock(a1);
+      const result = blockchain.receiveBlock(a1);
+
+      expect(blockchain.blocks).to.have.lengthOf(2);
+      expect(result).to.deep.equal({ connected: [], disconnected: [] });
+    });
+
+    it('should throw for a block with an unknown previous hash', function() {
+      const orphan = mineBlock(blockchain, a1, [ createReward() ]);
+      expect(() => blockchain.receiveBlock(orphan)).to.throw();
+    });
+
+    it('should throw for a block with an invalid hash', function() {
+      const easy = mineBlock(blockchain, genesis, [ createReward() ], 0);
+      if (easy.hash.slice(0, 2) === '00') {
+        easy.hash = '1' + easy.hash.slice(1);
+      }
+      a1.transactions[0].amount = 1000;
+
+      expect(() => blockchain.receiveBlock(easy)).to.throw();
+      expect(() => blockchain.receiveBlock(a1)).to.throw();
+    });
+
+    it('should keep the first branch when work is tied', function() {
+      const b1 = mineBlock(blockchain, genesis, [ createReward() ]);
+      blockchain.receiveBlock(a1);
+      const result = blockchain.receiveBlock(b1);
+
+      expect(blockchain.getHeadBlock()).to.equal(a1);
+      expect(result).to.deep.equal({ connected: [], disconnected: [] });
+      expect(blockchain.getTips()).to.have.members([ a1, b1 ]);
+    });
+  });
+
+  describe('reorganization', function() {
+    let signer = null;
+    let recipient = null;
+    let a1 = null;
+    let a2 = null;
+    let b2 = null;
+    let b3 = null;
+    let payment = null;
+
+    //             +-- a2
+    //   G <-- a1 <+
+    //             +-- b2 <-- b3
+    beforeEach(function() {
+      signer = signing.createPrivateKey();
+      recipient = signing.getPublicKey(signing.createPrivateKey());
+      payment = new MineableTransaction(signer, recipient, 10);
+
+      a1 = mineBlock(blockchain, genesis, [
+        new MineableTransaction(signer, null, 100)
+      ]);
+      a2 = mineBlock(blockchain, a1, [ payment, createReward() ]);
+      b2 = mineBlock(blockchain, a1, [ createReward() ]);
+      b3 = mineBlock(blockchain, b2, [ createReward() ]);
+
+      [ a1, a2, b2 ].forEach(block => blockchain.receiveBlock(block));
+    });
+
+    it('should track side branches', function() {
+      expect(blockchain.getHeadBlock()).to.equal(a2);
+      expect(blockchain.getTips()).to.have.members([ a2, b2 ]);
+    });
+
+    it('should switch to a branch with more work', function() {
+      blockchain.receiveBlock(b3);
+
+      expect(blockchain.blocks).to.deep.equal([ genesis, a1, b2, b3 ]);
+      expect(blockchain.getTips()).to.have.members([ a2, b3 ]);
+      expect(isValidMineableChain(blockchain)).to.be.true;
+    });
+
+    it('should report connected and disconnected blocks', function() {
+      expect(blockchain.receiveBlock(b3)).to.deep.equal({
+        connected: [ b2, b3 ],
+        disconnected: [ a2 ]
+      });
+    });
+
+    it('should return orphaned transactions to the mempool', function() {
+      blockchain.receiveBlock(b3);
+      expect(blockchain.mempool.transactions).to.deep.equal([ payment ]);
+    });
+
+    it('should remove connected transactions from the mempool', function() {
+      blockchain.receiveBlock(b3);
+      const a3 = mineBlock(blockchain, a2, [ createReward() ]);
+      const a4 = mineBlock(blockchain, a3, [ createReward() ]);
+      blockchain.receiveBlock(a3);
+      const result = blockchain.receiveBlock(a4);
+
+      expect(result.disconnected).to.deep.equal([ b3, b2 ]);
+      expect(result.connected).to.deep.equal([ a2, a3, a4 ]);
+      expect(blockchain.mempool.transactions).to.deep.equal([]);
+    });
+
+    it('should recognize transactions copied from another node', function() {
+      const copy = JSON.parse(JSON.stringify(payment));
+      const c2 = mineBlock(blockchain, a1, [ copy, createReward() ]);
+      const c3 = mineBlock(blockchain, c2, [ createReward() ]);
+      blockchain.receiveBlock(c2);
+      blockchain.receiveBlock(c3);
+
+      expect(getTransactionHash(copy)).to.equal(getTransactionHash(payment));
+      expect(blockchain.mempool.transactions).to.deep.equal([]);
+    });
+
+    it('should update balances after a reorg', function() {
+      expect(blockchain.getBalance(recipient)).to.equal(10);
+      blockchain.receiveBlock(b3);
+      expect(blockchain.getBalance(recipient)).to.equal(0);
+    });
+  });
+});
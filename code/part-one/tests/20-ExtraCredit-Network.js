@@ -0,0 +1,273 @@
+'use strict';
+
+const { expect } = require('chai');
+const signing = require('../signing');
+const {
+  MineableTransaction,
+  MineableBlock
+} = require('../mining');
+const { serializeBlock } = require('../storage');
+const { getHeader, Network, Node } = require('../network');
+
+
+// Mines a new block on top of a previous block at a blockchain's difficulty,
+// without adding it
+const mineBlock = (blockchain, previous, transactions) => {
+  const block = new MineableBlock(transactions, previous.hash);
+  const zeros = '0'.repeat(blockchain.difficulty);
+
+  let nonce = 0;
+  do {
+    block.calculateHash(nonce);
+    nonce++;
+  } while (block.hash.slice(0, zeros.length) !== zeros);
+
+  return block;
+};
+
+// Returns the hashes of a node's active chain
+const getHashes = node => node.blockchain.blocks.map(({ hash }) => hash);
+
+describe.skip('Networking', function() {
+  let network = null;
+  let alice = null;
+  let bob = null;
+  let carol = null;
+  let sent = null;
+
+  beforeEach(function() {
+    network = new Network();
+    alice = new Node(network, signing.createPrivateKey());
+    bob = new Node(network, signing.createPrivateKey());
+    carol = new Node(network, signing.createPrivateKey());
+
+    // alice <--> bob <--> carol
+    alice.connect(bob);
+    bob.connect(carol);
+
+    // Record the type of every message sent
+    sent = [];
+    const send = network.send;
+    network.send = (from, to, message) => {
+      sent.push(message.type);
+      send.call(network, from, to, message);
+    };
+  });
+
+  describe('Network', function() {
+    it('should deliver a copy of each message', function() {
+      const received = [];
+      const listener = { peers: [], handleMessage: (from, message) => {
+        received.push({ from, message });
+      } };
+      network.connect(alice, listener);
+      const message = { type: 'test', data: { value: 1 } };
+      network.send(alice, listener, message);
+
+      expect(received).to.have.lengthOf(1);
+      expect(received[0].from).to.equal(alice);
+      expect(received[0].message).to.deep.equal(message);
+      expect(received[0].message).to.not.equal(message);
+    });
+
+    it('should drop messages between unconnected nodes', function() {
+      network.send(alice, carol, { type: 'getHeaders', locator: [] });
+      expect(sent).to.deep.equal([ 'getHeaders' ]);
+    });
+  });
+
+  describe('transactions', function() {
+    let signer = null;
+    let transaction = null;
+
+    beforeEach(function() {
+      signer = signing.createPrivateKey();
+      const recipient = signing.getPublicKey(signing.createPrivateKey());
+      transaction = new MineableTransaction(signer, recipient, 10, 0, 2);
+    });
+
+    it('should gossip new transactions to every node', function() {
+      expect(alice.addTransaction(transaction)).to.be.true;
+
+      const [ pending ] = carol.blockchain.mempool.transactions;
+      expect(pending).to.be.an.instanceOf(MineableTransaction);
+      expect(pending).to.deep.equal(transaction);
+    });
+
+    it('should only send each transaction once per connection', function() {
+      alice.addTransaction(transaction);
+      expect(sent).to.deep.equal([ 'transaction', 'transaction' ]);
+
+      expect(carol.addTransaction(transaction)).to.be.false;
+      expect(sent).to.have.lengthOf(2);
+    });
+
+    it('should ignore invalid transactions', function() {
+      transaction.amount = 1000;
+
+      expect(alice.addTransaction(transaction)).to.be.false;
+      expect(bob.blockchain.mempool.transactions).to.be.empty;
+      expect(sent).to.be.empty;
+    });
+
+    it('should ignore invalid transactions from peers', function() {
+      bob.handleMessage(alice, {
+        type: 'transaction',
+        transaction: Object.assign({}, transaction, { fee: 0 })
+      });
+
+      expect(bob.blockchain.mempool.transactions).to.be.empty;
+      expect(sent).to.be.empty;
+    });
+
+    it('should ignore reward transactions', function() {
+      const reward = new MineableTransaction(signer, null, 100);
+      expect(alice.addTransaction(reward)).to.be.false;
+    });
+  });
+
+  describe('blocks', function() {
+    it('should gossip mined blocks to every node', function() {
+      const block = alice.mine();
+
+      expect(bob.blockchain.getHeadBlock().hash).to.equal(block.hash);
+      expect(carol.blockchain.getHeadBlock().hash).to.equal(block.hash);
+      expect(carol.blockchain.getHeadBlock())
+        .to.be.an.instanceOf(MineableBlock);
+    });
+
+    it('should mine gossiped transactions', function() {
+      const recipient = signing.getPublicKey(signing.createPrivateKey());
+      carol.mine();
+      carol.addTransaction(
+        new MineableTransaction(carol.privateKey, recipient, 10)
+      );
+      alice.mine();
+
+      expect(getHashes(carol)).to.deep.equal(getHashes(alice));
+      expect(carol.blockchain.mempool.transactions).to.be.empty;
+      expect(carol.blockchain.getBalance(recipient)).to.equal(10);
+    });
+
+    it('should ignore blocks that have already been received', function() {
+      const block = alice.mine();
+      expect(sent).to.deep.equal([ 'block', 'block' ]);
+
+      expect(bob.receiveBlock(block)).to.be.false;
+      expect(sent).to.have.lengthOf(2);
+    });
+
+    it('should ignore a block with an invalid reward', function() {
+      const genesis = bob.blockchain.getHeadBlock();
+      const greedy = new MineableTransaction(alice.privateKey, null, 1000);
+      const block = mineBlock(bob.blockchain, genesis, [ greedy ]);
+      bob.handleMessage(alice, { type: 'block', block: serializeBlock(block) });
+
+      expect(bob.blockchain.getHeadBlock()).to.equal(genesis);
+      expect(sent).to.be.empty;
+    });
+
+    it('should ignore a block with an invalid transaction', function() {
+      const genesis = bob.blockchain.getHeadBlock();
+      const signer = signing.createPrivateKey();
+      const recipient = signing.getPublicKey(signing.createPrivateKey());
+      const reward = new MineableTransaction(signer, null, 100);
+      const payment = new MineableTransaction(signer, recipient, 10);
+      payment.amount = 50;
+      const block = mineBlock(bob.blockchain, genesis, [ reward, payment ]);
+
+      expect(bob.receiveBlock(block, alice)).to.be.false;
+      expect(bob.blockchain.getHeadBlock()).to.equal(genesis);
+    });
+
+    it('should ignore a block that is not valid JSON', function() {
+      bob.handleMessage(alice, { type: 'block', block: '{"type":' });
+      expect(bob.blockchain.blocks).to.have.lengthOf(1);
+    });
+  });
+
+  describe('syncing', function() {
+    let dave = null;
+
+    beforeEach(function() {
+      dave = new Node(network, signing.createPrivateKey());
+      alice.mine();
+      alice.mine();
+      alice.mine();
+      sent = [];
+    });
+
+    it('should download the chain of a peer', function() {
+      dave.connect(carol);
+      dave.sync(carol);
+
+      expect(getHashes(dave)).to.deep.equal(getHashes(alice));
+    });
+
+    it('should download headers before blocks', function() {
+      dave.connect(carol);
+      dave.sync(carol);
+
+      expect(sent.slice(0, 6)).to.deep.equal([
+        'getHeaders',
+        'headers',
+        'getBlocks',
+        'block',
+        'block',
+        'block'
+      ]);
+    });
+
+    it('should send headers after the last block in common', function() {
+      const received = [];
+      const listener = { peers: [], handleMessage: (from, message) => {
+        received.push(message);
+      } };
+      network.connect(alice, listener);
+      const locator = getHashes(alice).slice(0, 2).reverse();
+      alice.handleMessage(listener, { type: 'getHeaders', locator });
+
+      const headers = alice.blockchain.blocks.slice(2).map(getHeader);
+      expect(received).to.deep.equal([ { type: 'headers', headers } ]);
+    });
+
+    it('should not download blocks with invalid headers', function() {
+      const headers = alice.blockchain.blocks.slice(1).map(getHeader);
+      headers[1].nonce = headers[1].nonce + 1;
+      dave.connect(alice);
+      dave.handleMessage(alice, { type: 'headers', headers });
+
+      expect(sent).to.be.empty;
+    });
+
+    it('should not download unlinked headers', function() {
+      const headers = alice.blockchain.blocks.slice(2).map(getHeader);
+      dave.connect(alice);
+      dave.handleMessage(alice, { type: 'headers', headers });
+
+      expect(sent).to.be.empty;
+    });
+
+    it('should sync when receiving a block it cannot connect', function() {
+      dave.connect(carol);
+      carol.mine();
+
+      expect(getHashes(dave)).to.deep.equal(getHashes(carol));
+      expect(dave.blockchain.blocks).to.have.lengthOf(5);
+    });
+
+    it('should reorganize to the longest chain after a split', function() {
+      network.disconnect(alice, bob);
+      alice.mine();
+      bob.mine();
+      bob.mine();
+      expect(getHashes(alice)).to.not.deep.equal(getHashes(bob));
+
+      alice.connect(bob);
+      bob.mine();
+
+      expect(getHashes(alice)).to.deep.equal(getHashes(bob));
+      expect(alice.blockchain.blocks).to.have.lengthOf(7);
+    });
+  });
+});
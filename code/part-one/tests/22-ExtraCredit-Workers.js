@@ -0,0 +1,179 @@
+'use strict';
+
+const { expect } = require('chai');
+const signing = require('../signing');
+const {
+  MAX_TARGET,
+  toTarget,
+  MineableTransaction,
+  MineableBlock,
+  MineableChain,
+  isValidMineableChain
+} = require('../mining');
+const { PROGRESS_INTERVAL, searchNonces, Miner } = require('../miner');
+
+
+// Returns a promise which fails unless the passed promise rejects
+const expectRejection = promise => {
+  return promise.then(
+    () => { throw new Error('Expected mining to be cancelled'); },
+    err => expect(err).to.be.an.instanceOf(Error)
+  );
+};
+
+describe.skip('Workers', function() {
+  let signer = null;
+  let blockchain = null;
+
+  beforeEach(function() {
+    signer = signing.createPrivateKey();
+    blockchain = new MineableChain();
+  });
+
+  describe('createBlock', function() {
+    it('should create an unmined block on top of the head', function() {
+      blockchain.mine(signer);
+      const recipient = signing.getPublicKey(signing.createPrivateKey());
+      const transaction = new MineableTransaction(signer, recipient, 10);
+      blockchain.addTransaction(transaction);
+      const head = blockchain.getHeadBlock();
+      const block = blockchain.createBlock(signer);
+
+      expect(block).to.be.an.instanceOf(MineableBlock);
+      expect(block.previousHash).to.equal(head.hash);
+      expect(block.hash).to.be.null;
+      expect(block.transactions).to.have.lengthOf(2);
+      expect(block.transactions[0]).to.equal(transaction);
+      expect(block.transactions[1].recipient)
+        .to.equal(signing.getPublicKey(signer));
+    });
+
+    it('should not change the blockchain', function() {
+      const recipient = signing.getPublicKey(signing.createPrivateKey());
+      const transaction = new MineableTransaction(signer, recipient, 10);
+      blockchain.addTransaction(transaction);
+      blockchain.createBlock(signer);
+
+      expect(blockchain.blocks).to.have.lengthOf(1);
+      expect(blockchain.mempool.transactions).to.deep.equal([ transaction ]);
+    });
+  });
+
+  describe('searchNonces', function() {
+    let block = null;
+
+    beforeEach(function() {
+      const reward = new MineableTransaction(signer, null, 100);
+      block = new MineableBlock([ reward ], blockchain.getHeadBlock().hash);
+    });
+
+    it('should return the first nonce which meets the target', function() {
+      const target = toTarget(1);
+      const nonce = searchNonces(block, target, 0, 1, 10000);
+
+      expect(block.nonce).to.equal(nonce);
+      expect(block.hash <= target).to.be.true;
+      for (let earlier = 0; earlier < nonce; earlier++) {
+        block.calculateHash(earlier);
+        expect(block.hash > target).to.be.true;
+      }
+    });
+
+    it('should step from the starting nonce', function() {
+      const nonce = searchNonces(block, toTarget(1), 3, 5, 10000);
+      expect(nonce % 5).to.equal(3);
+
+      expect(searchNonces(block, MAX_TARGET, 7, 2, 10)).to.equal(7);
+    });
+
+    it('should return null if no nonce works', function() {
+      const target = toTarget(128);
+      expect(searchNonces(block, target, 0, 1, 100)).to.be.null;
+    });
+  });
+
+  describe('Miner', function() {
+    let miner = null;
+
+    beforeEach(function() {
+      miner = new Miner(blockchain, signer, 2);
+    });
+
+    afterEach(function() {
+      miner.cancel();
+    });
+
+    it('should mine a new block onto the blockchain', function() {
+      return miner.mine().then(block => {
+        expect(block).to.be.an.instanceOf(MineableBlock);
+        expect(blockchain.getHeadBlock()).to.equal(block);
+        expect(blockchain.getBalance(signing.getPublicKey(signer)))
+          .to.equal(blockchain.reward);
+        expect(isValidMineableChain(blockchain)).to.be.true;
+        expect(miner.workers).to.be.empty;
+      });
+    });
+
+    it('should run the number of workers passed', function() {
+      const mining = miner.mine();
+      expect(miner.workers).to.have.lengthOf(2);
+
+      return mining;
+    });
+
+    it('should report progress', function() {
+      blockchain.difficulty = 128;
+      const reports = [];
+      const mining = miner.mine(progress => {
+        reports.push(progress);
+        if (reports.length === 3) {
+          miner.cancel();
+        }
+      });
+
+      return expectRejection(mining).then(() => {
+        expect(reports).to.have.lengthOf(3);
+        expect(reports.map(({ hashes }) => hashes)).to.deep.equal([
+          PROGRESS_INTERVAL,
+          PROGRESS_INTERVAL * 2,
+          PROGRESS_INTERVAL * 3
+        ]);
+        expect(reports[2].hashRate).to.be.a('number');
+      });
+    });
+
+    it('should stop every worker when cancelled', function() {
+      blockchain.difficulty = 128;
+      const mining = miner.mine();
+      miner.cancel();
+
+      return expectRejection(mining).then(() => {
+        expect(miner.workers).to.be.empty;
+        expect(blockchain.blocks).to.have.lengthOf(1);
+      });
+    });
+
+    it('should cancel when a new block arrives', function() {
+      blockchain.difficulty = 128;
+      const mining = miner.mine();
+      blockchain.difficulty = 2;
+      blockchain.mine(signing.createPrivateKey());
+
+      return expectRejection(mining).then(() => {
+        expect(miner.workers).to.be.empty;
+        expect(blockchain.blocks).to.have.lengthOf(2);
+      });
+    });
+
+    it('should not mine twice at once', function() {
+      blockchain.difficulty = 128;
+      const mining = miner.mine();
+
+      return expectRejection(miner.mine()).then(() => {
+        expect(miner.workers).to.have.lengthOf(2);
+        miner.cancel();
+        return expectRejection(mining);
+      });
+    });
+  });
+});
@@ -0,0 +1,242 @@
+'use strict';
+
+const { expect } = require('chai');
+const signing = require('../signing');
+const {
+  HALVING_INTERVAL,
+  MAX_SUPPLY,
+  COINBASE_MATURITY,
+  getBlockReward,
+  MineableTransaction,
+  MineableBlock,
+  MineableChain,
+  isValidMineableChain
+} = require('../mining');
+
+
+// Mines an already created block onto the end of a mineable chain
+const forceMine = (blockchain, transactions) => {
+  const { difficulty } = blockchain;
+  const previousHash = blockchain.getHeadBlock().hash;
+  const block = new MineableBlock(transactions, previousHash);
+
+  let nonce = 0;
+  do {
+    block.calculateHash(nonce);
+    nonce++;
+  } while (block.hash.slice(0, difficulty) !== '0'.repeat(difficulty));
+
+  blockchain.blocks.push(block);
+};
+
+describe.skip('Issuance', function() {
+  let signer = null;
+  let publicKey = null;
+  let recipient = null;
+  let blockchain = null;
+
+  // Returns the amount of the reward in the head block
+  const getHeadReward = () => {
+    return blockchain.getHeadBlock().transactions
+      .find(({ source }) => source === null)
+      .amount;
+  };
+
+  beforeEach(function() {
+    signer = signing.createPrivateKey();
+    publicKey = signing.getPublicKey(signer);
+    recipient = signing.getPublicKey(signing.createPrivateKey());
+    blockchain = new MineableChain();
+  });
+
+  describe('getBlockReward', function() {
+    const settings = { reward: 100, halvingInterval: 10, maxSupply: 10000 };
+
+    it('should start with the full reward', function() {
+      expect(getBlockReward(1, settings)).to.equal(100);
+      expect(getBlockReward(10, settings)).to.equal(100);
+    });
+
+    it('should halve the reward every interval', function() {
+      expect(getBlockReward(11, settings)).to.equal(50);
+      expect(getBlockReward(20, settings)).to.equal(50);
+      expect(getBlockReward(21, settings)).to.equal(25);
+    });
+
+    it('should round rewards down', function() {
+      expect(getBlockReward(31, settings)).to.equal(12);
+      expect(getBlockReward(71, settings)).to.equal(0);
+    });
+
+    it('should never create more than the max supply', function() {
+      const capped = { reward: 100, halvingInterval: 2, maxSupply: 320 };
+      const rewards = [ 1, 2, 3, 4, 5, 6 ]
+        .map(height => getBlockReward(height, capped));
+
+      expect(rewards).to.deep.equal([ 100, 100, 50, 50, 20, 0 ]);
+    });
+  });
+
+  describe('MineableChain', function() {
+    it('should have settings for issuance', function() {
+      expect(blockchain.halvingInterval).to.equal(HALVING_INTERVAL);
+      expect(blockchain.maxSupply).to.equal(MAX_SUPPLY);
+      expect(blockchain.maturity).to.equal(COINBASE_MATURITY);
+    });
+
+    it('should mine rewards from the schedule', function() {
+      blockchain.halvingInterval = 2;
+      blockchain.mine(signer);
+      blockchain.mine(signer);
+      expect(getHeadReward()).to.equal(100);
+
+      blockchain.mine(signer);
+      expect(getHeadReward()).to.equal(50);
+    });
+
+    it('should still pay fees on top of a halved reward', function() {
+      blockchain.halvingInterval = 1;
+      blockchain.mine(signer);
+      blockchain.addTransaction(
+        new MineableTransaction(signer, recipient, 10, null, 5)
+      );
+      blockchain.mine(signer);
+
+      expect(getHeadReward()).to.equal(55);
+    });
+
+    it('should stop rewards at the max supply', function() {
+      blockchain.maxSupply = 150;
+      blockchain.mine(signer);
+      blockchain.mine(signer);
+      expect(getHeadReward()).to.equal(50);
+
+      blockchain.mine(signer);
+      expect(getHeadReward()).to.equal(0);
+    });
+  });
+
+  describe('getCirculatingSupply', function() {
+    it('should start at 0', function() {
+      expect(blockchain.getCirculatingSupply()).to.equal(0);
+    });
+
+    it('should add up every reward', function() {
+      blockchain.halvingInterval = 2;
+      blockchain.mine(signer);
+      blockchain.mine(signer);
+      blockchain.mine(signer);
+
+      expect(blockchain.getCirculatingSupply()).to.equal(250);
+    });
+
+    it('should report the supply at any height', function() {
+      blockchain.halvingInterval = 2;
+      blockchain.mine(signer);
+      blockchain.mine(signer);
+      blockchain.mine(signer);
+
+      expect(blockchain.getCirculatingSupply(0)).to.equal(0);
+      expect(blockchain.getCirculatingSupply(1)).to.equal(100);
+      expect(blockchain.getCirculatingSupply(2)).to.equal(200);
+    });
+
+    it('should not count fees as new funds', function() {
+      blockchain.mine(signer);
+      blockchain.addTransaction(
+        new MineableTransaction(signer, recipient, 10, null, 5)
+      );
+      blockchain.mine(signing.createPrivateKey());
+
+      expect(blockchain.getCirculatingSupply()).to.equal(200);
+    });
+
+    it('should subtract fees which are never paid out', function() {
+      blockchain.mine(signer);
+      forceMine(blockchain, [
+        new MineableTransaction(signer, recipient, 10, null, 5)
+      ]);
+
+      expect(blockchain.getCirculatingSupply()).to.equal(95);
+    });
+  });
+
+  describe('isValidMineableChain', function() {
+    let miner = null;
+
+    beforeEach(function() {
+      miner = signing.createPrivateKey();
+    });
+
+    it('should accept a chain with halved rewards', function() {
+      blockchain.halvingInterval = 2;
+      blockchain.mine(signer);
+      blockchain.mine(signer);
+      blockchain.mine(signer);
+
+      expect(isValidMineableChain(blockchain)).to.be.true;
+    });
+
+    it('should reject a reward which was not halved', function() {
+      blockchain.halvingInterval = 2;
+      blockchain.mine(signer);
+      blockchain.mine(signer);
+      forceMine(blockchain, [ new MineableTransaction(miner, null, 100) ]);
+
+      expect(isValidMineableChain(blockchain)).to.be.false;
+    });
+
+    it('should reject a reward past the max supply', function() {
+      blockchain.maxSupply = 150;
+      blockchain.mine(signer);
+      blockchain.mine(signer);
+      forceMine(blockchain, [ new MineableTransaction(miner, null, 50) ]);
+
+      expect(isValidMineableChain(blockchain)).to.be.false;
+    });
+
+    it('should reject spending a reward before it matures', function() {
+      blockchain.maturity = 2;
+      blockchain.mine(signer);
+      forceMine(blockchain, [
+        new MineableTransaction(signer, recipient, 10),
+        new MineableTransaction(miner, null, 100)
+      ]);
+
+      expect(isValidMineableChain(blockchain)).to.be.false;
+    });
+
+    it('should accept spending a reward once it matures', function() {
+      blockchain.maturity = 2;
+      blockchain.mine(signer);
+      blockchain.mine(miner);
+      forceMine(blockchain, [
+        new MineableTransaction(signer, recipient, 10),
+        new MineableTransaction(miner, null, 100)
+      ]);
+
+      expect(isValidMineableChain(blockchain)).to.be.true;
+    });
+
+    it('should only hold back the rewards which are immature', function() {
+      blockchain.maturity = 2;
+      blockchain.mine(signer);
+      blockchain.mine(miner);
+      blockchain.mine(signer);
+      const blocks = blockchain.blocks.slice();
+
+      forceMine(blockchain, [
+        new MineableTransaction(signer, recipient, 100),
+        new MineableTransaction(miner, null, 100)
+      ]);
+      expect(isValidMineableChain(blockchain)).to.be.true;
+
+      blockchain.blocks = blocks;
+      forceMine(blockchain, [
+        new MineableTransaction(signer, recipient, 101),
+        new MineableTransaction(miner, null, 100)
+      ]);
+      expect(isValidMineableChain(blockchain)).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,410 @@
+'use strict';
+
+const { createHash } = require('crypto');
+const { expect } = require('chai');
+const signing = require('../signing');
+const { MineableTransaction, MineableChain } = require('../mining');
+const {
+  STAKE_KEY,
+  getSlot,
+  StakeBlock,
+  SlashTransaction,
+  getStakes,
+  selectLeader,
+  StakeChain,
+  isValidStakeChain,
+  proofOfWork,
+  proofOfStake
+} = require('../stake');
+
+
+// Returns the first slot after the head block where a key is the leader
+const findSlot = (blockchain, privateKey) => {
+  const publicKey = signing.getPublicKey(privateKey);
+  let slot = blockchain.getHeadBlock().slot + 1;
+  while (blockchain.getLeader(slot) !== publicKey) {
+    slot++;
+  }
+  return slot;
+};
+
+// Signs a block onto the end of a stake chain, whether it is valid or not
+const forceForge = (blockchain, privateKey, transactions, slot) => {
+  const previousHash = blockchain.getHeadBlock().hash;
+  const block = new StakeBlock(transactions, previousHash, slot);
+  block.sign(privateKey);
+  blockchain.blocks.push(block);
+
+  return block;
+};
+
+describe.skip('Proof of stake', function() {
+  let alice = null;
+  let bob = null;
+  let alicePublic = null;
+  let bobPublic = null;
+  let recipient = null;
+
+  beforeEach(function() {
+    alice = signing.createPrivateKey();
+    bob = signing.createPrivateKey();
+    alicePublic = signing.getPublicKey(alice);
+    bobPublic = signing.getPublicKey(bob);
+    recipient = signing.getPublicKey(signing.createPrivateKey());
+  });
+
+  describe('StakeBlock', function() {
+    let block = null;
+
+    beforeEach(function() {
+      const transaction = new MineableTransaction(alice, recipient, 10);
+      block = new StakeBlock([ transaction ], 'abc', 1234);
+    });
+
+    it('should use the slot as its nonce', function() {
+      expect(block.slot).to.equal(1234);
+      expect(block.nonce).to.equal(1234);
+      expect(block.hash).to.be.a('string').and.not.be.empty;
+    });
+
+    it('should start unsigned', function() {
+      expect(block.validator).to.be.null;
+      expect(block.signature).to.be.null;
+    });
+
+    it('should be signed by the validator with its slot and hash', function() {
+      block.sign(alice);
+      const message = '1234:' + block.hash;
+
+      expect(block.validator).to.equal(alicePublic);
+      expect(signing.verify(alicePublic, message, block.signature)).to.be.true;
+    });
+  });
+
+  describe('SlashTransaction', function() {
+    it('should include the signed headers of both blocks', function() {
+      const first = new StakeBlock([], 'abc', 1234);
+      const second = new StakeBlock([], 'def', 1234);
+      first.sign(alice);
+      second.sign(alice);
+      const slash = new SlashTransaction(first, second);
+
+      expect(slash.recipient).to.equal(alicePublic);
+      expect(slash.amount).to.equal(0);
+      expect(slash.evidence).to.deep.equal([
+        { slot: 1234, hash: first.hash, signature: first.signature },
+        { slot: 1234, hash: second.hash, signature: second.signature }
+      ]);
+    });
+  });
+
+  describe('getStakes', function() {
+    let blocks = null;
+
+    beforeEach(function() {
+      blocks = [
+        new StakeBlock([], null, 0),
+        new StakeBlock([
+          new MineableTransaction(alice, STAKE_KEY, 20),
+          new MineableTransaction(bob, STAKE_KEY, 5),
+          new MineableTransaction(alice, recipient, 10)
+        ], 'abc', 1)
+      ];
+    });
+
+    it('should add deposits to the genesis stakes', function() {
+      const genesisStakes = { [alicePublic]: 100 };
+      const stakes = getStakes(blocks, genesisStakes);
+
+      expect(stakes).to.deep.equal({ [alicePublic]: 120, [bobPublic]: 5 });
+      expect(genesisStakes).to.deep.equal({ [alicePublic]: 100 });
+    });
+
+    it('should remove slashed validators', function() {
+      const first = new StakeBlock([], 'abc', 2);
+      const second = new StakeBlock([], 'def', 2);
+      first.sign(bob);
+      second.sign(bob);
+      blocks.push(new StakeBlock([ new SlashTransaction(first, second) ]));
+
+      expect(getStakes(blocks, {})).to.deep.equal({ [alicePublic]: 20 });
+    });
+  });
+
+  describe('selectLeader', function() {
+    it('should return null if no one has stake', function() {
+      expect(selectLeader({}, 'abc', 1)).to.be.null;
+      expect(selectLeader({ [alicePublic]: 0 }, 'abc', 1)).to.be.null;
+    });
+
+    it('should always pick the same leader for a slot', function() {
+      const stakes = { [alicePublic]: 50, [bobPublic]: 50 };
+      const leader = selectLeader(stakes, 'abc', 1);
+
+      expect(leader).to.be.oneOf([ alicePublic, bobPublic ]);
+      for (let i = 0; i < 5; i++) {
+        expect(selectLeader(stakes, 'abc', 1)).to.equal(leader);
+      }
+    });
+
+    it('should pick a ticket with the hash of the slot', function() {
+      const stakes = { [alicePublic]: 1, [bobPublic]: 1 };
+      const [ first, second ] = [ alicePublic, bobPublic ].sort();
+      const seed = createHash('sha256').update('abc:1').digest('hex');
+      const ticket = parseInt(seed.slice(0, 12), 16) % 2;
+
+      expect(selectLeader(stakes, 'abc', 1))
+        .to.equal(ticket === 0 ? first : second);
+    });
+
+    it('should pick validators in proportion to their stake', function() {
+      const stakes = { [alicePublic]: 30, [bobPublic]: 10, [recipient]: 0 };
+      const counts = { [alicePublic]: 0, [bobPublic]: 0, [recipient]: 0 };
+      for (let slot = 0; slot < 400; slot++) {
+        counts[selectLeader(stakes, 'abc', slot)]++;
+      }
+
+      expect(counts[alicePublic]).to.be.within(250, 350);
+      expect(counts[bobPublic]).to.be.within(50, 150);
+      expect(counts[recipient]).to.equal(0);
+    });
+
+    it('should pick different leaders after different blocks', function() {
+      const stakes = { [alicePublic]: 50, [bobPublic]: 50 };
+      const leaders = [ 'abc', 'def', 'ghi', 'jkl', 'mno', 'pqr', 'stu' ]
+        .map(previousHash => selectLeader(stakes, previousHash, 1));
+
+      expect(leaders).to.include(alicePublic);
+      expect(leaders).to.include(bobPublic);
+    });
+  });
+
+  describe('StakeChain', function() {
+    let blockchain = null;
+
+    beforeEach(function() {
+      blockchain = new StakeChain({ [alicePublic]: 100, [bobPublic]: 100 });
+    });
+
+    it('should start with an unsigned genesis block', function() {
+      const genesis = blockchain.getHeadBlock();
+
+      expect(blockchain.blocks).to.have.lengthOf(1);
+      expect(genesis).to.be.an.instanceOf(StakeBlock);
+      expect(genesis.slot).to.equal(0);
+      expect(genesis.validator).to.be.null;
+    });
+
+    it('should include the genesis stakes and a reward', function() {
+      expect(blockchain.genesisStakes)
+        .to.deep.equal({ [alicePublic]: 100, [bobPublic]: 100 });
+      expect(blockchain.reward).to.be.a('number');
+      expect(blockchain.getStake(alicePublic)).to.equal(100);
+      expect(blockchain.getStake(recipient)).to.equal(0);
+    });
+
+    it('should not allow blocks to be added directly', function() {
+      expect(() => blockchain.addBlock([])).to.throw();
+    });
+
+    it('should let the leader forge a signed block', function() {
+      const slot = findSlot(blockchain, alice);
+      const block = blockchain.forge(alice, slot);
+
+      expect(block).to.be.an.instanceOf(StakeBlock);
+      expect(blockchain.getHeadBlock()).to.equal(block);
+      expect(block.slot).to.equal(slot);
+      expect(block.validator).to.equal(alicePublic);
+      expect(blockchain.getBalance(alicePublic)).to.equal(blockchain.reward);
+    });
+
+    it('should not let anyone else forge a block', function() {
+      const slot = findSlot(blockchain, alice);
+
+      expect(blockchain.forge(bob, slot)).to.be.null;
+      expect(blockchain.blocks).to.have.lengthOf(1);
+    });
+
+    it('should not forge a block for a slot already past', function() {
+      blockchain = new StakeChain({ [alicePublic]: 100 });
+      blockchain.forge(alice, 10);
+
+      expect(blockchain.forge(alice, 10)).to.be.null;
+      expect(blockchain.forge(alice, 5)).to.be.null;
+      expect(blockchain.blocks).to.have.lengthOf(2);
+      expect(blockchain.forge(alice, 11)).to.not.be.null;
+    });
+
+    it('should forge pending transactions and pay fees', function() {
+      blockchain.forge(alice, findSlot(blockchain, alice));
+      blockchain.addTransaction(
+        new MineableTransaction(alice, recipient, 10, null, 5)
+      );
+      blockchain.forge(bob, findSlot(blockchain, bob));
+
+      expect(blockchain.getBalance(alicePublic)).to.equal(85);
+      expect(blockchain.getBalance(recipient)).to.equal(10);
+      expect(blockchain.getBalance(bobPublic)).to.equal(105);
+    });
+
+    it('should lock deposits as stake', function() {
+      blockchain.forge(alice, findSlot(blockchain, alice));
+      blockchain.addTransaction(new MineableTransaction(alice, STAKE_KEY, 40));
+      blockchain.forge(bob, findSlot(blockchain, bob));
+
+      expect(blockchain.getBalance(alicePublic)).to.equal(60);
+      expect(blockchain.getStake(alicePublic)).to.equal(140);
+    });
+  });
+
+  describe('isValidStakeChain', function() {
+    let blockchain = null;
+
+    beforeEach(function() {
+      blockchain = new StakeChain({ [alicePublic]: 100, [bobPublic]: 100 });
+      blockchain.forge(alice, findSlot(blockchain, alice));
+      blockchain.addTransaction(new MineableTransaction(alice, STAKE_KEY, 20));
+      blockchain.forge(bob, findSlot(blockchain, bob));
+    });
+
+    it('should accept a valid chain', function() {
+      expect(isValidStakeChain(blockchain)).to.be.true;
+    });
+
+    it('should reject a block signed by anyone but the leader', function() {
+      const reward = new MineableTransaction(bob, null, blockchain.reward);
+      forceForge(blockchain, bob, [ reward ], findSlot(blockchain, alice));
+
+      expect(isValidStakeChain(blockchain)).to.be.false;
+    });
+
+    it('should reject a block with an invalid signature', function() {
+      blockchain.blocks[2].signature = blockchain.blocks[1].signature;
+      expect(isValidStakeChain(blockchain)).to.be.false;
+    });
+
+    it('should reject a block with altered transactions', function() {
+      blockchain.blocks[2].transactions[0].amount = 10;
+      expect(isValidStakeChain(blockchain)).to.be.false;
+    });
+
+    it('should reject a block for a slot in the future', function() {
+      blockchain.blocks = blockchain.blocks.slice(0, 1);
+      let slot = getSlot() + 1;
+      while (blockchain.getLeader(slot) !== alicePublic) {
+        slot++;
+      }
+      const reward = new MineableTransaction(alice, null, blockchain.reward);
+      forceForge(blockchain, alice, [ reward ], slot);
+
+      expect(isValidStakeChain(blockchain)).to.be.false;
+    });
+
+    it('should reject a reward that is too big', function() {
+      const reward = new MineableTransaction(alice, null, 1000);
+      forceForge(blockchain, alice, [ reward ], findSlot(blockchain, alice));
+
+      expect(isValidStakeChain(blockchain)).to.be.false;
+    });
+
+    it('should reject spending more than a balance', function() {
+      const spend = new MineableTransaction(bob, recipient, 101);
+      const reward = new MineableTransaction(alice, null, blockchain.reward);
+      forceForge(
+        blockchain,
+        alice,
+        [ spend, reward ],
+        findSlot(blockchain, alice)
+      );
+
+      expect(isValidStakeChain(blockchain)).to.be.false;
+    });
+
+    it('should reject staking more than a balance', function() {
+      const deposit = new MineableTransaction(bob, STAKE_KEY, 101);
+      const reward = new MineableTransaction(alice, null, blockchain.reward);
+      forceForge(
+        blockchain,
+        alice,
+        [ deposit, reward ],
+        findSlot(blockchain, alice)
+      );
+
+      expect(isValidStakeChain(blockchain)).to.be.false;
+    });
+
+    describe('slashing', function() {
+      let first = null;
+      let second = null;
+
+      beforeEach(function() {
+        const slot = findSlot(blockchain, alice);
+        const previousHash = blockchain.getHeadBlock().hash;
+        first = new StakeBlock([], previousHash, slot);
+        second = new StakeBlock([
+          new MineableTransaction(alice, null, blockchain.reward)
+        ], previousHash, slot);
+        first.sign(alice);
+        second.sign(alice);
+      });
+
+      it('should accept and slash a double signer', function() {
+        blockchain.addTransaction(new SlashTransaction(first, second));
+        blockchain.forge(bob, findSlot(blockchain, bob));
+
+        expect(isValidStakeChain(blockchain)).to.be.true;
+        expect(blockchain.getStake(alicePublic)).to.equal(0);
+        expect(blockchain.getLeader(findSlot(blockchain, bob)))
+          .to.equal(bobPublic);
+      });
+
+      it('should reject evidence of the same block twice', function() {
+        blockchain.addTransaction(new SlashTransaction(first, first));
+        blockchain.forge(bob, findSlot(blockchain, bob));
+
+        expect(isValidStakeChain(blockchain)).to.be.false;
+      });
+
+      it('should reject evidence from different slots', function() {
+        const later = new StakeBlock([], first.previousHash, first.slot + 1);
+        later.sign(alice);
+        blockchain.addTransaction(new SlashTransaction(first, later));
+        blockchain.forge(bob, findSlot(blockchain, bob));
+
+        expect(isValidStakeChain(blockchain)).to.be.false;
+      });
+
+      it('should reject evidence signed by someone else', function() {
+        second.sign(bob);
+        const slash = new SlashTransaction(first, second);
+        blockchain.addTransaction(slash);
+        blockchain.forge(bob, findSlot(blockchain, bob));
+
+        expect(slash.recipient).to.equal(alicePublic);
+        expect(isValidStakeChain(blockchain)).to.be.false;
+      });
+    });
+  });
+
+  describe('consensus', function() {
+    [ proofOfWork, proofOfStake ].forEach((consensus, i) => {
+      const name = i === 0 ? 'proofOfWork' : 'proofOfStake';
+
+      it(`${name} should create and validate blocks`, function() {
+        const blockchain = consensus.createChain({ [alicePublic]: 100 });
+        const block = consensus.createBlock(blockchain, alice);
+
+        expect(blockchain.getHeadBlock()).to.equal(block);
+        expect(blockchain.getBalance(alicePublic)).to.equal(100);
+        expect(consensus.isValidChain(blockchain)).to.be.true;
+      });
+    });
+
+    it('should return null if a key cannot forge right now', function() {
+      const blockchain = proofOfStake.createChain({ [alicePublic]: 100 });
+
+      expect(proofOfStake.createBlock(blockchain, bob)).to.be.null;
+      expect(proofOfWork.createChain()).to.be.an.instanceOf(MineableChain);
+    });
+  });
+});
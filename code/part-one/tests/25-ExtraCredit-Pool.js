@@ -0,0 +1,382 @@
+'use strict';
+
+const { expect } = require('chai');
+const signing = require('../signing');
+const {
+  MAX_TARGET,
+  getTargetWork,
+  getNextTarget,
+  MineableTransaction,
+  CoinbaseTransaction,
+  MineableBlock,
+  MineableChain,
+  isValidMineableChain
+} = require('../mining');
+const { deserializeBlock } = require('../storage');
+const {
+  SHARE_FACTOR,
+  PPLNS_WINDOW,
+  getShareTarget,
+  getPayouts,
+  Pool
+} = require('../pool');
+
+
+// Mines an already created block onto the end of a mineable chain
+const forceMine = (blockchain, transactions) => {
+  const target = getNextTarget(blockchain.blocks, blockchain);
+  const previousHash = blockchain.getHeadBlock().hash;
+  const block = new MineableBlock(transactions, previousHash);
+
+  let nonce = 0;
+  do {
+    block.calculateHash(nonce);
+    nonce++;
+  } while (block.hash > target);
+
+  blockchain.receiveBlock(block);
+};
+
+// Returns the first nonce from start which gives a block a hash meeting a
+// target, leaving the block hashed with it
+const searchFrom = (block, target, start) => {
+  let nonce = start;
+  block.calculateHash(nonce);
+
+  while (block.hash > target) {
+    nonce++;
+    block.calculateHash(nonce);
+  }
+
+  return nonce;
+};
+
+// Returns the first nonce from start which meets a target for a template
+const findNonce = (template, target, start = 0) => {
+  return searchFrom(deserializeBlock(template.block), target, start);
+};
+
+// Returns the first nonce from start which is a share, but not a block
+const findShare = (template, start = 0) => {
+  const block = deserializeBlock(template.block);
+  let nonce = start - 1;
+  do {
+    nonce = searchFrom(block, template.shareTarget, nonce + 1);
+  } while (block.hash <= template.target);
+
+  return nonce;
+};
+
+describe.skip('Mining pools', function() {
+  let signer = null;
+  let publicKey = null;
+  let alice = null;
+  let bob = null;
+
+  beforeEach(function() {
+    signer = signing.createPrivateKey();
+    publicKey = signing.getPublicKey(signer);
+    alice = signing.getPublicKey(signing.createPrivateKey());
+    bob = signing.getPublicKey(signing.createPrivateKey());
+  });
+
+  describe('CoinbaseTransaction', function() {
+    let coinbase = null;
+    let outputs = null;
+
+    beforeEach(function() {
+      outputs = [
+        { recipient: alice, amount: 60 },
+        { recipient: bob, amount: 40 }
+      ];
+      coinbase = new CoinbaseTransaction(signer, outputs);
+    });
+
+    it('should be a reward from the signer', function() {
+      expect(coinbase).to.be.an.instanceOf(MineableTransaction);
+      expect(coinbase.source).to.be.null;
+      expect(coinbase.recipient).to.equal(publicKey);
+    });
+
+    it('should add up the amounts of its outputs', function() {
+      expect(coinbase.outputs).to.equal(outputs);
+      expect(coinbase.amount).to.equal(100);
+    });
+
+    it('should sign its outputs', function() {
+      const message = 'null' + publicKey + 100 + JSON.stringify(outputs);
+      expect(signing.verify(publicKey, message, coinbase.signature)).to.be.true;
+    });
+  });
+
+  describe('MineableChain', function() {
+    let blockchain = null;
+
+    beforeEach(function() {
+      blockchain = new MineableChain();
+      forceMine(blockchain, [
+        new CoinbaseTransaction(signer, [
+          { recipient: alice, amount: 60 },
+          { recipient: bob, amount: 40 }
+        ])
+      ]);
+    });
+
+    it('should credit each output of a coinbase', function() {
+      expect(blockchain.getBalance(alice)).to.equal(60);
+      expect(blockchain.getBalance(bob)).to.equal(40);
+      expect(blockchain.getBalance(publicKey)).to.equal(0);
+    });
+
+    it('should accept a valid coinbase', function() {
+      expect(isValidMineableChain(blockchain)).to.be.true;
+    });
+
+    it('should reject outputs that do not add up', function() {
+      blockchain.getHeadBlock().transactions[0].outputs[1].amount = 50;
+      expect(isValidMineableChain(blockchain)).to.be.false;
+    });
+
+    it('should reject outputs with amounts that are not positive', function() {
+      forceMine(blockchain, [
+        new CoinbaseTransaction(signer, [
+          { recipient: alice, amount: 110 },
+          { recipient: bob, amount: -10 }
+        ])
+      ]);
+
+      expect(isValidMineableChain(blockchain)).to.be.false;
+    });
+
+    it('should only let recipients spend their own outputs', function() {
+      forceMine(blockchain, [
+        new MineableTransaction(signer, alice, 10),
+        new MineableTransaction(signer, null, blockchain.reward)
+      ]);
+
+      expect(isValidMineableChain(blockchain)).to.be.false;
+    });
+  });
+
+  describe('getShareTarget', function() {
+    it('should make the target easier by the share factor', function() {
+      const target = '00' + 'f'.repeat(126);
+      expect(getShareTarget(target, 16)).to.equal('0' + 'f'.repeat(126) + '0');
+    });
+
+    it('should never be bigger than MAX_TARGET', function() {
+      expect(getShareTarget(MAX_TARGET, 16)).to.equal(MAX_TARGET);
+    });
+  });
+
+  describe('getPayouts', function() {
+    it('should split an amount by the work of each worker', function() {
+      const shares = [
+        { publicKey: alice, work: 10 },
+        { publicKey: bob, work: 10 },
+        { publicKey: alice, work: 20 }
+      ];
+
+      expect(getPayouts(shares, 100, 10)).to.deep.equal([
+        { recipient: alice, amount: 75 },
+        { recipient: bob, amount: 25 }
+      ]);
+    });
+
+    it('should only pay the last shares in the window', function() {
+      const shares = [
+        { publicKey: alice, work: 10 },
+        { publicKey: bob, work: 10 },
+        { publicKey: alice, work: 10 }
+      ];
+
+      expect(getPayouts(shares, 100, 2)).to.deep.equal([
+        { recipient: bob, amount: 50 },
+        { recipient: alice, amount: 50 }
+      ]);
+    });
+
+    it('should round amounts down', function() {
+      const shares = [
+        { publicKey: alice, work: 1 },
+        { publicKey: bob, work: 2 }
+      ];
+
+      expect(getPayouts(shares, 10, 10)).to.deep.equal([
+        { recipient: alice, amount: 3 },
+        { recipient: bob, amount: 6 }
+      ]);
+    });
+
+    it('should leave out payouts that round down to 0', function() {
+      const shares = [
+        { publicKey: alice, work: 1 },
+        { publicKey: bob, work: 99 }
+      ];
+
+      expect(getPayouts(shares, 10, 10)).to.deep.equal([
+        { recipient: bob, amount: 9 }
+      ]);
+    });
+
+    it('should return nothing without any shares', function() {
+      expect(getPayouts([], 100, 10)).to.deep.equal([]);
+    });
+  });
+
+  describe('Pool', function() {
+    let blockchain = null;
+    let pool = null;
+
+    beforeEach(function() {
+      blockchain = new MineableChain();
+      pool = new Pool(blockchain, signer);
+    });
+
+    it('should include the default settings and no shares', function() {
+      expect(pool.blockchain).to.equal(blockchain);
+      expect(pool.shareFactor).to.equal(SHARE_FACTOR);
+      expect(pool.window).to.equal(PPLNS_WINDOW);
+      expect(pool.shares).to.deep.equal([]);
+    });
+
+    it('should hand out templates for the next block', function() {
+      const template = pool.getTemplate(alice);
+      const block = deserializeBlock(template.block);
+      const target = getNextTarget(blockchain.blocks, blockchain);
+
+      expect(template.id).to.exist;
+      expect(block).to.be.an.instanceOf(MineableBlock);
+      expect(block.previousHash).to.equal(blockchain.getHeadBlock().hash);
+      expect(template.target).to.equal(target);
+      expect(template.shareTarget)
+        .to.equal(getShareTarget(target, SHARE_FACTOR));
+    });
+
+    it('should hand out a different template each time', function() {
+      const first = pool.getTemplate(alice);
+      const second = pool.getTemplate(bob);
+      expect(first.id).to.not.equal(second.id);
+    });
+
+    it('should pay the pool while there are no shares', function() {
+      const block = deserializeBlock(pool.getTemplate(alice).block);
+      const [ coinbase ] = block.transactions;
+
+      expect(coinbase).to.be.an.instanceOf(CoinbaseTransaction);
+      expect(coinbase.outputs).to.deep.equal([
+        { recipient: publicKey, amount: blockchain.reward }
+      ]);
+    });
+
+    it('should include pending transactions and their fees', function() {
+      blockchain.mine(signer);
+      blockchain.addTransaction(
+        new MineableTransaction(signer, alice, 10, null, 5)
+      );
+      const block = deserializeBlock(pool.getTemplate(alice).block);
+      const coinbase = block.transactions.find(({ source }) => {
+        return source === null;
+      });
+
+      expect(block.transactions).to.have.lengthOf(2);
+      expect(coinbase.amount).to.equal(blockchain.reward + 5);
+    });
+
+    it('should accept a share and track its work', function() {
+      const template = pool.getTemplate(alice);
+      const nonce = findShare(template);
+      const work = getTargetWork(template.shareTarget);
+
+      expect(pool.submitShare(template.id, nonce)).to.be.true;
+      expect(pool.shares).to.deep.equal([ { publicKey: alice, work } ]);
+      expect(pool.getWork(alice)).to.equal(work);
+      expect(pool.getWork(bob)).to.equal(0);
+    });
+
+    it('should reject a nonce that misses the share target', function() {
+      const template = pool.getTemplate(alice);
+      const block = deserializeBlock(template.block);
+      let nonce = 0;
+      do {
+        block.calculateHash(nonce);
+        nonce++;
+      } while (block.hash <= template.shareTarget);
+
+      expect(pool.submitShare(template.id, nonce - 1)).to.be.false;
+      expect(pool.shares).to.be.empty;
+    });
+
+    it('should reject a share submitted twice', function() {
+      const template = pool.getTemplate(alice);
+      const nonce = findShare(template);
+      pool.submitShare(template.id, nonce);
+
+      expect(pool.submitShare(template.id, nonce)).to.be.false;
+      expect(pool.shares).to.have.lengthOf(1);
+    });
+
+    it('should reject a share for an unknown template', function() {
+      expect(pool.submitShare('unknown', 0)).to.be.false;
+    });
+
+    it('should reject a share for a stale template', function() {
+      const template = pool.getTemplate(alice);
+      blockchain.mine(signer);
+      const nonce = findShare(template);
+
+      expect(pool.submitShare(template.id, nonce)).to.be.false;
+      expect(pool.shares).to.be.empty;
+    });
+
+    it('should add a block when a share meets the target', function() {
+      const template = pool.getTemplate(alice);
+      const nonce = findNonce(template, template.target);
+
+      const block = deserializeBlock(template.block);
+      block.calculateHash(nonce);
+
+      expect(pool.submitShare(template.id, nonce)).to.be.true;
+      expect(blockchain.blocks).to.have.lengthOf(2);
+      expect(blockchain.getHeadBlock().hash).to.equal(block.hash);
+      expect(isValidMineableChain(blockchain)).to.be.true;
+    });
+
+    it('should split rewards by the work of each worker', function() {
+      const aliceTemplate = pool.getTemplate(alice);
+      const bobTemplate = pool.getTemplate(bob);
+      let nonce = -1;
+      for (let i = 0; i < 3; i++) {
+        nonce = findShare(aliceTemplate, nonce + 1);
+        pool.submitShare(aliceTemplate.id, nonce);
+      }
+      pool.submitShare(bobTemplate.id, findShare(bobTemplate));
+
+      const template = pool.getTemplate(bob);
+      pool.submitShare(template.id, findNonce(template, template.target));
+
+      expect(blockchain.getBalance(alice)).to.equal(75);
+      expect(blockchain.getBalance(bob)).to.equal(25);
+      expect(isValidMineableChain(blockchain)).to.be.true;
+    });
+
+    it('should give anything left over to the pool', function() {
+      pool.window = 3;
+      const templates = [ alice, bob, publicKey ].map(key => {
+        return pool.getTemplate(key);
+      });
+      templates.forEach(template => {
+        const nonce = findShare(template);
+        pool.submitShare(template.id, nonce);
+      });
+
+      const block = deserializeBlock(pool.getTemplate(alice).block);
+      const coinbase = block.transactions[0];
+      expect(coinbase.outputs).to.deep.equal([
+        { recipient: alice, amount: 33 },
+        { recipient: bob, amount: 33 },
+        { recipient: publicKey, amount: 34 }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,609 @@
+'use strict';
+
+const { expect } = require('chai');
+const signing = require('../signing');
+const {
+  Transaction,
+  CompactTransaction,
+  Block,
+  Blockchain
+} = require('../blockchain');
+const {
+  isValidTransaction,
+  isValidBlock,
+  isValidChain,
+  getTransactionHash
+} = require('../validation');
+const {
+  createMultisigAccount,
+  MultisigTransaction
+} = require('../multisig');
+const { UtxoTransaction } = require('../utxo');
+const {
+  getNextTarget,
+  MineableTransaction,
+  MineableBlock,
+  MineableChain,
+  isValidMineableChain
+} = require('../mining');
+const {
+  createViolation,
+  createReport,
+  getTransactionReport,
+  getBlockReport,
+  getChainReport,
+  getMineableChainReport
+} = require('../reports');
+
+
+// The keys most tests use, replaced before each test by createKeys
+let signer = null;
+let publicKey = null;
+let recipient = null;
+
+// Creates new keys for the signer and recipient
+const createKeys = () => {
+  signer = signing.createPrivateKey();
+  publicKey = signing.getPublicKey(signer);
+  recipient = signing.getPublicKey(signing.createPrivateKey());
+};
+
+// Creates a mineable chain with two mined blocks, the second paying the
+// recipient 10 with the fee passed
+const createMineableChain = (fee = 0) => {
+  const blockchain = new MineableChain();
+  blockchain.mine(signer);
+  blockchain.addTransaction(
+    new MineableTransaction(signer, recipient, 10, null, fee)
+  );
+  blockchain.mine(signer);
+
+  return blockchain;
+};
+
+// Mines an already created block onto the end of a mineable chain
+const forceMine = (blockchain, transactions, timestamp) => {
+  const previousHash = blockchain.getHeadBlock().hash;
+  const block = new MineableBlock(transactions, previousHash, timestamp);
+  const zeros = '0'.repeat(blockchain.difficulty);
+
+  let nonce = 0;
+  do {
+    block.calculateHash(nonce);
+    nonce++;
+  } while (block.hash.slice(0, zeros.length) !== zeros);
+
+  blockchain.blocks.push(block);
+  return block;
+};
+
+// Returns just the codes of a report's violations
+const getCodes = ({ violations }) => violations.map(({ code }) => code);
+
+// Returns just the code and block index of a report's violations
+const getBlocks = ({ violations }) => {
+  return violations.map(({ code, block }) => ({ code, block }));
+};
+
+describe.skip('Validation reports', function() {
+  beforeEach(createKeys);
+
+  describe('createViolation and createReport', function() {
+    it('should default to no block or transaction', function() {
+      expect(createViolation('NO_OUTPUTS', {})).to.deep.equal({
+        code: 'NO_OUTPUTS',
+        block: null,
+        transaction: null,
+        values: {}
+      });
+    });
+
+    it('should only be valid without violations', function() {
+      const violation = createViolation('NEGATIVE_AMOUNT', { amount: -1 });
+
+      expect(createReport([])).to.deep.equal({ valid: true, violations: [] });
+      expect(createReport([ violation ]).valid).to.be.false;
+    });
+  });
+
+  describe('getTransactionReport', function() {
+    let transaction = null;
+
+    beforeEach(function() {
+      transaction = new Transaction(signer, recipient, 10);
+    });
+
+    it('should report a valid transaction', function() {
+      expect(getTransactionReport(transaction))
+        .to.deep.equal({ valid: true, violations: [] });
+    });
+
+    it('should report every rule a transaction breaks', function() {
+      transaction.amount = -10;
+      const report = getTransactionReport(transaction);
+
+      expect(report.valid).to.equal(isValidTransaction(transaction));
+      expect(report.violations).to.have.deep.members([
+        createViolation('NEGATIVE_AMOUNT', { amount: -10 }),
+        createViolation('BAD_SIGNATURE', { source: publicKey })
+      ]);
+    });
+  });
+
+  describe('getBlockReport', function() {
+    let block = null;
+
+    beforeEach(function() {
+      block = new Block([
+        new Transaction(signer, recipient, 10),
+        new Transaction(signer, recipient, 20)
+      ], 'abc');
+    });
+
+    it('should report a valid block', function() {
+      expect(getBlockReport(block)).to.deep.equal({
+        valid: true,
+        violations: []
+      });
+    });
+
+    it('should report a changed hash', function() {
+      const { hash } = block;
+      block.hash = 'f'.repeat(128);
+      const report = getBlockReport(block);
+
+      expect(report.violations).to.deep.equal([
+        createViolation('BAD_HASH', { expected: hash, actual: block.hash })
+      ]);
+      expect(report.valid).to.equal(isValidBlock(block));
+    });
+
+    it('should not change the block', function() {
+      const { hash, merkleRoot } = block;
+      block.transactions[0].amount = 1000;
+      getBlockReport(block);
+
+      expect(block.hash).to.equal(hash);
+      expect(block.merkleRoot).to.equal(merkleRoot);
+    });
+
+    it('should report the index of invalid transactions', function() {
+      block.transactions[1].amount = -20;
+      const report = getBlockReport(block);
+
+      expect(getCodes(report)).to.include('BAD_HASH');
+      expect(report.violations).to.deep.include.members([
+        createViolation('NEGATIVE_AMOUNT', { amount: -20 }, null, 1),
+        createViolation('BAD_SIGNATURE', { source: publicKey }, null, 1)
+      ]);
+      expect(report.violations.every(({ block }) => block === null)).to.be.true;
+      expect(isValidBlock(block)).to.be.false;
+    });
+  });
+
+  describe('getChainReport', function() {
+    let blockchain = null;
+
+    beforeEach(function() {
+      blockchain = new Blockchain();
+      blockchain.addBlock([ new Transaction(signer, recipient, 10) ]);
+      blockchain.addBlock([ new Transaction(signer, recipient, 20) ]);
+    });
+
+    it('should report a valid chain', function() {
+      expect(getChainReport(blockchain)).to.deep.equal({
+        valid: true,
+        violations: []
+      });
+    });
+
+    it('should report a missing genesis block', function() {
+      blockchain.blocks.shift();
+      const report = getChainReport(blockchain);
+
+      expect(report.violations)
+        .to.deep.include(createViolation('MISSING_GENESIS', {}, 0));
+      expect(report.valid).to.equal(isValidChain(blockchain));
+    });
+
+    it('should report the index of the block with problems', function() {
+      blockchain.blocks[2].transactions[0].amount = 1000;
+      const report = getChainReport(blockchain);
+
+      expect(getCodes(report)).to.include.members([
+        'BAD_HASH',
+        'BAD_SIGNATURE'
+      ]);
+      expect(report.violations.every(({ block }) => block === 2)).to.be.true;
+      expect(isValidChain(blockchain)).to.be.false;
+    });
+
+    it('should report blocks which are not linked', function() {
+      const previousHash = blockchain.blocks[1].hash;
+      blockchain.blocks.splice(1, 1);
+      const report = getChainReport(blockchain);
+
+      expect(report.violations).to.deep.include(
+        createViolation('BAD_PREVIOUS_HASH', {
+          expected: blockchain.blocks[0].hash,
+          actual: previousHash
+        }, 1)
+      );
+    });
+  });
+
+  describe('getMineableChainReport', function() {
+    let blockchain = null;
+
+    beforeEach(function() {
+      blockchain = createMineableChain();
+    });
+
+    it('should report a valid chain', function() {
+      expect(getMineableChainReport(blockchain)).to.deep.equal({
+        valid: true,
+        violations: []
+      });
+      expect(isValidMineableChain(blockchain)).to.be.true;
+    });
+
+    it('should report a hash above the target', function() {
+      blockchain.getHeadBlock().hash = 'f'.repeat(128);
+
+      expect(getBlocks(getMineableChainReport(blockchain))).to.deep.equal([
+        { code: 'HASH_ABOVE_TARGET', block: 2 }
+      ]);
+      expect(isValidMineableChain(blockchain)).to.be.false;
+    });
+
+    it('should report too many rewards', function() {
+      forceMine(blockchain, [
+        new MineableTransaction(signer, null, blockchain.reward),
+        new MineableTransaction(signer, null, blockchain.reward)
+      ]);
+
+      expect(getMineableChainReport(blockchain).violations).to.deep.equal([
+        createViolation('MULTIPLE_REWARDS', { count: 2 }, 3)
+      ]);
+      expect(isValidMineableChain(blockchain)).to.be.false;
+    });
+
+    it('should report a reward with the wrong amount', function() {
+      forceMine(blockchain, [
+        new MineableTransaction(signer, null, blockchain.reward + 1)
+      ]);
+
+      expect(getMineableChainReport(blockchain).violations).to.deep.equal([
+        createViolation('BAD_REWARD', {
+          expected: blockchain.reward,
+          actual: blockchain.reward + 1
+        }, 3, 0)
+      ]);
+      expect(isValidMineableChain(blockchain)).to.be.false;
+    });
+
+    it('should report who overspent and by how much', function() {
+      const balance = blockchain.getBalance(publicKey);
+      forceMine(blockchain, [
+        new MineableTransaction(signer, recipient, balance + 1),
+        new MineableTransaction(signer, null, blockchain.reward)
+      ]);
+
+      expect(getMineableChainReport(blockchain).violations).to.deep.equal([
+        createViolation('INSUFFICIENT_FUNDS', {
+          source: publicKey,
+          balance,
+          spent: balance + 1
+        }, 3, 0)
+      ]);
+      expect(isValidMineableChain(blockchain)).to.be.false;
+    });
+  });
+});
+
+// Only needed once you have finished the signature recovery extra credit too
+describe.skip('Validation reports with signature recovery', function() {
+  beforeEach(createKeys);
+
+  it('should report compact signatures which do not recover', function() {
+    const compact = new CompactTransaction(signer, recipient, 10);
+    compact.signature = 'f'.repeat(130);
+
+    expect(getTransactionReport(compact).violations).to.deep.equal([
+      createViolation('BAD_SIGNATURE', { source: null })
+    ]);
+    expect(isValidTransaction(compact)).to.be.false;
+  });
+});
+
+// Only needed once you have finished the multisig extra credit too
+describe.skip('Validation reports with multisig', function() {
+  beforeEach(createKeys);
+
+  it('should report multisig accounts and signatures', function() {
+    const keys = [ signing.createPrivateKey(), signing.createPrivateKey() ];
+    const account = createMultisigAccount(keys.map(signing.getPublicKey), 2);
+    const multisig = new MultisigTransaction(account, recipient, 10);
+    multisig.sign(keys[0]);
+    multisig.source = publicKey;
+    const report = getTransactionReport(multisig);
+
+    expect(report.violations).to.have.deep.members([
+      createViolation('BAD_ACCOUNT', {
+        expected: account.id,
+        actual: publicKey
+      }),
+      createViolation('TOO_FEW_SIGNATURES', { count: 0, threshold: 2 })
+    ]);
+    expect(isValidTransaction(multisig)).to.be.false;
+  });
+});
+
+// Only needed once you have finished the address extra credit too
+describe.skip('Validation reports with addresses', function() {
+  beforeEach(createKeys);
+
+  it('should report bad recipients', function() {
+    const transaction = new Transaction(signer, recipient, 10);
+    transaction.recipient = 'not a recipient!';
+
+    expect(getCodes(getTransactionReport(transaction))).to.have.members([
+      'BAD_RECIPIENT',
+      'BAD_SIGNATURE'
+    ]);
+    expect(isValidTransaction(transaction)).to.be.false;
+  });
+});
+
+// Only needed once you have finished the UTXO extra credit too
+describe.skip('Validation reports with UTXOs', function() {
+  beforeEach(createKeys);
+
+  it('should report UTXO outputs by index', function() {
+    const utxo = new UtxoTransaction(signer, [], [
+      { recipient, amount: 10 },
+      { recipient, amount: 0 }
+    ]);
+
+    expect(getTransactionReport(utxo).violations).to.deep.equal([
+      createViolation('BAD_OUTPUT', { output: 1, recipient, amount: 0 })
+    ]);
+    expect(isValidTransaction(utxo)).to.be.false;
+  });
+
+  it('should report UTXO transactions with a bad id', function() {
+    const outputs = [ { recipient, amount: 1 } ];
+    const utxo = new UtxoTransaction(signer, [], outputs);
+    const { id } = utxo;
+    utxo.outputs = [];
+    const { violations } = getTransactionReport(utxo);
+
+    expect(getCodes({ violations })).to.have.members([
+      'BAD_ID',
+      'NO_OUTPUTS'
+    ]);
+    expect(violations.find(({ code }) => code === 'BAD_ID').values.actual)
+      .to.equal(id);
+  });
+});
+
+// Only needed once you have finished the Merkle tree extra credit too
+describe.skip('Validation reports with Merkle trees', function() {
+  let block = null;
+
+  beforeEach(function() {
+    createKeys();
+    block = new Block([
+      new Transaction(signer, recipient, 10),
+      new Transaction(signer, recipient, 20)
+    ], 'abc');
+  });
+
+  it('should report a bad Merkle root', function() {
+    block.transactions[1].amount = -20;
+    const report = getBlockReport(block);
+
+    expect(getCodes(report)).to.have.members([
+      'BAD_HASH',
+      'BAD_MERKLE_ROOT',
+      'NEGATIVE_AMOUNT',
+      'BAD_SIGNATURE'
+    ]);
+  });
+
+  it('should report duplicate transactions', function() {
+    const duplicated = new Block([
+      block.transactions[0],
+      block.transactions[1],
+      block.transactions[1]
+    ], 'abc');
+
+    expect(getBlockReport(duplicated).violations).to.deep.equal([
+      createViolation('DUPLICATE_TRANSACTION', {
+        hash: getTransactionHash(block.transactions[1])
+      }, null, 2)
+    ]);
+    expect(isValidBlock(duplicated)).to.be.false;
+  });
+});
+
+// Only needed once you have finished the replay protection extra credit too
+describe.skip('Validation reports with replay protection', function() {
+  beforeEach(createKeys);
+
+  it('should report bad nonces', function() {
+    const transaction = new Transaction(signer, recipient, 10, 0);
+    transaction.nonce = 1.5;
+
+    expect(getCodes(getTransactionReport(transaction))).to.have.members([
+      'BAD_NONCE',
+      'BAD_SIGNATURE'
+    ]);
+    expect(isValidTransaction(transaction)).to.be.false;
+  });
+
+  it('should report nonces out of order', function() {
+    const blockchain = new Blockchain();
+    blockchain.addBlock([ new Transaction(signer, recipient, 10, 0) ]);
+    blockchain.addBlock([ new Transaction(signer, recipient, 20, 1) ]);
+    blockchain.addBlock([ new Transaction(signer, recipient, 5, 1) ]);
+    const report = getChainReport(blockchain);
+
+    expect(report.violations).to.deep.equal([
+      createViolation('BAD_NONCE_ORDER', {
+        source: publicKey,
+        expected: 2,
+        actual: 1
+      }, 3, 0)
+    ]);
+    expect(isValidChain(blockchain)).to.be.false;
+  });
+});
+
+// Only needed once you have finished the fees extra credit too
+describe.skip('Validation reports with fees', function() {
+  let blockchain = null;
+
+  beforeEach(function() {
+    createKeys();
+    blockchain = createMineableChain(5);
+  });
+
+  it('should report negative fees', function() {
+    const mineable = new MineableTransaction(signer, recipient, 10, null, 2);
+    mineable.fee = -2;
+
+    expect(getCodes(getTransactionReport(mineable))).to.have.members([
+      'NEGATIVE_FEE',
+      'BAD_SIGNATURE'
+    ]);
+    expect(isValidTransaction(mineable)).to.be.false;
+  });
+
+  it('should report bad rewards and fees', function() {
+    forceMine(blockchain, [
+      new MineableTransaction(signer, recipient, 10, null, -5),
+      new MineableTransaction(signer, null, blockchain.reward),
+      new MineableTransaction(signer, null, blockchain.reward)
+    ]);
+    const report = getMineableChainReport(blockchain);
+
+    expect(report.violations).to.have.deep.members([
+      createViolation('MULTIPLE_REWARDS', { count: 2 }, 3),
+      createViolation('NEGATIVE_FEE', { fee: -5 }, 3, 0),
+      createViolation('BAD_REWARD', {
+        expected: blockchain.reward - 5,
+        actual: blockchain.reward
+      }, 3, 1),
+      createViolation('BAD_REWARD', {
+        expected: blockchain.reward - 5,
+        actual: blockchain.reward
+      }, 3, 2)
+    ]);
+    expect(isValidMineableChain(blockchain)).to.be.false;
+  });
+
+  it('should report blocks which are too big', function() {
+    blockchain.maxBlockSize = 10;
+    const [ violation ] = getMineableChainReport(blockchain).violations;
+
+    expect(violation.code).to.equal('BLOCK_TOO_BIG');
+    expect(violation.block).to.equal(2);
+    expect(violation.values.maxBlockSize).to.equal(10);
+  });
+
+  it('should count fees when reporting overspending', function() {
+    const balance = blockchain.getBalance(publicKey);
+    forceMine(blockchain, [
+      new MineableTransaction(signer, recipient, balance, null, 1),
+      new MineableTransaction(signer, null, blockchain.reward + 1)
+    ]);
+
+    expect(getMineableChainReport(blockchain).violations).to.deep.equal([
+      createViolation('INSUFFICIENT_FUNDS', {
+        source: publicKey,
+        balance,
+        spent: balance + 1
+      }, 3, 0)
+    ]);
+    expect(isValidMineableChain(blockchain)).to.be.false;
+  });
+
+  it('should report every problem across every block', function() {
+    blockchain.maxBlockSize = 10;
+    forceMine(blockchain, [
+      new MineableTransaction(signer, recipient, 1000),
+      new MineableTransaction(signer, null, blockchain.reward)
+    ]);
+
+    expect(getBlocks(getMineableChainReport(blockchain))).to.have.deep.members([
+      { code: 'BLOCK_TOO_BIG', block: 2 },
+      { code: 'BLOCK_TOO_BIG', block: 3 },
+      { code: 'INSUFFICIENT_FUNDS', block: 3 }
+    ]);
+  });
+});
+
+// Only needed once you have finished the difficulty extra credit too
+describe.skip('Validation reports with difficulty', function() {
+  let blockchain = null;
+
+  beforeEach(function() {
+    createKeys();
+    blockchain = createMineableChain();
+  });
+
+  it('should report the target a hash missed', function() {
+    const block = blockchain.getHeadBlock();
+    const target = getNextTarget(blockchain.blocks.slice(0, 2), blockchain);
+    block.hash = 'f'.repeat(128);
+
+    expect(getMineableChainReport(blockchain).violations).to.deep.equal([
+      createViolation('HASH_ABOVE_TARGET', { hash: block.hash, target }, 2)
+    ]);
+  });
+
+  it('should report timestamps too far in the past', function() {
+    forceMine(blockchain, [
+      new MineableTransaction(signer, null, blockchain.reward)
+    ], -1);
+    const { violations } = getMineableChainReport(blockchain);
+    const violation = violations.find(({ code }) => {
+      return code === 'TIMESTAMP_TOO_EARLY';
+    });
+
+    expect(violation.block).to.equal(3);
+    expect(violation.values.timestamp).to.equal(-1);
+    expect(isValidMineableChain(blockchain)).to.be.false;
+  });
+});
+
+// Only needed once you have finished the issuance extra credit too
+describe.skip('Validation reports with issuance', function() {
+  let blockchain = null;
+
+  beforeEach(function() {
+    createKeys();
+    blockchain = createMineableChain();
+  });
+
+  it('should report rewards spent before they mature', function() {
+    blockchain.maturity = 2;
+    const balance = blockchain.getBalance(publicKey);
+    forceMine(blockchain, [
+      new MineableTransaction(signer, recipient, balance),
+      new MineableTransaction(signer, null, blockchain.reward)
+    ]);
+
+    const { violations } = getMineableChainReport(blockchain);
+    expect(violations.filter(({ block }) => block === 3)).to.deep.equal([
+      createViolation('IMMATURE_FUNDS', {
+        source: publicKey,
+        balance,
+        immature: blockchain.reward,
+        spent: balance
+      }, 3, 0)
+    ]);
+    expect(isValidMineableChain(blockchain)).to.be.false;
+  });
+});
@@ -0,0 +1,188 @@
+'use strict';
+
+const { expect } = require('chai');
+const signing = require('../signing');
+const { Transaction, Block, Blockchain } = require('../blockchain');
+const { isValidChain } = require('../validation');
+const { ChainValidator } = require('../validator');
+
+
+// Adds a block with a forged transaction, which has a valid hash but an
+// invalid signature
+const addForgedBlock = (blockchain, signer, recipient) => {
+  const forged = new Transaction(signer, recipient, 10);
+  forged.amount = 1000;
+  blockchain.addBlock([ forged ]);
+};
+
+describe.skip('Checkpoints', function() {
+  let signer = null;
+  let recipient = null;
+  let blockchain = null;
+  let validator = null;
+
+  // Adds a valid block to the blockchain
+  const addBlock = () => {
+    blockchain.addBlock([ new Transaction(signer, recipient, 10) ]);
+  };
+
+  beforeEach(function() {
+    signer = signing.createPrivateKey();
+    recipient = signing.getPublicKey(signing.createPrivateKey());
+    blockchain = new Blockchain();
+    addBlock();
+    addBlock();
+    validator = new ChainValidator();
+  });
+
+  describe('ChainValidator', function() {
+    it('should start with no checkpoints or validated blocks', function() {
+      expect(validator.checkpoints).to.deep.equal({});
+      expect(validator.lastHash).to.be.null;
+      expect(validator.lastHeight).to.equal(-1);
+    });
+
+    it('should accept a valid chain', function() {
+      expect(validator.validate(blockchain)).to.be.true;
+    });
+
+    it('should remember the last block it validated', function() {
+      validator.validate(blockchain);
+
+      expect(validator.lastHeight).to.equal(2);
+      expect(validator.lastHash).to.equal(blockchain.getHeadBlock().hash);
+    });
+
+    it('should only check newly appended blocks', function() {
+      validator.validate(blockchain);
+      blockchain.blocks[1].transactions[0].amount = 1000;
+      addBlock();
+
+      expect(isValidChain(blockchain)).to.be.false;
+      expect(validator.validate(blockchain)).to.be.true;
+      expect(validator.lastHeight).to.equal(3);
+    });
+
+    it('should reject invalid new blocks', function() {
+      validator.validate(blockchain);
+      addForgedBlock(blockchain, signer, recipient);
+
+      expect(validator.validate(blockchain)).to.be.false;
+      expect(validator.lastHeight).to.equal(2);
+    });
+
+    it('should reject blocks which are not linked', function() {
+      validator.validate(blockchain);
+      const block = new Block([ new Transaction(signer, recipient, 5) ], 'abc');
+      blockchain.blocks.push(block);
+
+      expect(validator.validate(blockchain)).to.be.false;
+    });
+
+    it('should reject a missing genesis block', function() {
+      blockchain.blocks.shift();
+      expect(validator.validate(blockchain)).to.be.false;
+    });
+
+    it('should start over if the chain was replaced', function() {
+      validator.validate(blockchain);
+      const other = new Blockchain();
+      other.addBlock([ new Transaction(signer, recipient, 20) ]);
+      other.addBlock([ new Transaction(signer, recipient, 30) ]);
+      other.blocks[1].transactions[0].amount = 1000;
+
+      expect(validator.validate(other)).to.be.false;
+      expect(validator.lastHeight).to.equal(0);
+    });
+
+    it('should start over after being reset', function() {
+      validator.validate(blockchain);
+      blockchain.blocks[1].transactions[0].amount = 1000;
+      validator.reset();
+
+      expect(validator.lastHash).to.be.null;
+      expect(validator.lastHeight).to.equal(-1);
+      expect(validator.validate(blockchain)).to.be.false;
+    });
+
+    it('should reject nonces out of order across calls', function() {
+      blockchain.addBlock([ new Transaction(signer, recipient, 10, 0) ]);
+      validator.validate(blockchain);
+      blockchain.addBlock([ new Transaction(signer, recipient, 10, 0) ]);
+
+      expect(validator.validate(blockchain)).to.be.false;
+    });
+
+    it('should not count nonces from a block that failed', function() {
+      validator.validate(blockchain);
+      blockchain.addBlock([
+        new Transaction(signer, recipient, 10, 0),
+        new Transaction(signer, recipient, 10, 2)
+      ]);
+      validator.validate(blockchain);
+      blockchain.blocks.pop();
+      blockchain.addBlock([ new Transaction(signer, recipient, 10, 0) ]);
+
+      expect(validator.validate(blockchain)).to.be.true;
+    });
+  });
+
+  describe('checkpoints', function() {
+    beforeEach(function() {
+      addForgedBlock(blockchain, signer, recipient);
+      addBlock();
+    });
+
+    it('should skip signatures at or below a checkpoint', function() {
+      validator = new ChainValidator({ 3: blockchain.blocks[3].hash });
+
+      expect(isValidChain(blockchain)).to.be.false;
+      expect(validator.validate(blockchain)).to.be.true;
+    });
+
+    it('should still check signatures above every checkpoint', function() {
+      validator = new ChainValidator({ 2: blockchain.blocks[2].hash });
+      expect(validator.validate(blockchain)).to.be.false;
+    });
+
+    it('should reject a block that does not match its checkpoint', function() {
+      validator = new ChainValidator({
+        2: blockchain.blocks[3].hash,
+        3: blockchain.blocks[3].hash
+      });
+
+      expect(validator.validate(blockchain)).to.be.false;
+      expect(validator.lastHeight).to.be.below(2);
+    });
+
+    it('should check the highest checkpoint before trusting', function() {
+      validator = new ChainValidator({ 3: 'f'.repeat(128) });
+
+      expect(validator.validate(blockchain)).to.be.false;
+      expect(validator.lastHeight).to.equal(-1);
+    });
+
+    it('should still check hashes below a checkpoint', function() {
+      validator = new ChainValidator({ 3: blockchain.blocks[3].hash });
+      blockchain.blocks[1].transactions[0].amount = 1000;
+
+      expect(validator.validate(blockchain)).to.be.false;
+    });
+
+    it('should still check links below a checkpoint', function() {
+      validator = new ChainValidator({ 3: blockchain.blocks[3].hash });
+      blockchain.blocks[2].previousHash = blockchain.blocks[0].hash;
+      blockchain.blocks[2].calculateHash(blockchain.blocks[2].nonce);
+
+      expect(validator.validate(blockchain)).to.be.false;
+    });
+
+    it('should ignore checkpoints past the end of the chain', function() {
+      validator = new ChainValidator({ 10: 'f'.repeat(128) });
+      expect(validator.validate(blockchain)).to.be.false;
+
+      blockchain.blocks.splice(3);
+      expect(validator.validate(blockchain)).to.be.true;
+    });
+  });
+});
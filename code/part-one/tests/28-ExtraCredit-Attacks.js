@@ -0,0 +1,324 @@
+'use strict';
+
+const { expect } = require('chai');
+const signing = require('../signing');
+const { Transaction, Blockchain } = require('../blockchain');
+const { isValidChain } = require('../validation');
+const {
+  MineableTransaction,
+  MineableChain,
+  isValidMineableChain
+} = require('../mining');
+const { getChainReport, getMineableChainReport } = require('../reports');
+const {
+  createAttack,
+  mineBlock,
+  tamperAmount,
+  forgeSignature,
+  replayTransaction,
+  inflateCoinbase,
+  doubleSpend,
+  majorityReorg,
+  selfishMine
+} = require('../attacks');
+
+
+// The validation function and report function for each expected validator
+const VALIDATORS = {
+  isValidChain: [ isValidChain, getChainReport ],
+  isValidMineableChain: [ isValidMineableChain, getMineableChainReport ]
+};
+
+// Asserts that an attack was caught by the rule it expected
+const expectCaught = (attack, blockchain) => {
+  const { validator, code } = attack.expected;
+  const [ isValid, getReport ] = VALIDATORS[validator];
+  const codes = getReport(blockchain).violations.map(v => v.code);
+
+  expect(isValid(blockchain)).to.be.false;
+  expect(codes).to.include(code);
+};
+
+describe.skip('Attacks', function() {
+  let signer = null;
+  let recipient = null;
+
+  beforeEach(function() {
+    signer = signing.createPrivateKey();
+    recipient = signing.getPublicKey(signing.createPrivateKey());
+  });
+
+  describe('createAttack', function() {
+    it('should create a record with the rule expected', function() {
+      const attack = createAttack('test', [], 'isValidChain', 'BAD_HASH');
+
+      expect(attack).to.deep.equal({
+        name: 'test',
+        blocks: [],
+        expected: { validator: 'isValidChain', code: 'BAD_HASH' }
+      });
+    });
+
+    it('should expect nothing without a validator', function() {
+      expect(createAttack('test', []).expected).to.be.null;
+    });
+  });
+
+  describe('signed attacks', function() {
+    let blockchain = null;
+
+    beforeEach(function() {
+      blockchain = new Blockchain();
+      blockchain.addBlock([ new Transaction(signer, recipient, 50, 0) ]);
+      blockchain.addBlock([ new Transaction(signer, recipient, 25, 1) ]);
+    });
+
+    describe('tamperAmount', function() {
+      it('should change the amount in the head block', function() {
+        const attack = tamperAmount(blockchain, 1000);
+        const block = blockchain.getHeadBlock();
+
+        expect(attack.name).to.equal('tamperAmount');
+        expect(attack.blocks).to.deep.equal([ block ]);
+        expect(block.transactions[0].amount).to.equal(1000);
+      });
+
+      it('should leave the block with a matching hash', function() {
+        tamperAmount(blockchain, 1000);
+        const codes = getChainReport(blockchain).violations.map(v => v.code);
+
+        expect(codes).to.not.include('BAD_HASH');
+      });
+
+      it('should be caught by a bad signature', function() {
+        const attack = tamperAmount(blockchain, 1000);
+
+        expect(attack.expected).to.deep.equal({
+          validator: 'isValidChain',
+          code: 'BAD_SIGNATURE'
+        });
+        expectCaught(attack, blockchain);
+      });
+    });
+
+    describe('forgeSignature', function() {
+      let attacker = null;
+
+      beforeEach(function() {
+        attacker = signing.createPrivateKey();
+      });
+
+      it('should add a block spending from the victim', function() {
+        const attack = forgeSignature(blockchain, attacker, recipient);
+        const forged = blockchain.getHeadBlock().transactions[0];
+
+        expect(attack.name).to.equal('forgeSignature');
+        expect(attack.blocks).to.deep.equal([ blockchain.getHeadBlock() ]);
+        expect(forged.source).to.equal(recipient);
+        expect(forged.recipient).to.equal(signing.getPublicKey(attacker));
+      });
+
+      it("should steal the victim's whole balance", function() {
+        forgeSignature(blockchain, attacker, recipient);
+
+        expect(blockchain.getBalance(recipient)).to.equal(0);
+        expect(blockchain.getBalance(signing.getPublicKey(attacker)))
+          .to.equal(75);
+      });
+
+      it('should be caught by a bad signature', function() {
+        const attack = forgeSignature(blockchain, attacker, recipient);
+
+        expect(attack.expected).to.deep.equal({
+          validator: 'isValidChain',
+          code: 'BAD_SIGNATURE'
+        });
+        expectCaught(attack, blockchain);
+      });
+    });
+
+    describe('replayTransaction', function() {
+      it('should add a copy of the latest transaction', function() {
+        const original = blockchain.getHeadBlock().transactions[0];
+        const attack = replayTransaction(blockchain);
+        const replayed = blockchain.getHeadBlock().transactions[0];
+
+        expect(attack.name).to.equal('replayTransaction');
+        expect(attack.blocks).to.deep.equal([ blockchain.getHeadBlock() ]);
+        expect(blockchain.blocks).to.have.lengthOf(4);
+        expect(replayed.signature).to.equal(original.signature);
+      });
+
+      it('should keep a valid signature', function() {
+        replayTransaction(blockchain);
+        const codes = getChainReport(blockchain).violations.map(v => v.code);
+
+        expect(codes).to.not.include('BAD_SIGNATURE');
+      });
+
+      it('should be caught by the nonce order', function() {
+        const attack = replayTransaction(blockchain);
+
+        expect(attack.expected).to.deep.equal({
+          validator: 'isValidChain',
+          code: 'BAD_NONCE_ORDER'
+        });
+        expectCaught(attack, blockchain);
+      });
+
+      it('should succeed against a transaction without a nonce', function() {
+        blockchain.addBlock([ new Transaction(signer, recipient, 10) ]);
+        const attack = replayTransaction(blockchain);
+
+        expect(attack.expected).to.be.null;
+        expect(isValidChain(blockchain)).to.be.true;
+        expect(blockchain.getBalance(recipient)).to.equal(95);
+      });
+    });
+  });
+
+  describe('mining attacks', function() {
+    let blockchain = null;
+    let attacker = null;
+
+    beforeEach(function() {
+      blockchain = new MineableChain();
+      attacker = signing.getPublicKey(signer);
+      blockchain.mine(signer);
+    });
+
+    describe('mineBlock', function() {
+      it('should mine a block on any branch', function() {
+        const branch = blockchain.blocks.slice(0, 1);
+        const reward = new MineableTransaction(signer, null, 100);
+        const block = mineBlock(blockchain, branch, [ reward ]);
+
+        expect(block.previousHash).to.equal(branch[0].hash);
+        expect(block.transactions).to.deep.equal([ reward ]);
+        expect(() => blockchain.receiveBlock(block)).to.not.throw();
+      });
+
+      it('should not receive the block', function() {
+        const reward = new MineableTransaction(signer, null, 100);
+        mineBlock(blockchain, blockchain.blocks, [ reward ]);
+
+        expect(blockchain.blocks).to.have.lengthOf(2);
+      });
+    });
+
+    describe('inflateCoinbase', function() {
+      it('should mine a reward of the max supply', function() {
+        const attack = inflateCoinbase(blockchain, signer);
+        const reward = blockchain.getHeadBlock().transactions[0];
+
+        expect(attack.name).to.equal('inflateCoinbase');
+        expect(attack.blocks).to.deep.equal([ blockchain.getHeadBlock() ]);
+        expect(reward.amount).to.equal(blockchain.maxSupply);
+        expect(reward.recipient).to.equal(attacker);
+      });
+
+      it('should be caught by a bad reward', function() {
+        const attack = inflateCoinbase(blockchain, signer);
+
+        expect(attack.expected).to.deep.equal({
+          validator: 'isValidMineableChain',
+          code: 'BAD_REWARD'
+        });
+        expectCaught(attack, blockchain);
+      });
+    });
+
+    describe('doubleSpend', function() {
+      it('should reorg away the payment', function() {
+        const attack = doubleSpend(blockchain, signer, recipient, 60);
+
+        expect(attack.name).to.equal('doubleSpend');
+        expect(attack.blocks).to.have.lengthOf(2);
+        expect(blockchain.getHeadBlock()).to.equal(attack.blocks[1]);
+        expect(blockchain.getBalance(recipient)).to.equal(0);
+      });
+
+      it("should move the attacker's funds to a new key", function() {
+        const attack = doubleSpend(blockchain, signer, recipient, 60);
+        const transfer = attack.blocks[0].transactions[0];
+
+        expect(transfer.source).to.equal(attacker);
+        expect(transfer.amount).to.equal(100);
+        expect(blockchain.getBalance(attacker)).to.equal(0);
+        expect(blockchain.getBalance(transfer.recipient)).to.equal(300);
+      });
+
+      it('should not be caught', function() {
+        const attack = doubleSpend(blockchain, signer, recipient, 60);
+
+        expect(attack.expected).to.be.null;
+        expect(isValidMineableChain(blockchain)).to.be.true;
+      });
+
+      it('should leave the payment unaffordable', function() {
+        doubleSpend(blockchain, signer, recipient, 60);
+        blockchain.mine(signing.createPrivateKey());
+        const codes = getMineableChainReport(blockchain).violations
+          .map(v => v.code);
+
+        expect(codes).to.include('INSUFFICIENT_FUNDS');
+      });
+    });
+
+    describe('majorityReorg', function() {
+      beforeEach(function() {
+        blockchain.mine(signing.createPrivateKey());
+        blockchain.mine(signing.createPrivateKey());
+      });
+
+      it('should replace the last blocks of the chain', function() {
+        const replaced = blockchain.blocks.slice(2);
+        const attack = majorityReorg(blockchain, signer, 2);
+
+        expect(attack.name).to.equal('majorityReorg');
+        expect(attack.blocks).to.have.lengthOf(3);
+        expect(blockchain.blocks).to.have.lengthOf(5);
+        expect(blockchain.blocks.slice(2)).to.deep.equal(attack.blocks);
+        replaced.forEach(block => {
+          expect(blockchain.blocks).to.not.include(block);
+        });
+      });
+
+      it('should reward only the attacker', function() {
+        majorityReorg(blockchain, signer, 2);
+        expect(blockchain.getBalance(attacker)).to.equal(400);
+      });
+
+      it('should not be caught', function() {
+        const attack = majorityReorg(blockchain, signer, 2);
+
+        expect(attack.expected).to.be.null;
+        expect(isValidMineableChain(blockchain)).to.be.true;
+      });
+    });
+
+    describe('selfishMine', function() {
+      it('should orphan the honest block', function() {
+        const attack = selfishMine(blockchain, signer);
+
+        expect(attack.name).to.equal('selfishMine');
+        expect(attack.blocks).to.have.lengthOf(2);
+        expect(blockchain.blocks).to.have.lengthOf(4);
+        expect(blockchain.blocks.slice(2)).to.deep.equal(attack.blocks);
+        expect(blockchain.getTips()).to.have.lengthOf(2);
+      });
+
+      it('should take every reward', function() {
+        selfishMine(blockchain, signer);
+        expect(blockchain.getBalance(attacker)).to.equal(300);
+      });
+
+      it('should not be caught', function() {
+        const attack = selfishMine(blockchain, signer);
+
+        expect(attack.expected).to.be.null;
+        expect(isValidMineableChain(blockchain)).to.be.true;
+      });
+    });
+  });
+});
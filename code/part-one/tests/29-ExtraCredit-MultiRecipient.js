@@ -0,0 +1,221 @@
+'use strict';
+
+const { expect } = require('chai');
+const signing = require('../signing');
+const {
+  MultiRecipientTransaction,
+  Block,
+  Blockchain
+} = require('../blockchain');
+const { isValidTransaction, isValidChain } = require('../validation');
+const { getTransactionReport } = require('../reports');
+const { serializeBlock, deserializeBlock } = require('../storage');
+
+
+// Creates a new random public key
+const createRecipient = () => signing.getPublicKey(signing.createPrivateKey());
+
+describe.skip('Multi-Recipient Transactions', function() {
+  let signer = null;
+  let source = null;
+  let alice = null;
+  let bob = null;
+  let outputs = null;
+  let transaction = null;
+
+  // Sets the transaction's outputs and amount, and signs them again, so only
+  // the rules about outputs can catch them
+  const resign = (newOutputs, amount) => {
+    transaction.outputs = newOutputs;
+    transaction.amount = amount;
+    const message = source + amount + JSON.stringify(newOutputs);
+    transaction.signature = signing.sign(signer, message);
+  };
+
+  beforeEach(function() {
+    signer = signing.createPrivateKey();
+    source = signing.getPublicKey(signer);
+    alice = createRecipient();
+    bob = createRecipient();
+    outputs = [
+      { recipient: alice, amount: 60 },
+      { recipient: bob, amount: 40 }
+    ];
+    transaction = new MultiRecipientTransaction(signer, outputs);
+  });
+
+  describe('MultiRecipientTransaction', function() {
+    it('should include the source, outputs, and total amount', function() {
+      expect(transaction.source).to.equal(source);
+      expect(transaction.outputs).to.deep.equal(outputs);
+      expect(transaction.amount).to.equal(100);
+    });
+
+    it('should sign every output with a single signature', function() {
+      const message = source + 100 + JSON.stringify(outputs);
+      expect(signing.verify(source, message, transaction.signature))
+        .to.be.true;
+    });
+
+    it('should sign a nonce if one is passed', function() {
+      const withNonce = new MultiRecipientTransaction(signer, outputs, 3);
+      const message = source + 100 + JSON.stringify(outputs) + ':' + 3;
+
+      expect(withNonce.nonce).to.equal(3);
+      expect(signing.verify(source, message, withNonce.signature)).to.be.true;
+    });
+
+    it('should not have a nonce if none is passed', function() {
+      expect(transaction).to.not.have.property('nonce');
+    });
+
+    it('should throw with an invalid recipient', function() {
+      const badOutputs = outputs.concat({ recipient: 'Bob!', amount: 10 });
+      expect(() => new MultiRecipientTransaction(signer, badOutputs))
+        .to.throw();
+    });
+  });
+
+  describe('isValidTransaction', function() {
+    it('should accept a valid multi-recipient transaction', function() {
+      expect(isValidTransaction(transaction)).to.be.true;
+    });
+
+    it('should reject a modified output', function() {
+      transaction.outputs[1].amount = 400;
+      transaction.amount = 460;
+      expect(isValidTransaction(transaction)).to.be.false;
+    });
+
+    it('should reject a redirected output', function() {
+      transaction.outputs[0].recipient = createRecipient();
+      expect(isValidTransaction(transaction)).to.be.false;
+    });
+
+    it('should reject a transaction with no outputs', function() {
+      resign([], 0);
+      expect(isValidTransaction(transaction)).to.be.false;
+    });
+
+    it('should reject an output with an amount of zero', function() {
+      resign(outputs.concat({ recipient: createRecipient(), amount: 0 }), 100);
+      expect(isValidTransaction(transaction)).to.be.false;
+    });
+
+    it('should reject an output with a negative amount', function() {
+      resign([
+        { recipient: alice, amount: 120 },
+        { recipient: bob, amount: -20 }
+      ], 100);
+      expect(isValidTransaction(transaction)).to.be.false;
+    });
+
+    it('should reject duplicate recipients', function() {
+      resign(outputs.concat({ recipient: alice, amount: 10 }), 110);
+      expect(isValidTransaction(transaction)).to.be.false;
+    });
+
+    it('should reject an amount which is not the total', function() {
+      resign(outputs, 10);
+      expect(isValidTransaction(transaction)).to.be.false;
+    });
+  });
+
+  describe('Blockchain', function() {
+    let blockchain = null;
+
+    beforeEach(function() {
+      blockchain = new Blockchain();
+      blockchain.addBlock([ transaction ]);
+    });
+
+    it('should credit each output to its recipient', function() {
+      expect(blockchain.getBalance(alice)).to.equal(60);
+      expect(blockchain.getBalance(bob)).to.equal(40);
+    });
+
+    it('should debit the total from the source', function() {
+      expect(blockchain.getBalance(source)).to.equal(-100);
+    });
+
+    it("should be in every recipient's history", function() {
+      expect(blockchain.getTransactionHistory(alice)).to.include(transaction);
+      expect(blockchain.getTransactionHistory(bob)).to.include(transaction);
+    });
+
+    it('should be accepted by isValidChain', function() {
+      expect(isValidChain(blockchain)).to.be.true;
+    });
+  });
+});
+
+// Only needed once you have finished the validation reports extra credit too
+describe.skip('Multi-Recipient Transactions in reports', function() {
+  let signer = null;
+  let alice = null;
+  let outputs = null;
+
+  beforeEach(function() {
+    signer = signing.createPrivateKey();
+    alice = createRecipient();
+    outputs = [
+      { recipient: alice, amount: 60 },
+      { recipient: createRecipient(), amount: 40 }
+    ];
+  });
+
+  it('should report duplicate recipients', function() {
+    const duplicate = outputs.concat({ recipient: alice, amount: 10 });
+    const transaction = new MultiRecipientTransaction(signer, duplicate);
+    const { violations } = getTransactionReport(transaction);
+
+    expect(violations).to.have.lengthOf(1);
+    expect(violations[0].code).to.equal('DUPLICATE_RECIPIENT');
+    expect(violations[0].values).to.deep.equal({
+      output: 2,
+      recipient: alice
+    });
+  });
+
+  it('should report bad outputs', function() {
+    const zero = outputs.concat({ recipient: createRecipient(), amount: 0 });
+    const transaction = new MultiRecipientTransaction(signer, zero);
+    const codes = getTransactionReport(transaction).violations
+      .map(v => v.code);
+
+    expect(codes).to.deep.equal([ 'BAD_OUTPUT' ]);
+  });
+
+  it('should report an amount which is not the total', function() {
+    const transaction = new MultiRecipientTransaction(signer, outputs);
+    const message = transaction.source + 10 + JSON.stringify(outputs);
+    transaction.amount = 10;
+    transaction.signature = signing.sign(signer, message);
+    const { violations } = getTransactionReport(transaction);
+
+    expect(violations).to.have.lengthOf(1);
+    expect(violations[0].code).to.equal('BAD_AMOUNT');
+    expect(violations[0].values).to.deep.equal({
+      expected: 100,
+      actual: 10
+    });
+  });
+});
+
+// Only needed once you have finished the storage extra credit too
+describe.skip('Multi-Recipient Transactions in storage', function() {
+  it('should survive storage', function() {
+    const signer = signing.createPrivateKey();
+    const transaction = new MultiRecipientTransaction(signer, [
+      { recipient: createRecipient(), amount: 60 },
+      { recipient: createRecipient(), amount: 40 }
+    ]);
+    const block = new Block([ transaction ], null);
+    const stored = deserializeBlock(serializeBlock(block));
+
+    expect(stored.transactions[0]).to.be.an.instanceOf(
+      MultiRecipientTransaction
+    );
+    expect(isValidTransaction(stored.transactions[0])).to.be.true;
+  });
+});
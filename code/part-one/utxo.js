@@ -0,0 +1,159 @@
+'use strict';
+
+const { createHash } = require('crypto');
+const signing = require('./signing');
+const { Blockchain } = require('./blockchain');
+const { isValidChain } = require('./validation');
+const { toAddress } = require('./address');
+
+
+/**
+ * This function is provided for you. It takes a transaction id and the index
+ * of one of its outputs, and returns an "outpoint": a string which uniquely
+ * identifies that output. Use it for the keys of your UTXO set.
+ *
+ * Example:
+ *   console.log( getOutpoint('9a0bd5c1...', 1) );  // '9a0bd5c1...:1'
+ */
+const getOutpoint = (txid, index) => `${txid}:${index}`;
+
+/**
+ * A transaction for the unspent transaction output (UTXO) model. Rather than
+ * subtracting from an account balance, it spends specific outputs created by
+ * earlier transactions, and creates brand new outputs of its own.
+ */
+class UtxoTransaction {
+  /**
+   * The constructor accepts a hex private key, an array of inputs, and an
+   * array of outputs. Every input is an object with two properties:
+   *   - txid: the id of an earlier UTXO transaction
+   *   - index: the index of one of that transaction's outputs
+   *
+   * And every output is an object with two properties:
+   *   - recipient: a public key (or an address)
+   *   - amount: a number
+   *
+   * A transaction with no inputs at all is a "coinbase" transaction, which
+   * creates new funds. For now anyone can make one, just like anyone could
+   * have a negative balance in the account model.
+   *
+   * Properties:
+   *   - source: the public key derived from the provided private key
+   *   - inputs: the provided inputs
+   *   - outputs: the provided outputs
+   *   - id: a 64 character hex SHA-256 hash of the source, followed by the
+   *     JSON stringified inputs and outputs
+   *   - signature: the id, signed with the provided private key
+   *
+   * Example:
+   *   const transaction = new UtxoTransaction(privateKey, [
+   *     { txid: '9a0bd5c1...', index: 0 }
+   *   ], [
+   *     { recipient: bob, amount: 30 },
+   *     { recipient: alice, amount: 70 }  // change back to the sender
+   *   ]);
+   */
+  constructor(privateKey, inputs, outputs) {
+    // Enter your solution here
+
+  }
+}
+
+/**
+ * A blockchain which keeps track of every unspent output. It extends the
+ * original Blockchain, so the old account-based transactions can still be
+ * added right alongside UTXO transactions.
+ */
+class UtxoChain extends Blockchain {
+  /**
+   * Properties:
+   *   - blocks: an array of blocks, starting with one genesis block
+   *   - utxos: the "UTXO set", an object with outpoints as keys, and the
+   *     unspent outputs themselves as values
+   */
+  constructor() {
+    // Your code here
+
+  }
+
+  /**
+   * Works just like the original addBlock, but should also update the UTXO
+   * set. Every input of a UTXO transaction is spent, and should be removed
+   * from the set. Every output is new, and should be added to it.
+   */
+  addBlock(transactions) {
+    // Your code here
+
+  }
+
+  /**
+   * Accepts a public key, and returns an array of every unspent output it
+   * owns. Each should be an object with three properties:
+   *   - txid: the id of the transaction which created the output
+   *   - index: the index of the output in that transaction
+   *   - amount: the amount of the output
+   *
+   * If you completed the address extra credit, outputs sent to the key's
+   * address belong to it as well.
+   */
+  getUtxos(publicKey) {
+    // Your code here
+
+  }
+
+  /**
+   * Accepts a public key and returns its total balance: its account-based
+   * balance from the original getBalance, plus the amount of every unspent
+   * output it owns.
+   */
+  getBalance(publicKey) {
+    // Your code here
+
+  }
+
+  /**
+   * A convenience method which takes a private key, a recipient, and an
+   * amount, and returns a new UtxoTransaction sending that amount. Choose
+   * enough of the signer's unspent outputs to cover the amount and use them
+   * as inputs. If there is anything left over, add a second output sending
+   * the "change" back to the signer. It should throw an Error if the signer
+   * does not own enough unspent outputs.
+   *
+   * Note that this only creates the transaction. Nothing is spent until it is
+   * added to the chain in a block.
+   *
+   * Example:
+   *   const transaction = chain.createTransaction(privateKey, bob, 30);
+   *   chain.addBlock([ transaction ]);
+   */
+  createTransaction(privateKey, recipient, amount) {
+    // Your code here
+
+  }
+}
+
+/**
+ * A validation function for UTXO chains. It should reject any chain which
+ * fails the original isValidChain, or which has any UTXO transaction that:
+ *   - reuses the id of an earlier transaction
+ *   - spends an output which does not exist (or has already been spent)
+ *   - spends an output which does not belong to its source
+ *   - has outputs which add up to more than its inputs (unless it is a
+ *     coinbase transaction with no inputs)
+ *
+ * Hint:
+ *   Don't trust the chain's `utxos` property! Build a brand new UTXO set as
+ *   you go through the blocks in order. Remember that a transaction may spend
+ *   outputs created earlier in the very same block.
+ */
+const isValidUtxoChain = blockchain => {
+  // Your code here
+
+};
+
+module.exports = {
+  getOutpoint,
+  UtxoTransaction,
+  UtxoChain,
+  isValidUtxoChain
+};
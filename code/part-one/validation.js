@@ -2,6 +2,15 @@
 
 const { createHash } = require('crypto');
 const signing = require('./signing');
+const { createMultisigAccount } = require('./multisig');
+const { isValidAddressString } = require('./address');
+const { getMerkleRoot, verifyMerkleProof } = require('./merkle');
+
+
+// Hashes of transactions whose signatures have already been verified, so
+// validating the same transaction again can skip the expensive part. Only
+// needed for the batch verification extra credit.
+const signatureCache = new Set();
 
 /**
  * A simple validation function for transactions. Accepts a transaction
@@ -9,17 +18,147 @@ const signing = require('./signing');
  *   - have negative amounts
  *   - were improperly signed
  *   - have been modified since signing
+ *
+ * EXTRA CREDIT
+ * Only needed for the signature recovery extra credit. It should also accept
+ * compact transactions, which have a 130 character recoverable signature and
+ * no stored source. It should reject a compact transaction if:
+ *   - it has a negative amount
+ *   - no source public key can be recovered from its signature
+ *
+ * Note:
+ *   Modifying a compact transaction will not necessarily make it invalid!
+ *   The signature will just recover a different public key, one which has
+ *   almost certainly never signed anything. Think about why that is still
+ *   safe (or not) once you start checking balances.
+ *
+ * EXTRA CREDIT
+ * Only needed for the multisig extra credit. It should also accept multisig
+ * transactions, which have a `signatures` object instead of a `signature`.
+ * It should reject a multisig transaction if:
+ *   - it has a negative amount
+ *   - its source is not the id of its account (i.e. the account's keys or
+ *     threshold were modified)
+ *   - it has fewer valid signatures from the account's keys than the
+ *     account's threshold
+ *
+ * EXTRA CREDIT
+ * Only needed for the address extra credit. It should also reject any
+ * transaction with a recipient that is neither a hex string nor a valid
+ * address.
+ *
+ * EXTRA CREDIT
+ * Only needed for the batch verification extra credit. Rather than calling
+ * verify directly for a normal transaction, use verifyTransactions (below),
+ * so signatures which are already in the cache are not checked again.
+ *
+ * EXTRA CREDIT
+ * Only needed for the UTXO extra credit. It should also accept UTXO
+ * transactions, which have `inputs` and `outputs` instead of a recipient and
+ * amount. It should reject a UTXO transaction if:
+ *   - its id is not a hash of its source, inputs, and outputs (see utxo.js)
+ *   - its id was not signed by its source
+ *   - it has no outputs
+ *   - any output has an amount of zero or less, or an invalid recipient
+ *
+ * Note:
+ *   Whether the inputs actually exist, belong to the source, and add up to
+ *   enough to cover the outputs can't be checked here. That depends on the
+ *   rest of the chain, and is up to isValidUtxoChain.
+ *
+ * EXTRA CREDIT
+ * Only needed for the replay protection extra credit. If a transaction has a
+ * nonce, it should be part of the signed message (see blockchain.js). It
+ * should also reject any transaction with a nonce that is not a whole number
+ * of 0 or more.
+ *
+ * EXTRA CREDIT
+ * Only needed for the fees extra credit. If a transaction has a fee, it
+ * should be part of the signed message too (see mining.js). It should also
+ * reject any transaction with a negative fee.
+ *
+ * EXTRA CREDIT
+ * Only needed for the multi-recipient extra credit. It should also accept
+ * multi-recipient transactions, which have `outputs` instead of a recipient
+ * (see blockchain.js). It should reject a multi-recipient transaction if:
+ *   - it was improperly signed, or modified since signing
+ *   - it has no outputs
+ *   - any output has an amount of zero or less, or an invalid recipient
+ *   - two outputs have the same recipient
+ *   - its amount is not the sum of its outputs' amounts
  */
 const isValidTransaction = transaction => {
   // Enter your solution here
 
 };
 
+/**
+ * EXTRA CREDIT
+ * Only needed for the batch verification extra credit. Remove `.skip` from
+ * line 30 of tests/12-ExtraCredit-BatchVerify.js to test.
+ *
+ * A function which takes a transaction and returns a unique 64 character hex
+ * SHA-256 hash of it. Changing any property of the transaction, including
+ * its signature, should change the hash.
+ *
+ * Example:
+ *   const hash = getTransactionHash(transaction);
+ *   console.log(hash.length);  // 64
+ *   console.log(getTransactionHash(transaction) === hash);  // true
+ *   transaction.amount = 1000;
+ *   console.log(getTransactionHash(transaction) === hash);  // false
+ */
+const getTransactionHash = transaction => {
+  // Your code here
+
+};
+
+/**
+ * EXTRA CREDIT
+ * A function which takes an array of transactions and verifies all of their
+ * signatures with a single call to signing.verifyBatch. Any transaction whose
+ * hash is already in the signatureCache should be skipped, and any which pass
+ * verification should have their hash added to it. Returns an array of the
+ * transactions which failed.
+ *
+ * Only normal transactions should be verified here. Compact transactions
+ * (with a 130 character signature) and multisig transactions (with a
+ * `signatures` object) are skipped, and left for isValidTransaction. If you
+ * completed the UTXO extra credit, UTXO transactions are verified here too,
+ * but remember that their signed message is just the id.
+ *
+ * Example:
+ *   const failed = verifyTransactions(block.transactions);
+ *   console.log(failed);  // []
+ *   console.log(signatureCache.has(getTransactionHash(transaction)));  // true
+ */
+const verifyTransactions = transactions => {
+  // Your code here
+
+};
+
 /**
  * Validation function for blocks. Accepts a block and returns true or false.
  * It should reject blocks if:
  *   - their hash or any other properties were altered
  *   - they contain any invalid transactions
+ *
+ * EXTRA CREDIT
+ * Only needed for the batch verification extra credit. Before checking each
+ * transaction, verify all of the block's signatures at once with
+ * verifyTransactions. Any failure means the block is invalid.
+ *
+ * EXTRA CREDIT
+ * Only needed for the Merkle tree extra credit. It should also reject blocks
+ * if:
+ *   - their Merkle root does not match their transactions
+ *   - they contain the same transaction more than once
+ *
+ * Note:
+ *   Why reject duplicates? Since the last hash of an odd level is paired with
+ *   itself, the transactions [ a, b, c ] and [ a, b, c, c ] have exactly the
+ *   same Merkle root. Without this check, someone could take your valid block
+ *   and create an invalid twin with the same hash!
  */
 const isValidBlock = block => {
   // Your code here
@@ -35,12 +174,41 @@ const isValidBlock = block => {
  *     the previous hash
  *   - contains any invalid blocks
  *   - contains any invalid transactions
+ *
+ * EXTRA CREDIT
+ * Only needed for the replay protection extra credit. It should also reject
+ * any blockchain where a source's nonces are not exactly 0, 1, 2, and so on,
+ * in order. So no duplicates (i.e. replays), no gaps, and no going backwards.
+ * Transactions without a nonce can be ignored.
  */
 const isValidChain = blockchain => {
   // Your code here
 
 };
 
+/**
+ * EXTRA CREDIT
+ * Only needed for the Merkle tree extra credit. Accepts a transaction, a
+ * Merkle proof, and a block header: an object with the previousHash,
+ * merkleRoot, nonce, and hash of a block, but no transactions. Returns true
+ * if the header's hash is valid, and the proof shows the transaction is
+ * included in its Merkle root, or false otherwise.
+ *
+ * This is how "light" clients work. They download only block headers, which
+ * are tiny, and then ask for proofs of just the transactions they care about.
+ *
+ * Example:
+ *   const { previousHash, merkleRoot, nonce, hash } = block;
+ *   const header = { previousHash, merkleRoot, nonce, hash };
+ *   const proof = block.getMerkleProof(0);
+ *   console.log( isIncludedInBlock(block.transactions[0], proof, header) );
+ *   // true
+ */
+const isIncludedInBlock = (transaction, proof, header) => {
+  // Your code here
+
+};
+
 /**
  * This last one is just for fun. Become a hacker and tamper with the passed in
  * blockchain, mutating it for your own nefarious purposes. This should
@@ -52,8 +220,12 @@ const breakChain = blockchain => {
 };
 
 module.exports = {
+  signatureCache,
   isValidTransaction,
   isValidBlock,
   isValidChain,
-  breakChain
+  breakChain,
+  getTransactionHash,
+  verifyTransactions,
+  isIncludedInBlock
 };
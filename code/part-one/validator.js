@@ -0,0 +1,95 @@
+'use strict';
+
+const { isValidBlock } = require('./validation');
+
+
+/**
+ * Every time isValidChain is called, it starts over from genesis, checking
+ * every block and every signature again. But blocks are only ever added to
+ * the end of a chain, so most of that work was already done last time! A
+ * ChainValidator remembers how far it got, and picks up where it left off.
+ *
+ * It can also be given _checkpoints_: the hashes of blocks at certain
+ * heights which are already known to be good. Those hashes are usually
+ * shipped with the software itself, so a brand new node doesn't need to
+ * check every signature ever just to catch up. Anything at or below the
+ * highest checkpoint only needs to link up to it. Since each hash covers
+ * the block's transactions, and each block covers the hash before it,
+ * matching a checkpoint proves the blocks before it weren't altered.
+ *
+ *   height:    0     1     2     3     4     5     6
+ *             [G]<--[ ]<--[ ]<--[C]<--[ ]<--[ ]<--[ ]
+ *             |<--- links only --->|<--- full checks --->|
+ *                                ^
+ *                   checkpoint: { 3: hash }
+ */
+class ChainValidator {
+  /**
+   * This constructor is provided for you. It takes an object of
+   * checkpoints, with heights as keys and hashes as values.
+   *
+   * Properties:
+   *   - checkpoints: the checkpoints passed in, or an empty object
+   *   - lastHash: the hash of the last block validated, initially null
+   *   - lastHeight: the height of the last block validated, initially -1
+   *
+   * Hint:
+   *   Replay protection depends on every nonce that came before, so you'll
+   *   also need some way to remember each source's next nonce between calls.
+   *   This will only be used internally.
+   */
+  constructor(checkpoints = {}) {
+    this.checkpoints = checkpoints;
+    this.lastHash = null;
+    this.lastHeight = -1;
+  }
+
+  /**
+   * Forgets everything validated so far, so the next call to validate starts
+   * over from genesis. That means setting lastHash and lastHeight back to
+   * their initial values, along with anything else you are remembering.
+   */
+  reset() {
+    // Your code here
+
+  }
+
+  /**
+   * Accepts a blockchain, and returns true or false, just like isValidChain.
+   * But it should only check the blocks after the last one it validated. If
+   * the block at lastHeight doesn't have the lastHash anymore (or is
+   * missing), the chain must have been replaced, so reset and start over.
+   *
+   * Every block it checks must:
+   *   - link to the block before it with its previousHash, or have a
+   *     previousHash of null if it is genesis
+   *   - have the hash of the checkpoint at its height, if there is one
+   *
+   * Blocks at or below the highest checkpoint on the chain only need a hash
+   * which matches their contents, and can skip checking signatures. But only
+   * if that checkpoint matches! Check it before anything else. Any block
+   * above every checkpoint must pass isValidBlock.
+   *
+   * Each block which passes should update lastHash and lastHeight, so if a
+   * block fails, the next call picks up right before it.
+   *
+   * EXTRA CREDIT
+   * Only needed for the replay protection extra credit. Also reject any
+   * block with a nonce out of order, just like isValidChain. Nonces from
+   * blocks that failed shouldn't count.
+   *
+   * Example:
+   *   const validator = new ChainValidator({ 2: blockchain.blocks[2].hash });
+   *   console.log(validator.validate(blockchain));  // true
+   *   blockchain.addBlock([ transaction ]);
+   *   console.log(validator.validate(blockchain));  // true, checks 1 block
+   */
+  validate(blockchain) {
+    // Your code here
+
+  }
+}
+
+module.exports = {
+  ChainValidator
+};
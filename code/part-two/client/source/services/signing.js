@@ -1,7 +1,13 @@
 import * as secp256k1 from 'secp256k1';
 import { randomBytes, createHash } from 'crypto';
+import { derivePath } from './derivation.js';
 
 
+// Half the order of the Secp256k1 curve, as a 64 character hex string. Any
+// signature with an "S" value greater than this is considered "high-S".
+export const HALF_CURVE_ORDER =
+  '7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0';
+
 /**
  * This module is essentially identical to part-one's signing module.
  * Feel free to copy in your solution from there.
@@ -37,8 +43,24 @@ export const getPublicKey = privateKey => {
  *   //   privateKey: 'e291df3eede7f0c520fddbe5e9e53434ff7ef3c0894ed9d9cbc...',
  *   //   publicKey: '0202694593ddc71061e622222ed400f5373cfa7ea607ce106cca...'
  *   // }
+ *
+ * EXTRA CREDIT
+ * Only needed if you completed the key derivation extra credit in part-one
+ * and copied it into derivation.js. Remove `.skip` from line 98 of
+ * tests/01-Signing.js to test.
+ *
+ * Optionally, createKeys may also be passed a master extended private key
+ * and a derivation path. In that case, rather than generating random keys,
+ * it should return the private key found at that path, along with its
+ * matching public key.
+ *
+ * Example:
+ *   const master = createMasterKey('000102030405060708090a0b0c0d0e0f');
+ *   const keys = createKeys(master, "m/0'/1/2'");
+ *   console.log(keys.privateKey);
+ *   // 'cbce0d719ecf7431d88e6a89fa1483e02e35092af60c042b1df2ff59fa424dca'
  */
-export const createKeys = () => {
+export const createKeys = (masterKey = null, path = null) => {
   // Your code here
 
 };
@@ -46,8 +68,52 @@ export const createKeys = () => {
 /**
  * Takes a hex private key and a string message, returning a
  * hexadecimal signature.
+ *
+ * EXTRA CREDIT
+ * Only needed if you completed the malleability extra credit in part-one.
+ * Every signature returned should be low-S.
  */
 export const sign = (privateKey, message) => {
   // Your code here
 
 };
+
+/**
+ * EXTRA CREDIT
+ * The rest of this module is only needed if you completed the malleability
+ * extra credit in part-one, and works just like it did there. Remove `.skip`
+ * from line 197 of tests/01-Signing.js to test.
+ *
+ * Takes a 128 character hex signature and returns true if it is low-S, or
+ * false otherwise.
+ */
+export const isLowS = signature => {
+  // Your code here
+
+};
+
+/**
+ * Takes a 128 character hex signature and returns its low-S version.
+ */
+export const normalizeSignature = signature => {
+  // Your code here
+
+};
+
+/**
+ * Takes a 128 character hex signature and returns it DER encoded, as a
+ * hex string.
+ */
+export const toDER = signature => {
+  // Your code here
+
+};
+
+/**
+ * Takes a hex DER encoded signature and returns the matching 128 character
+ * hex signature, throwing an Error if it is not properly encoded.
+ */
+export const fromDER = der => {
+  // Your code here
+
+};
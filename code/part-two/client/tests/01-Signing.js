@@ -1,6 +1,9 @@
 import * as secp256k1 from 'secp256k1';
 import { randomBytes, createHash } from 'crypto';
 import * as signing from '../source/services/signing.js';
+import * as derivation from '../source/services/derivation.js';
+import * as mnemonic from '../source/services/mnemonic.js';
+import * as keystore from '../source/services/keystore.js';
 
 
 describe('Signing module', function() {
@@ -90,6 +93,74 @@ describe('Signing module', function() {
 
   });
 
+  // Key derivation is a part of the extra credit portion of part-one.
+  // Remove the `.skip` to run these tests.
+  describe.skip('createKeys with a derivation path', function() {
+    const seed = '000102030405060708090a0b0c0d0e0f';
+    const path = "m/0'/1/2'";
+    let master = null;
+    let keys = null;
+
+    beforeEach(function() {
+      master = derivation.createMasterKey(seed);
+      keys = signing.createKeys(master, path);
+    });
+
+    it('should return the private key found at the path', function() {
+      expect(keys.privateKey).to.equal(
+        'cbce0d719ecf7431d88e6a89fa1483e02e35092af60c042b1df2ff59fa424dca'
+      );
+    });
+
+    it('should return the matching public key', function() {
+      expect(keys.publicKey).to.equal(
+        '0357bfe1e341d01c69fe5654309956cbea516822fba8a601743a012a7896ee8dc2'
+      );
+    });
+
+    it('should return the same keys every time', function() {
+      expect(signing.createKeys(master, path)).to.deep.equal(keys);
+    });
+
+    it('should restore keys from a mnemonic phrase', function() {
+      const phrase = mnemonic.createMnemonic();
+      const seed = mnemonic.mnemonicToSeed(phrase);
+      const restored = signing.createKeys(
+        derivation.createMasterKey(seed),
+        mnemonic.DEFAULT_PATH
+      );
+
+      expect(restored.privateKey)
+        .to.equal(mnemonic.mnemonicToPrivateKey(phrase));
+    });
+
+  });
+
+  // Keystores are a part of the extra credit portion of part-one.
+  // Remove the `.skip` to run these tests.
+  describe.skip('keystore', function() {
+    const password = 'correct horse battery staple';
+    let keys = null;
+    let encrypted = null;
+
+    beforeEach(function() {
+      keys = signing.createKeys();
+      encrypted = keystore.exportKeystore(keys.privateKey, password, 1000);
+    });
+
+    it('should encrypt and decrypt a private key', function() {
+      expect(JSON.parse(encrypted).publicKey).to.equal(keys.publicKey);
+      expect(keystore.importKeystore(encrypted, password))
+        .to.equal(keys.privateKey);
+    });
+
+    it('should reject the wrong password', function() {
+      expect(() => keystore.importKeystore(encrypted, 'wrong password'))
+        .to.throw('Incorrect password or corrupted keystore');
+    });
+
+  });
+
   describe('sign', function() {
     // Generate random bytes, mimicking an encoded transaction header
     const message = randomBytes(Math.floor(Math.random() * 256));
@@ -121,4 +192,52 @@ describe('Signing module', function() {
 
   });
 
+  // Malleability protection is a part of the extra credit portion of
+  // part-one. Remove the `.skip` to run these tests.
+  describe.skip('signature malleability', function() {
+    const message = randomBytes(32);
+    let publicKey = null;
+    let signature = null;
+    let flipped = null;
+
+    beforeEach(function() {
+      const keys = signing.createKeys();
+      publicKey = keys.publicKey;
+      signature = signing.sign(keys.privateKey, message);
+
+      const s = Buffer.from(signature.slice(64), 'hex');
+      flipped = signature.slice(0, 64) +
+        secp256k1.privateKeyNegate(s).toString('hex');
+    });
+
+    it('should create low-S signatures', function() {
+      expect(signing.isLowS(signature)).to.be.true;
+      expect(signing.isLowS(flipped)).to.be.false;
+    });
+
+    it('should normalize high-S signatures', function() {
+      expect(signing.normalizeSignature(flipped)).to.equal(signature);
+      expect(signing.normalizeSignature(signature)).to.equal(signature);
+    });
+
+    it('should encode and decode DER signatures', function() {
+      const der = signing.toDER(signature);
+      const messageHash = createHash('sha256').update(message).digest();
+      const isValid = secp256k1.verify(
+        messageHash,
+        secp256k1.signatureImport(Buffer.from(der, 'hex')),
+        Buffer.from(publicKey, 'hex')
+      );
+
+      expect(der).to.be.a.hexString;
+      expect(isValid).to.be.true;
+      expect(signing.fromDER(der)).to.equal(signature);
+    });
+
+    it('should reject malformed DER signatures', function() {
+      expect(() => signing.fromDER(signature)).to.throw();
+    });
+
+  });
+
 });